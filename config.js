@@ -27,6 +27,15 @@ module.exports = {
         'web_commit_signoff_required',
         'security_and_analysis',
         'branch_protection'
+        // Settings usually enforced by rulesets can also be analysed on their own:
+        // 'required_reviews', 'required_status_checks', 'signed_commits', 'linear_history', 'rulesets'
+        // Settings fetched by data collectors (one or more extra API calls per repository each):
+        // 'actions_enabled', 'allowed_actions', 'selected_actions', 'workflow_permissions',
+        // 'workflow_can_approve_pull_requests', 'vulnerability_alerts', 'dependabot_security_updates',
+        // 'environments', 'unprotected_environments', 'webhooks', 'insecure_webhooks',
+        // 'deploy_keys', 'writable_deploy_keys',
+        // 'outside_collaborators', 'outside_admins', 'direct_admins',
+        // 'admin_teams', 'maintain_teams', 'write_teams'
     ],
 
     // Additional fields you might want to analyze (uncomment to include)
@@ -67,10 +76,157 @@ module.exports = {
         // Fields that should be treated as arrays (for deviation detection)
         arrayFields: ['topics'],
         
+        // Optional: minimum share of repositories (0-1) that must hold the most common value
+        // for it to count as the norm. Fields below this have "no clear norm" and are not
+        // checked against the norm. Defaults to 0, which always uses the most common value
+        // minConsensus: 0.5,
+        
         // Fields that should be treated as objects (for deviation detection)
         objectFields: ['security_and_analysis', 'license', 'branch_protection']
     },
 
+    // Severity settings
+    // Each deviation gets a severity; a repository's risk score is the sum of the weights
+    // of its deviations, and both HTML reports list the riskiest repositories first
+    severitySettings: {
+        // Severity ('critical', 'high', 'medium' or 'low') per field, or per nested sub-setting
+        // as a dotted path. The most specific entry wins, and a deviation takes the highest
+        // severity of the settings that differ
+        fields: {
+            private: 'critical',
+            branch_protection: 'high',
+            'branch_protection.enabled': 'critical',
+            'branch_protection.allow_force_pushes': 'critical',
+            'branch_protection.allow_deletions': 'critical',
+            'branch_protection.required_conversation_resolution': 'medium',
+            security_and_analysis: 'high',
+            allow_forking: 'medium',
+            default_branch: 'medium',
+            license: 'medium',
+            workflow_permissions: 'high',
+            vulnerability_alerts: 'high',
+            unprotected_environments: 'high',
+            insecure_webhooks: 'high',
+            writable_deploy_keys: 'high',
+            has_codeowners: 'medium',
+            has_security_policy: 'medium',
+            outside_admins: 'critical',
+            direct_admins: 'high',
+            outside_collaborators: 'medium'
+        },
+        
+        // Severity for fields not listed above
+        default: 'low',
+        
+        // Risk score weight of each severity
+        weights: {
+            critical: 10,
+            high: 5,
+            medium: 2,
+            low: 1
+        }
+    },
+
+    // Policy baseline settings
+    policySettings: {
+        // How deviations are determined:
+        //   'norm'   - compare against the most common value across repositories
+        //   'policy' - compare only against the requirements declared in `policy`
+        //   'both'   - use `policy` for the fields it declares and the norm for the rest
+        mode: 'norm',
+        
+        // Optional path to a separate policy file (.js or .json) used instead of `policy`
+        policyFile: null
+    },
+
+    // Declared policy baseline (used when policySettings.mode is 'policy' or 'both')
+    // Requirements can be exact values, { oneOf: [...] }, { min, max }, { includes: [...] },
+    // { excludes: [...] } or nested objects for branch_protection and security_and_analysis
+    policy: {
+        /*
+        allow_merge_commit: false,
+        delete_branch_on_merge: true,
+        default_branch: { oneOf: ['main', 'master'] },
+        topics: { includes: ['team-owned'] },
+        security_and_analysis: {
+            secret_scanning: 'enabled',
+            secret_scanning_push_protection: 'enabled'
+        },
+        branch_protection: {
+            enabled: true,
+            allow_force_pushes: false,
+            required_pull_request_reviews: {
+                required_approving_review_count: { min: 1, max: 6 }
+            }
+        }
+        */
+    },
+
+    // Exemption settings
+    exemptionSettings: {
+        // Optional path to a separate exemptions file (.js or .json) used instead of `exemptions`
+        exemptionsFile: null
+    },
+
+    // Accepted deviations, reported as accepted risks until they expire (see lib/exemptions.js)
+    // Each exemption names a repo, a field or a nested setting path, a reason, an owner and
+    // the last day it applies
+    exemptions: [
+        /*
+        { repo: 'docs-site', field: 'has_wiki', reason: 'Public documentation wiki', owner: 'docs-team', expires: '2026-12-31' },
+        { repo: 'legacy-mirror', path: 'branch_protection.enabled', reason: 'Read-only mirror', owner: 'platform-team', expires: '2026-06-30' }
+        */
+    ],
+
+    // Repository override files, read from each repository's default branch (see lib/overrides.js)
+    // Repository owners can declare a cohort, expected values and exemptions for their repository:
+    //   cohort: library
+    //   expected:
+    //     has_pages: true
+    //   exemptions:
+    //     - field: has_wiki
+    //       reason: Public documentation wiki
+    //       owner: docs-team
+    //       expires: 2026-12-31
+    overrideSettings: {
+        enabled: false,
+        
+        // Candidate paths, checked in order; the first file found is used
+        paths: ['.github/repo-config.yml', '.github/repo-config.yaml'],
+        
+        // Keys repositories may declare: any of 'cohort', 'expected' and 'exemptions'
+        allow: ['cohort', 'expected', 'exemptions']
+    },
+
+    // Repository filters, applied while fetching so filtered repositories do not affect the norms
+    // Name patterns are globs ('sandbox-*') or regular expressions ('/^svc-[a-z]+$/i')
+    // Command line --include/--exclude patterns are added to these
+    repoFilters: {
+        // Only analyse repositories whose name matches at least one of these patterns (empty = all)
+        include: [],
+        
+        // Skip repositories whose name matches any of these patterns
+        exclude: [],
+        
+        // Only analyse repositories that have all of these topics
+        requiredTopics: [],
+        
+        // Skip repositories that have any of these topics
+        forbiddenTopics: [],
+        
+        // Forked repositories: 'include', 'exclude' or 'only'
+        forks: 'include',
+        
+        // Only analyse repositories whose primary language is one of these (empty = all)
+        languages: [],
+        
+        // Skip repositories whose primary language is one of these
+        excludeLanguages: [],
+        
+        // Skip repositories that have not been pushed to in this many days (null = no limit)
+        maxPushedAgeDays: null
+    },
+
     // Report generation settings
     reportSettings: {
         // Maximum number of topics to show in norms (top N most common)
@@ -82,7 +238,31 @@ module.exports = {
         // Whether to generate both full and deviations-only reports
         generateBothReports: true,
         
-        // Custom CSS for reports (optional)
+        // Whether the full HTML report gets search, filters, sortable tables, a field
+        // matrix and deep links (the report stays a single file that works offline)
+        interactive: true,
+        
+        // Output formats to generate: 'html', 'html-deviations', 'json', 'sarif'
+        // Can be overridden on the command line with --format json,sarif
+        formats: ['html'],
+        
+        // Directory reports are written to (--output-dir)
+        outputDir: '.',
+        
+        // Exit with code 2 when more repositories than this have deviations (--max-deviations)
+        // Set to null to never fail on deviations
+        maxDeviations: null,
+        
+        // Colour theme of the HTML reports: 'light', 'dark', or an object of CSS custom
+        // properties that override the light theme, e.g. { accent: '#6f42c1' }
+        theme: 'light',
+        
+        // Replacements for parts of the HTML reports (see lib/render.js), e.g.
+        // header: context => html`<div class="header"><h1>${context.heading}</h1></div>`
+        // with html from require('./lib/html')
+        templates: {},
+        
+        // Custom CSS for all HTML reports (optional)
         customCSS: `
             /* Add your custom CSS here */
             .custom-header {
@@ -91,6 +271,79 @@ module.exports = {
         `
     },
 
+    // Remediation settings (used by the remediate command)
+    remediationSettings: {
+        // Fields to bring in line with the norm or policy when --fields is not given
+        // Supported: repository settings such as has_wiki or allow_merge_commit,
+        // default_branch, security_and_analysis and branch_protection
+        fields: []
+    },
+
+    // Cohort settings
+    // Group repositories that legitimately differ (services, libraries, docs sites, ...)
+    // so norms and deviations are calculated within each cohort
+    cohortSettings: {
+        // How to group repositories: null (one org-wide norm), 'topic', 'prefix', 'language', 'team' or 'property'
+        groupBy: null,
+        
+        // For 'topic', 'prefix' and 'team': the cohorts to use, checked in order (empty = first topic,
+        // name prefix before the first '-', or first team with access)
+        values: [],
+        
+        // For 'property': the name of the custom property holding the cohort
+        property: null,
+        
+        // Cohort for repositories that match none of the above
+        fallback: 'other',
+        
+        // Cohorts with fewer repositories than this are compared with the org-wide norm
+        minSize: 3
+    },
+
+    // Branch settings
+    // Analyse the protection of other branches than the default branch
+    branchSettings: {
+        // Branch patterns: globs ('release/*', 'develop') or regular expressions ('/^v\\d+$/').
+        // Each pattern is analysed as a field of its own, 'branch_protection:<pattern>',
+        // represented in each repository by its least protected matching branch
+        patterns: []
+    },
+
+    // File checks
+    // Each entry is a config field that checks for a file in the default branch of every
+    // repository: true when one of the paths exists (and, if a pattern is given, its content
+    // matches the regular expression). Each path checked costs one API request per repository.
+    fileChecks: {
+        /*
+        has_codeowners: {
+            paths: ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS']
+        },
+        has_security_policy: {
+            paths: ['SECURITY.md', '.github/SECURITY.md', 'docs/SECURITY.md']
+        },
+        has_license_file: {
+            paths: ['LICENSE', 'LICENSE.md', 'LICENSE.txt', 'COPYING']
+        },
+        has_pull_request_template: {
+            paths: ['.github/pull_request_template.md', '.github/PULL_REQUEST_TEMPLATE.md', 'pull_request_template.md', 'docs/pull_request_template.md']
+        },
+        has_dependabot_config: {
+            paths: ['.github/dependabot.yml', '.github/dependabot.yaml'],
+            // At least one ecosystem must be configured for updates
+            pattern: 'package-ecosystem:'
+        }
+        */
+    },
+
+    // Snapshot settings
+    snapshotSettings: {
+        // Save the fetched repository data and norms after each run (--snapshot-dir enables this)
+        enabled: false,
+        
+        // Directory snapshots are written to
+        directory: 'snapshots'
+    },
+
     // GitHub API settings
     githubSettings: {
         // Number of repositories to fetch per page (max 100)
@@ -102,10 +355,32 @@ module.exports = {
         // Whether to include public repositories  
         includePublic: true,
         
-        // Whether to include internal repositories (if available)
+        // Whether to include internal repositories (GitHub Enterprise organizations)
         includeInternal: true,
         
-        // Timeout for API requests (in milliseconds)
-        timeout: 30000
+        // Timeout for each API request (in milliseconds, 0 to disable)
+        timeout: 30000,
+        
+        // Maximum number of API requests in flight at once
+        concurrency: 8,
+        
+        // Retries for transient failures (5xx, network errors) and rate limited requests
+        maxRetries: 3,
+        
+        // Initial backoff before retrying a transient failure (doubles on each attempt, in milliseconds)
+        retryDelay: 1000,
+        
+        // Wait after a secondary rate limit response without a retry-after header (in milliseconds)
+        secondaryRateLimitDelay: 60000,
+        
+        // Pause all requests until the rate limit resets when fewer than this many remain
+        minRateLimitRemaining: 10,
+        
+        // Log fetch progress every N repositories
+        progressInterval: 25,
+        
+        // Fetch repository and organization rulesets and merge their rules into the
+        // default branch's protection (see the Rulesets section of the README)
+        fetchRulesets: true
     }
 }; 
\ No newline at end of file
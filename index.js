@@ -1,39 +1,147 @@
+#!/usr/bin/env node
 const { Octokit } = require('@octokit/rest');
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('./config');
+const { loadPolicy, evaluateRule } = require('./lib/policy');
+const { getFormat, registerFormat } = require('./lib/formats');
+const { validateRepoFilters, matchesRepoFilters, describeRepoFilters } = require('./lib/filters');
+const { createSnapshot, writeSnapshot } = require('./lib/snapshot');
+const { validateCohortSettings, cohortFor, groupByCohort, describeCohorts } = require('./lib/cohorts');
+const { calculateFieldStats } = require('./lib/stats');
+const { RULESET_FIELDS, effectiveProtection } = require('./lib/rulesets');
+const { validateBranchSettings, isBranchProtectionField, withBranchPatternFields, matchingBranches, weakestProtection } = require('./lib/branches');
+const { SEVERITIES, validateSeveritySettings, compareSeverity, deviationSeverity, riskScore, severityBreakdown } = require('./lib/severity');
+const { registerCollector, collectorsFor } = require('./lib/collectors');
+const { registerField, fieldDefinition } = require('./lib/fields');
+const { validateFileChecks, withFileCheckFields, checkFile } = require('./lib/files');
+const { TEAM_PERMISSIONS, hasAccessFields, accessSummary } = require('./lib/access');
+const { loadExemptions, applyExemptions, acceptedRiskList } = require('./lib/exemptions');
+const { validateOverrideSettings, fetchOverride, declaredOverride, overrideSummary } = require('./lib/overrides');
+const { reportData, embedJSON, severityRank, clientScript } = require('./lib/report-client');
+const { html, raw, joinHTML } = require('./lib/html');
+const { FULL_REPORT_CSS, DEVIATIONS_REPORT_CSS, registerTheme, validateReportSettings, template, renderPage } = require('./lib/render');
+const { RequestScheduler } = require('./lib/scheduler');
+
+// configFields with a field for each branch pattern and each file check added
+function analysedFields(config) {
+    return withFileCheckFields(withBranchPatternFields(config.configFields, config.branchSettings || {}), config.fileChecks || {});
+}
 
 class RepoConfigAnalyzer {
-    constructor(token, orgName, customConfig = {}) {
-        this.octokit = new Octokit({
-            auth: token,
-            timeZone: 'UTC'
-        });
+    // options.client replaces the Octokit client, e.g. with lib/fixtures.js for offline analysis;
+    // options.fetch replaces the fetch implementation the Octokit client sends requests with
+    constructor(token, orgName, customConfig = {}, options = {}) {
         this.orgName = orgName;
         this.repos = [];
         
         // Merge custom config with default config
         this.config = { ...config, ...customConfig };
-        this.configFields = this.config.configFields;
+        this.branchSettings = this.config.branchSettings || {};
+        validateBranchSettings(this.branchSettings);
+        this.fileChecks = this.config.fileChecks || {};
+        validateFileChecks(this.fileChecks);
+        this.configFields = analysedFields(this.config);
         this.deviationSettings = this.config.deviationSettings;
         this.reportSettings = this.config.reportSettings;
+        validateReportSettings(this.reportSettings);
         this.githubSettings = this.config.githubSettings;
+        this.octokit = options.client || this.createOctokit(token, options.fetch);
+        this.repoFilters = this.config.repoFilters || {};
+        validateRepoFilters(this.repoFilters);
+        this.snapshotSettings = this.config.snapshotSettings || {};
+        this.cohortSettings = this.config.cohortSettings || {};
+        validateCohortSettings(this.cohortSettings);
+        this.severitySettings = this.config.severitySettings || {};
+        validateSeveritySettings(this.severitySettings);
+        this.overrideSettings = this.config.overrideSettings || {};
+        validateOverrideSettings(this.overrideSettings);
+        this.scheduler = new RequestScheduler(this.githubSettings);
+
+        // Load the declared policy baseline (if any)
+        const { mode, policy } = loadPolicy(this.config);
+        this.policyMode = mode;
+        this.policy = policy;
+
+        Object.keys(this.policy)
+            .filter(field => !this.configFields.includes(field))
+            .forEach(field => console.warn(`Warning: policy field "${field}" is not in configFields and will be ignored`));
+
+        // Accepted deviations (see lib/exemptions.js)
+        this.exemptions = loadExemptions(this.config);
+        this.exemptions
+            .filter(exemption => exemption.field && !this.configFields.includes(exemption.field))
+            .forEach(exemption => console.warn(`Warning: exemption field "${exemption.field}" for ${exemption.repo} is not in configFields and will be ignored`));
+    }
+
+    createOctokit(token, baseFetch = fetch) {
+        const timeout = this.githubSettings.timeout;
+        const request = { fetch: baseFetch };
+        
+        // Abort each request after githubSettings.timeout; aborted requests are retried like other transient failures.
+        // A signal passed by the caller still aborts the request as well
+        if (timeout) {
+            request.fetch = (url, init = {}) => {
+                const timeoutSignal = AbortSignal.timeout(timeout);
+                const signal = init.signal ? AbortSignal.any([init.signal, timeoutSignal]) : timeoutSignal;
+                return baseFetch(url, { ...init, signal });
+            };
+        }
+        
+        return new Octokit({
+            auth: token,
+            timeZone: 'UTC',
+            request
+        });
+    }
+
+    // Visibility of a repository; older API responses only have the private flag
+    repoVisibility(repo) {
+        return repo.visibility || (repo.private ? 'private' : 'public');
+    }
+
+    includedVisibilities() {
+        const { includePublic, includePrivate, includeInternal } = this.githubSettings;
+        const visibilities = [];
+        if (includePublic !== false) visibilities.push('public');
+        if (includePrivate !== false) visibilities.push('private');
+        if (includeInternal !== false) visibilities.push('internal');
+        return visibilities;
+    }
+
+    // Human readable list of the repository filters in effect, shown in the reports
+    describeFilters() {
+        const filters = [];
+        const visibilities = this.includedVisibilities();
+        
+        if (!this.reportSettings.includeArchived) {
+            filters.push('Archived repositories excluded');
+        }
+        if (visibilities.length < 3) {
+            filters.push(`Visibility: ${visibilities.join(', ') || 'none'}`);
+        }
+        return filters.concat(describeRepoFilters(this.repoFilters));
     }
 
     async fetchAllRepos() {
         console.log(`Fetching repositories from organization: ${this.orgName}`);
+        this.describeFilters().forEach(filter => console.log(`  Filter: ${filter}`));
+        
+        // Only public repositories can be requested directly; internal repositories are only listed with type 'all'
+        const visibilities = this.includedVisibilities();
+        const type = visibilities.length === 1 && visibilities[0] === 'public' ? 'public' : 'all';
         
         let page = 1;
         let hasMore = true;
         
         while (hasMore) {
             try {
-                const response = await this.octokit.rest.repos.listForOrg({
+                const response = await this.scheduler.request(() => this.octokit.rest.repos.listForOrg({
                     org: this.orgName,
                     per_page: this.githubSettings.reposPerPage,
                     page: page,
-                    type: 'all'
-                });
+                    type: type
+                }));
                 
                 let repos = response.data;
                 
@@ -41,6 +149,8 @@ class RepoConfigAnalyzer {
                 if (!this.reportSettings.includeArchived) {
                     repos = repos.filter(repo => !repo.archived);
                 }
+                repos = repos.filter(repo => visibilities.includes(this.repoVisibility(repo)));
+                repos = repos.filter(repo => matchesRepoFilters(repo, this.repoFilters));
                 
                 this.repos.push(...repos);
                 
@@ -52,30 +162,27 @@ class RepoConfigAnalyzer {
                     page++;
                 }
                 
-                // Add a small delay to be respectful to GitHub's API
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
             } catch (error) {
-                console.error('Error fetching repositories:', error.message);
-                if (error.status === 403) {
+                if (error.status === 401 || error.status === 403) {
                     console.error('Access denied. Please check your token permissions.');
                 } else if (error.status === 404) {
                     console.error('Organization not found. Please check the organization name.');
                 }
-                hasMore = false;
+                // Reporting on the repositories fetched so far would pass off a partial org as complete
+                throw new Error(`Error fetching repositories (page ${page}): ${error.message}`);
             }
         }
         
         console.log(`Total repositories found: ${this.repos.length}`);
     }
 
-    async fetchBranchProtection(repo) {
+    async fetchBranchProtection(repo, branch = repo.default_branch || 'main') {
         try {
-            const response = await this.octokit.rest.repos.getBranchProtection({
+            const response = await this.scheduler.request(() => this.octokit.rest.repos.getBranchProtection({
                 owner: this.orgName,
                 repo: repo.name,
-                branch: repo.default_branch || 'main'
-            });
+                branch: branch
+            }));
             
             return {
                 enabled: true,
@@ -88,7 +195,9 @@ class RepoConfigAnalyzer {
                 block_creations: response.data.block_creations?.enabled || false,
                 required_conversation_resolution: response.data.required_conversation_resolution?.enabled || false,
                 lock_branch: response.data.lock_branch?.enabled || false,
-                allow_fork_syncing: response.data.allow_fork_syncing?.enabled || false
+                allow_fork_syncing: response.data.allow_fork_syncing?.enabled || false,
+                required_signatures: response.data.required_signatures?.enabled || false,
+                required_linear_history: response.data.required_linear_history?.enabled || false
             };
         } catch (error) {
             if (error.status === 404) {
@@ -104,468 +213,798 @@ class RepoConfigAnalyzer {
         }
     }
 
+    // Rules from repository and organization rulesets that apply to a branch (the default branch
+    // unless given). Returns null when the rules could not be read.
+    async fetchBranchRules(repo, branch = repo.default_branch || 'main') {
+        try {
+            const response = await this.scheduler.request(() => this.octokit.rest.repos.getBranchRules({
+                owner: this.orgName,
+                repo: repo.name,
+                branch: branch,
+                per_page: 100
+            }));
+            return response.data;
+        } catch (error) {
+            if (error.status === 404) {
+                // No rulesets apply, or rulesets are not available for the repository
+                return [];
+            }
+            console.warn(`Unable to fetch ruleset rules for ${repo.name}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Repository and organization rulesets of a repository, used to name the rulesets that apply.
+    // Returns null when the rulesets could not be read.
+    async fetchRepoRulesets(repo) {
+        try {
+            const response = await this.scheduler.request(() => this.octokit.rest.repos.getRepoRulesets({
+                owner: this.orgName,
+                repo: repo.name,
+                includes_parents: true,
+                per_page: 100
+            }));
+            return response.data;
+        } catch (error) {
+            if (error.status === 404) {
+                // Rulesets are not available for the repository
+                return [];
+            }
+            console.warn(`Unable to fetch rulesets for ${repo.name}: ${error.message}`);
+            return null;
+        }
+    }
+
+    fetchesRulesets() {
+        return this.githubSettings.fetchRulesets !== false;
+    }
+
+    // Names of all branches of a repository
+    async fetchBranchNames(repo) {
+        const names = [];
+        let page = 1;
+        let hasMore = true;
+        
+        while (hasMore) {
+            try {
+                const response = await this.scheduler.request(() => this.octokit.rest.repos.listBranches({
+                    owner: this.orgName,
+                    repo: repo.name,
+                    per_page: 100,
+                    page: page
+                }));
+                names.push(...response.data.map(branch => branch.name));
+                hasMore = response.data.length === 100;
+                page++;
+            } catch (error) {
+                if (error.status !== 404) {
+                    console.warn(`Unable to fetch branches for ${repo.name}: ${error.message}`);
+                }
+                hasMore = false;
+            }
+        }
+        
+        return names;
+    }
+
+    // Protection (and ruleset rules) of every branch matching each of branchSettings.patterns,
+    // as { pattern: [{ branch, protection, rules }] }. A branch matching several patterns is fetched once.
+    async fetchPatternBranches(repo) {
+        const names = await this.fetchBranchNames(repo);
+        const fetched = {};
+        const patternBranches = {};
+        
+        for (const pattern of this.branchSettings.patterns) {
+            patternBranches[pattern] = [];
+            for (const branch of matchingBranches(names, pattern, repo.default_branch)) {
+                if (!fetched[branch]) {
+                    fetched[branch] = {
+                        branch: branch,
+                        protection: await this.fetchBranchProtection(repo, branch),
+                        rules: this.fetchesRulesets() ? await this.fetchBranchRules(repo, branch) : undefined
+                    };
+                }
+                patternBranches[pattern].push(fetched[branch]);
+            }
+        }
+        
+        return patternBranches;
+    }
+
     async fetchAllBranchProtections() {
         console.log('Fetching branch protection settings for all repositories...');
+        const patterns = this.branchSettings.patterns || [];
         
-        for (let i = 0; i < this.repos.length; i++) {
-            const repo = this.repos[i];
-            console.log(`Fetching branch protection for ${repo.full_name} (${i + 1}/${this.repos.length})`);
-            
-            const branchProtection = await this.fetchBranchProtection(repo);
-            repo.branchProtection = branchProtection;
-            
-            // Add a small delay to be respectful to GitHub's API
-            await new Promise(resolve => setTimeout(resolve, 200));
-        }
+        await this.scheduler.map(this.repos, async repo => {
+            repo.branchProtection = await this.fetchBranchProtection(repo);
+            if (this.fetchesRulesets()) {
+                repo.branchRules = await this.fetchBranchRules(repo);
+                if (this.configFields.includes('rulesets')) {
+                    repo.rulesets = await this.fetchRepoRulesets(repo);
+                }
+            }
+            if (patterns.length > 0) {
+                repo.patternBranches = await this.fetchPatternBranches(repo);
+            }
+        }, this.reportProgress('Fetching branch protection'));
         
         console.log('Branch protection fetching complete');
     }
 
+    // Slugs of the teams with access to a repository, used to group repositories into cohorts by team
+    async fetchRepoTeams(repo) {
+        const slugs = [];
+        let page = 1;
+        let hasMore = true;
+        
+        while (hasMore) {
+            try {
+                const response = await this.scheduler.request(() => this.octokit.rest.repos.listTeams({
+                    owner: this.orgName,
+                    repo: repo.name,
+                    per_page: 100,
+                    page: page
+                }));
+                slugs.push(...response.data.map(team => team.slug));
+                hasMore = response.data.length === 100;
+                page++;
+            } catch (error) {
+                if (error.status !== 404) {
+                    console.warn(`Unable to fetch teams for ${repo.name}: ${error.message}`);
+                }
+                hasMore = false;
+            }
+        }
+        
+        return slugs;
+    }
+
+    async fetchAllTeams() {
+        console.log('Fetching team access for all repositories...');
+        
+        await this.scheduler.map(this.repos, async repo => {
+            repo.teams = await this.fetchRepoTeams(repo);
+        }, this.reportProgress('Fetching teams'));
+        
+        console.log('Team fetching complete');
+    }
+
+    // Values of a collector's fields for a repository; all null when the collector fails
+    async runCollector(collector, repo) {
+        try {
+            return await collector.collect(this, repo);
+        } catch (error) {
+            console.warn(`Unable to collect ${collector.name} settings for ${repo.name}: ${error.message}`);
+            return Object.fromEntries(collector.fields.map(field => [field, null]));
+        }
+    }
+
+    // Run the collectors providing configured fields (see lib/collectors.js) for every repository
+    async fetchCollectedData(collectors = collectorsFor(this.configFields)) {
+        console.log(`Collecting ${collectors.map(collector => collector.name).join(', ')} settings for all repositories...`);
+        
+        await this.scheduler.map(this.repos, async repo => {
+            repo.collected = repo.collected || {};
+            for (const collector of collectors) {
+                Object.assign(repo.collected, await this.runCollector(collector, repo));
+            }
+        }, this.reportProgress('Collecting settings'));
+        
+        console.log('Collection complete');
+    }
+
+    // Results of every file check for each repository (see lib/files.js)
+    async fetchAllFileChecks() {
+        console.log('Checking repository files for all repositories...');
+        
+        await this.scheduler.map(this.repos, async repo => {
+            repo.files = {};
+            for (const [field, check] of Object.entries(this.fileChecks)) {
+                try {
+                    repo.files[field] = await checkFile(this, repo, check);
+                } catch (error) {
+                    console.warn(`Unable to check ${field} for ${repo.name}: ${error.message}`);
+                    repo.files[field] = null;
+                }
+            }
+        }, this.reportProgress('Checking files'));
+        
+        console.log('File checks complete');
+    }
+
+    // Override file of each repository (see lib/overrides.js), read from its default branch
+    async fetchAllOverrides() {
+        console.log('Reading override files for all repositories...');
+        
+        await this.scheduler.map(this.repos, async repo => {
+            repo.override = await fetchOverride(this, repo);
+            if (repo.override.status === 'invalid' || repo.override.status === 'unreadable') {
+                console.warn(`Ignoring the override file of ${repo.name}: ${repo.override.errors.join('; ')}`);
+            }
+        }, this.reportProgress('Reading override files'));
+        
+        console.log('Override files complete');
+    }
+
+    // Progress callback for scheduler.map() that logs every githubSettings.progressInterval items
+    reportProgress(label) {
+        const interval = this.githubSettings.progressInterval || 25;
+        return (completed, total) => {
+            if (completed % interval === 0 || completed === total) {
+                console.log(`${label}: ${completed}/${total} (${Math.round(completed / total * 100)}%)`);
+            }
+        };
+    }
+
+    // Effective protection of the default branch: classic branch protection combined with ruleset rules
+    branchProtectionFor(repo) {
+        return effectiveProtection(repo.branchProtection || { enabled: null, error: 'Not fetched' }, repo.branchRules);
+    }
+
+    // Least protected branch matching a branch pattern with its effective protection,
+    // or null when the repository has no matching branch
+    patternBranchFor(repo, pattern) {
+        const entries = (repo.patternBranches || {})[pattern] || [];
+        return weakestProtection(entries.map(entry => ({
+            branch: entry.branch,
+            protection: effectiveProtection(entry.protection, entry.rules)
+        })));
+    }
+
+    // Field definition with the context its hooks are called with (see lib/fields.js)
+    fieldDefinition(field) {
+        return { definition: fieldDefinition(field, this), context: { field: field, analyzer: this } };
+    }
+
     extractConfigValues(repo) {
         const config = {};
         
         this.configFields.forEach(field => {
-            if (field === 'security_and_analysis') {
-                config[field] = repo[field] ? {
-                    advanced_security: repo[field].advanced_security?.status,
-                    secret_scanning: repo[field].secret_scanning?.status,
-                    secret_scanning_push_protection: repo[field].secret_scanning_push_protection?.status
-                } : null;
-            } else if (field === 'license') {
-                config[field] = repo[field] ? repo[field].name : null;
-            } else if (field === 'branch_protection') {
-                config[field] = repo.branchProtection || { enabled: null, error: 'Not fetched' };
-            } else {
-                config[field] = repo[field];
-            }
+            const { definition, context } = this.fieldDefinition(field);
+            config[field] = definition.extract(repo, context);
         });
         
         return config;
     }
 
-    calculateNorms() {
+    calculateNorms(repos = this.repos) {
         const norms = {};
+        const configs = repos.map(repo => this.extractConfigValues(repo));
         
         this.configFields.forEach(field => {
-            const values = this.repos.map(repo => {
-                if (field === 'security_and_analysis') {
-                    return repo[field] ? {
-                        advanced_security: repo[field].advanced_security?.status,
-                        secret_scanning: repo[field].secret_scanning?.status,
-                        secret_scanning_push_protection: repo[field].secret_scanning_push_protection?.status
-                    } : null;
-                } else if (field === 'license') {
-                    return repo[field] ? repo[field].name : null;
-                } else if (field === 'branch_protection') {
-                    return repo.branchProtection || { enabled: null, error: 'Not fetched' };
-                } else {
-                    return repo[field];
-                }
-            });
-            
-            if (field === 'topics') {
-                // For topics, find the most common topics
-                const topicCounts = {};
-                values.forEach(topicList => {
-                    if (Array.isArray(topicList)) {
-                        topicList.forEach(topic => {
-                            topicCounts[topic] = (topicCounts[topic] || 0) + 1;
-                        });
-                    }
-                });
-                norms[field] = Object.entries(topicCounts)
-                    .sort(([,a], [,b]) => b - a)
-                    .slice(0, this.reportSettings.maxTopicsInNorms)
-                    .map(([topic, count]) => ({ topic, count }));
-            } else if (field === 'security_and_analysis') {
-                // For security settings, find most common configuration
-                const configCounts = {};
-                values.forEach(config => {
-                    if (config) {
-                        const key = JSON.stringify(config);
-                        configCounts[key] = (configCounts[key] || 0) + 1;
-                    }
-                });
-                const mostCommon = Object.entries(configCounts)
-                    .sort(([,a], [,b]) => b - a)[0];
-                norms[field] = mostCommon ? JSON.parse(mostCommon[0]) : null;
-            } else if (field === 'branch_protection') {
-                // For branch protection, find most common configuration
-                const configCounts = {};
-                values.forEach(config => {
-                    if (config && config.enabled !== null) {
-                        const key = JSON.stringify(config);
-                        configCounts[key] = (configCounts[key] || 0) + 1;
-                    }
-                });
-                const mostCommon = Object.entries(configCounts)
-                    .sort(([,a], [,b]) => b - a)[0];
-                norms[field] = mostCommon ? JSON.parse(mostCommon[0]) : null;
-            } else {
-                // For simple values, find the most common value while preserving data types
-                const valueCounts = {};
-                values.forEach(value => {
-                    if (value !== null && value !== undefined) {
-                        // Use the value itself as the key to preserve data types
-                        const key = typeof value === 'object' ? JSON.stringify(value) : value;
-                        valueCounts[key] = (valueCounts[key] || 0) + 1;
-                    } else {
-                        // Treat null and undefined as equivalent
-                        valueCounts['null'] = (valueCounts['null'] || 0) + 1;
-                    }
-                });
-                const mostCommon = Object.entries(valueCounts)
-                    .sort(([,a], [,b]) => b - a)[0];
-                
-                if (mostCommon) {
-                    // Convert back to original data type if it was a string representation
-                    const key = mostCommon[0];
-                    if (key === 'true') {
-                        norms[field] = true;
-                    } else if (key === 'false') {
-                        norms[field] = false;
-                    } else if (key === 'null') {
-                        norms[field] = null;
-                    } else if (!isNaN(key) && key !== '') {
-                        // Try to convert to number if it looks like a number
-                        norms[field] = Number(key);
-                    } else {
-                        norms[field] = key;
-                    }
-                } else {
-                    norms[field] = null;
-                }
-            }
+            const { definition, context } = this.fieldDefinition(field);
+            // Values normalised to undefined are left out of the norm
+            const values = configs
+                .map(config => definition.normalise(config[field], context))
+                .filter(value => value !== undefined);
+            norms[field] = definition.norm(values, context);
         });
         
         return norms;
     }
 
-    findDeviations(repoConfig, norms) {
+    // Norms for each cohort with at least cohortSettings.minSize repositories.
+    // Repositories in smaller cohorts are compared with the org-wide norm.
+    calculateCohortNorms() {
+        const cohortNorms = {};
+        if (!this.cohortSettings.groupBy) {
+            return cohortNorms;
+        }
+        
+        const minSize = this.cohortSettings.minSize || 1;
+        Object.entries(groupByCohort(this.repos, this.cohortSettings)).forEach(([cohort, repos]) => {
+            if (repos.length >= minSize) {
+                cohortNorms[cohort] = this.calculateNorms(repos);
+            }
+        });
+        return cohortNorms;
+    }
+
+    // Value distribution and norm confidence for every config field (see lib/stats.js)
+    calculateFieldStats(repos = this.repos) {
+        const configs = repos.map(repo => this.extractConfigValues(repo));
+        return calculateFieldStats(configs, this.configFields, this.deviationSettings.minConsensus || 0, this);
+    }
+
+    // fieldStats (from calculateFieldStats) marks fields without a clear norm, which are not compared with the norm.
+    // expected holds the requirements a repository declares in its override file (see lib/overrides.js).
+    findDeviations(repoConfig, norms, fieldStats = null, expected = {}) {
         const deviations = {};
         
         this.configFields.forEach(field => {
-            // Skip fields that should be ignored
-            if (this.deviationSettings.ignoreFields.includes(field)) {
-                return;
-            }
-            
             const repoValue = repoConfig[field];
-            const normValue = norms[field];
-            
-            if (field === 'topics') {
-                if (!Array.isArray(repoValue) || !Array.isArray(normValue)) {
-                    if (repoValue !== normValue) {
-                        deviations[field] = {
-                            repo: repoValue,
-                            norm: normValue
-                        };
-                    }
-                } else {
-                    const repoTopics = new Set(repoValue);
-                    const normTopics = new Set(normValue.map(n => n.topic));
-                    const missing = normValue.filter(n => !repoTopics.has(n.topic));
-                    const extra = repoValue.filter(topic => !normTopics.has(topic));
-                    
-                    // Only mark as deviation if thresholds are met
-                    if (missing.length >= this.deviationSettings.topicMissingThreshold || 
-                        extra.length >= this.deviationSettings.topicExtraThreshold) {
-                        deviations[field] = {
-                            repo: repoValue,
-                            norm: normValue,
-                            missing: missing,
-                            extra: extra
-                        };
-                    }
-                }
-            } else if (field === 'security_and_analysis' || field === 'branch_protection') {
-                if (JSON.stringify(repoValue) !== JSON.stringify(normValue)) {
+
+            // Fields declared in the policy are checked against the policy instead of the norm.
+            // An explicit policy requirement applies even to fields listed in ignoreFields.
+            if (this.policyMode !== 'norm' && this.policy[field] !== undefined) {
+                const violations = evaluateRule(repoValue, this.policy[field], field);
+                if (violations.length > 0) {
                     deviations[field] = {
                         repo: repoValue,
-                        norm: normValue
+                        norm: this.policy[field],
+                        source: 'policy',
+                        violations: violations
                     };
                 }
-            } else {
-                // For simple values, handle type coercion and null/undefined equivalence
-                let isDifferent = false;
-                
-                // Helper function to check if values are effectively null/undefined
-                const isNullOrUndefined = (value) => value === null || value === undefined;
-                
-                if (repoValue === normValue) {
-                    // Values are exactly the same
-                    isDifferent = false;
-                } else if (isNullOrUndefined(repoValue) && isNullOrUndefined(normValue)) {
-                    // Both are null/undefined - treat as equivalent
-                    isDifferent = false;
-                } else if (isNullOrUndefined(repoValue) || isNullOrUndefined(normValue)) {
-                    // One is null/undefined, the other isn't
-                    isDifferent = true;
-                } else if (typeof repoValue === 'boolean' && typeof normValue === 'boolean') {
-                    // Both are booleans, compare directly
-                    isDifferent = repoValue !== normValue;
-                } else if (typeof repoValue === 'number' && typeof normValue === 'number') {
-                    // Both are numbers, compare directly
-                    isDifferent = repoValue !== normValue;
-                } else if (typeof repoValue === 'string' && typeof normValue === 'string') {
-                    // Both are strings, compare directly
-                    isDifferent = repoValue !== normValue;
-                } else {
-                    // Different types, try to coerce for comparison
-                    const repoCoerced = repoValue === true || repoValue === 'true' ? true : 
-                                      repoValue === false || repoValue === 'false' ? false : repoValue;
-                    const normCoerced = normValue === true || normValue === 'true' ? true : 
-                                      normValue === false || normValue === 'false' ? false : normValue;
-                    
-                    isDifferent = repoCoerced !== normCoerced;
-                }
-                
-                if (isDifferent) {
+                return;
+            }
+
+            // Requirements declared by the repository replace the norm, in every policy mode
+            if (expected[field] !== undefined) {
+                const violations = evaluateRule(repoValue, expected[field], field);
+                if (violations.length > 0) {
                     deviations[field] = {
                         repo: repoValue,
-                        norm: normValue
+                        norm: expected[field],
+                        source: 'override',
+                        violations: violations
                     };
                 }
+                return;
+            }
+
+            // In policy-only mode, fields without a requirement are not checked
+            if (this.policyMode === 'policy') {
+                return;
+            }
+
+            // Skip fields that should be ignored
+            if (this.deviationSettings.ignoreFields.includes(field)) {
+                return;
+            }
+            
+            // Without a clear norm there is nothing meaningful to deviate from
+            if (fieldStats && fieldStats[field] && !fieldStats[field].clearNorm) {
+                return;
+            }
+            
+            const normValue = norms[field];
+            const { definition, context } = this.fieldDefinition(field);
+            const details = definition.compare(repoValue, normValue, context);
+            
+            // Nor are the sub-settings of a nested field without a clear norm
+            const pathStats = fieldStats && fieldStats[field] && fieldStats[field].paths;
+            if (details && details.paths && pathStats) {
+                details.paths = details.paths.filter(entry => !pathStats[entry.path] || pathStats[entry.path].clearNorm);
+                if (details.paths.length === 0) {
+                    return;
+                }
+            }
+            
+            if (details) {
+                deviations[field] = {
+                    repo: repoValue,
+                    norm: normValue,
+                    ...details
+                };
             }
         });
         
         return Object.keys(deviations).length > 0 ? deviations : null;
     }
 
-    generateHTMLReport() {
-        const norms = this.calculateNorms();
-        const repoConfigs = this.repos.map(repo => ({
-            name: repo.name,
-            full_name: repo.full_name,
-            html_url: repo.html_url,
-            config: this.extractConfigValues(repo),
-            deviations: this.findDeviations(this.extractConfigValues(repo), norms)
-        }));
-
-        const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>GitHub Repository Configuration Analysis - ${this.orgName}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            margin: 0;
-            padding: 20px;
-            background-color: #f6f8fa;
-        }
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 8px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            overflow: hidden;
-        }
-        .header {
-            background: linear-gradient(135deg, #24292e 0%, #586069 100%);
-            color: white;
-            padding: 30px;
-            text-align: center;
-        }
-        .header h1 {
-            margin: 0;
-            font-size: 2.5em;
-            font-weight: 300;
-        }
-        .header p {
-            margin: 10px 0 0 0;
-            opacity: 0.9;
-        }
-        .content {
-            padding: 30px;
-        }
-        .section {
-            margin-bottom: 40px;
-        }
-        .section h2 {
-            color: #24292e;
-            border-bottom: 2px solid #e1e4e8;
-            padding-bottom: 10px;
-            margin-bottom: 20px;
-        }
-        .repo-card {
-            border: 1px solid #e1e4e8;
-            border-radius: 6px;
-            margin-bottom: 20px;
-            overflow: hidden;
-        }
-        .repo-header {
-            background: #f6f8fa;
-            padding: 15px 20px;
-            border-bottom: 1px solid #e1e4e8;
-        }
-        .repo-header h3 {
-            margin: 0;
-            color: #0366d6;
-        }
-        .repo-header a {
-            color: inherit;
-            text-decoration: none;
-        }
-        .repo-header a:hover {
-            text-decoration: underline;
-        }
-        .repo-content {
-            padding: 20px;
-        }
-        .config-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-            gap: 15px;
-        }
-        .config-item {
-            background: #f8f9fa;
-            padding: 10px;
-            border-radius: 4px;
-            border-left: 3px solid #28a745;
-        }
-        .config-item.deviation {
-            border-left-color: #dc3545;
-            background: #fff5f5;
-        }
-        .config-label {
-            font-weight: 600;
-            color: #24292e;
-            margin-bottom: 5px;
-        }
-        .config-value {
-            color: #586069;
-            word-break: break-word;
-        }
-        .deviation-details {
-            margin-top: 10px;
-            padding: 10px;
-            background: #fff3cd;
-            border-radius: 4px;
-            border-left: 3px solid #ffc107;
-        }
-        .deviation-details h4 {
-            margin: 0 0 10px 0;
-            color: #856404;
-        }
-        .deviation-item {
-            margin-bottom: 5px;
-        }
-        .deviation-repo {
-            color: #dc3545;
-        }
-        .deviation-norm {
-            color: #28a745;
+    describeBaseline() {
+        if (this.policyMode === 'policy') {
+            return 'declared policy';
+        } else if (this.policyMode === 'both') {
+            return 'declared policy and norm';
         }
-        .summary {
-            background: #f8f9fa;
-            padding: 20px;
-            border-radius: 6px;
-            margin-bottom: 30px;
-        }
-        .summary-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-        }
-        .summary-item {
-            text-align: center;
-        }
-        .summary-number {
-            font-size: 2em;
-            font-weight: bold;
-            color: #0366d6;
-        }
-        .summary-label {
-            color: #586069;
-            margin-top: 5px;
-        }
-        .norms-section {
-            background: #f1f8ff;
-            padding: 20px;
-            border-radius: 6px;
-            margin-bottom: 30px;
-        }
-        .norms-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-            gap: 15px;
-        }
-        .norm-item {
-            background: white;
-            padding: 15px;
-            border-radius: 4px;
-            border: 1px solid #e1e4e8;
-        }
-        .norm-label {
-            font-weight: 600;
-            color: #24292e;
-            margin-bottom: 8px;
-        }
-        .norm-value {
-            color: #586069;
-        }
-        .topic-list {
-            display: flex;
-            flex-wrap: wrap;
-            gap: 5px;
-        }
-        .topic-tag {
-            background: #0366d6;
-            color: white;
-            padding: 2px 8px;
-            border-radius: 12px;
-            font-size: 0.8em;
-        }
-        .topic-count {
-            background: #28a745;
-            color: white;
-            padding: 2px 6px;
-            border-radius: 10px;
-            font-size: 0.7em;
-            margin-left: 5px;
-        }
-        .timestamp {
-            text-align: center;
-            color: #586069;
-            margin-top: 30px;
-            padding-top: 20px;
-            border-top: 1px solid #e1e4e8;
-        }
-        .branch-protection-status {
-            display: inline-block;
-            padding: 2px 8px;
-            border-radius: 12px;
-            font-size: 0.8em;
-            font-weight: bold;
-        }
-        .branch-protection-enabled {
-            background: #28a745;
-            color: white;
-        }
-        .branch-protection-disabled {
-            background: #dc3545;
-            color: white;
-        }
-        .branch-protection-error {
-            background: #ffc107;
-            color: #856404;
+        return 'norm';
+    }
+
+    // cohortNorms maps cohort names to norms (see calculateCohortNorms); repositories in
+    // a cohort without norms of its own are compared with the org-wide norms
+    analyze(norms = this.calculateNorms(), cohortNorms = this.calculateCohortNorms()) {
+        const fieldStats = this.calculateFieldStats();
+        
+        let cohorts = null;
+        if (this.cohortSettings.groupBy) {
+            cohorts = {};
+            Object.entries(groupByCohort(this.repos, this.cohortSettings)).forEach(([cohort, repos]) => {
+                cohorts[cohort] = {
+                    repositories: repos.map(repo => repo.name),
+                    norms: cohortNorms[cohort] || null,
+                    fieldStats: cohortNorms[cohort] ? this.calculateFieldStats(repos) : null
+                };
+            });
         }
-        ${this.reportSettings.customCSS || ''}
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>GitHub Repository Configuration Analysis</h1>
-            <p>Organization: ${this.orgName}</p>
-        </div>
-        
-        <div class="content">
+        
+        const generatedAt = new Date().toISOString();
+        const today = generatedAt.slice(0, 10);
+        
+        const repos = this.repos.map(repo => {
+            const config = this.extractConfigValues(repo);
+            const cohort = cohortFor(repo, this.cohortSettings);
+            const ownNorms = Boolean(cohortNorms[cohort]);
+            const override = declaredOverride(repo);
+            const found = ownNorms ?
+                this.findDeviations(config, cohortNorms[cohort], cohorts[cohort].fieldStats, override.expected) :
+                this.findDeviations(config, norms, fieldStats, override.expected);
+            
+            // Record which cohort norm a deviation was measured against
+            if (found && ownNorms) {
+                Object.values(found)
+                    .filter(deviation => !deviation.source)
+                    .forEach(deviation => {
+                        deviation.cohort = cohort;
+                    });
+            }
+            
+            Object.entries(found || {}).forEach(([field, deviation]) => {
+                deviation.severity = deviationSeverity(field, deviation, this.severitySettings);
+                
+                // Field-specific details, such as the branch that represents the repository for a branch pattern
+                const { definition, context } = this.fieldDefinition(field);
+                if (definition.annotate) {
+                    definition.annotate(deviation, repo, context);
+                }
+            });
+            
+            // Exempted deviations are accepted risks and do not count towards the risk score
+            const { deviations, acceptedRisks } = applyExemptions(repo.name, found, this.exemptions.concat(override.exemptions), today);
+            
+            return {
+                name: repo.name,
+                full_name: repo.full_name,
+                html_url: repo.html_url,
+                cohort: cohort,
+                config: config,
+                deviations: deviations,
+                acceptedRisks: acceptedRisks,
+                override: repo.override || null,
+                riskScore: riskScore(deviations, this.severitySettings)
+            };
+        });
+
+        return {
+            generatedAt: generatedAt,
+            norms: norms,
+            fieldStats: fieldStats,
+            cohorts: cohorts,
+            repos: repos
+        };
+    }
+
+    // Restore repositories from a snapshot and analyse them against the norms recorded in it.
+    // Cohort norms are recalculated when the snapshot was taken without cohorts.
+    analyzeSnapshot(snapshot) {
+        this.repos = snapshot.repos;
+        const cohortNorms = snapshot.cohortNorms && Object.keys(snapshot.cohortNorms).length > 0 ?
+            snapshot.cohortNorms : this.calculateCohortNorms();
+        return {
+            ...this.analyze(snapshot.norms, cohortNorms),
+            generatedAt: snapshot.createdAt
+        };
+    }
+
+    // Short display form of a norm value for the cohort breakdown
+    formatNormValue(field, value) {
+        return this.renderFieldValue(field, value, 'summary');
+    }
+
+    // Table of cohorts with their size, deviation count and the norms that differ from the org-wide norm
+    renderCohortBreakdown(analysis) {
+        const minSize = this.cohortSettings.minSize || 1;
+        
+        return html`
+                <table class="cohort-table sortable">
+                    <thead>
+                        <tr>
+                            <th>Cohort</th>
+                            <th>Repositories</th>
+                            <th>With Deviations</th>
+                            <th>Norms Differing from the Organization</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(analysis.cohorts).map(([name, cohort]) => {
+                            const members = analysis.repos.filter(repo => repo.cohort === name);
+                            let differences;
+                            
+                            if (!cohort.norms) {
+                                differences = `Fewer than ${minSize} repositories, compared with the organization norm`;
+                            } else {
+                                const fields = this.configFields.filter(field =>
+                                    JSON.stringify(cohort.norms[field]) !== JSON.stringify(analysis.norms[field]));
+                                differences = fields.length === 0 ? 'Same as the organization' :
+                                    joinHTML(fields.map(field => html`<code>${field}</code>: ${this.formatNormValue(field, cohort.norms[field])}`), html`<br>`);
+                            }
+                            
+                            return html`
+                        <tr>
+                            <td><span class="cohort-tag">${name}</span></td>
+                            <td>${cohort.repositories.length}</td>
+                            <td>${members.filter(repo => repo.deviations).length}</td>
+                            <td>${differences}</td>
+                        </tr>`;
+                        })}
+                    </tbody>
+                </table>`;
+    }
+
+    // Organization-wide summary of outside collaborators, team grants and direct admins
+    renderAccessSummary(analysis) {
+        const summary = accessSummary(analysis.repos);
+        const known = summary.repositories - summary.unknown;
+        
+        return html`
+                <p><strong>${summary.withOutsideCollaborators.length}</strong> of ${known} repositories have outside collaborators (${summary.outsideCollaborators.length} distinct users)${summary.withOutsideCollaborators.length > 0 ? `: ${summary.withOutsideCollaborators.join(', ')}` : ''}.</p>
+                <p><strong>${summary.withOutsideAdmins.length}</strong> repositories grant an outside collaborator admin${summary.withOutsideAdmins.length > 0 ? `: ${summary.withOutsideAdmins.join(', ')}` : ''}.</p>
+                ${summary.unknown > 0 ? html`<p>Access could not be read for ${summary.unknown} repositories.</p>` : ''}
+                <h3>Team Grants</h3>
+                <table class="access-table sortable">
+                    <thead>
+                        <tr>
+                            <th>Team</th>
+                            ${TEAM_PERMISSIONS.map(permission => html`<th>${permission.charAt(0).toUpperCase()}${permission.slice(1)} Repositories</th>`)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${summary.teams.length === 0 ? html`<tr><td colspan="${TEAM_PERMISSIONS.length + 1}">No team grants</td></tr>` : summary.teams.map(team => html`
+                        <tr>
+                            <td>${team.team}</td>
+                            ${TEAM_PERMISSIONS.map(permission => html`<td>${team[permission]}</td>`)}
+                        </tr>`)}
+                    </tbody>
+                </table>
+                <h3>Direct User Admins</h3>
+                <table class="access-table sortable">
+                    <thead>
+                        <tr>
+                            <th>User</th>
+                            <th>Repositories</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${summary.directAdmins.length === 0 ? html`<tr><td colspan="2">No users are granted admin directly</td></tr>` : summary.directAdmins.map(admin => html`
+                        <tr>
+                            <td>${admin.login}</td>
+                            <td>${admin.repositories.join(', ')}</td>
+                        </tr>`)}
+                    </tbody>
+                </table>`;
+    }
+
+    // Whether exemptions are configured centrally or declared in any repository's override file
+    hasExemptions(analysis) {
+        return this.exemptions.length > 0 || analysis.repos.some(repo => declaredOverride(repo).exemptions.length > 0);
+    }
+
+    // Table of deviations accepted by an exemption, with the reason, owner and expiry of each exemption
+    renderAcceptedRisks(analysis) {
+        const risks = acceptedRiskList(analysis.repos);
+        const resurfaced = analysis.repos.reduce((count, repo) =>
+            count + Object.values(repo.deviations || {}).filter(deviation => deviation.expiredExemptions).length, 0);
+        
+        return html`
+                <p><strong>${risks.length}</strong> deviations are accepted by an exemption and do not count towards risk scores.</p>
+                ${resurfaced > 0 ? html`<p><strong>${resurfaced}</strong> deviations are reported again because their exemption has expired.</p>` : ''}
+                <table class="exemption-table sortable">
+                    <thead>
+                        <tr>
+                            <th>Repository</th>
+                            <th>Field</th>
+                            <th>Severity</th>
+                            <th>Reason</th>
+                            <th>Owner</th>
+                            <th>Expires</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${risks.length === 0 ? html`<tr><td colspan="6">No accepted risks</td></tr>` : risks.map(risk => html`
+                        <tr>
+                            <td>${risk.repository}</td>
+                            <td>${risk.exemptions.some(exemption => exemption.path) ? joinHTML(risk.exemptions.map(exemption => html`<code>${exemption.path || exemption.field}</code>`), html`<br>`) : risk.field}</td>
+                            <td>${this.severityBadge(risk.severity)}</td>
+                            <td>${joinHTML(risk.exemptions.map(exemption => exemption.reason), html`<br>`)}</td>
+                            <td>${joinHTML(risk.exemptions.map(exemption => exemption.owner), html`<br>`)}</td>
+                            <td>${joinHTML(risk.exemptions.map(exemption => exemption.expires), html`<br>`)}</td>
+                        </tr>`)}
+                    </tbody>
+                </table>`;
+    }
+
+    // Repositories with, without and with unusable override files
+    renderOverrideSummary(analysis) {
+        const summary = overrideSummary(analysis.repos);
+        const problems = [
+            ...summary.invalid.map(entry => ({ ...entry, path: html`<code>${entry.path}</code>` })),
+            ...summary.unreadable.map(entry => ({ ...entry, path: 'Could not be read' }))
+        ];
+        
+        return html`
+                <p><strong>${summary.found.length}</strong> of ${analysis.repos.length} repositories declare their configuration in an override file${summary.found.length > 0 ? `: ${summary.found.join(', ')}` : ''}.</p>
+                ${summary.missing.length > 0 ? html`<p>No override file: ${summary.missing.join(', ')}.</p>` : ''}
+                ${problems.length > 0 ? html`
+                <p><strong>${problems.length}</strong> override files are ignored:</p>
+                <table class="exemption-table sortable">
+                    <thead>
+                        <tr>
+                            <th>Repository</th>
+                            <th>File</th>
+                            <th>Problems</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${problems.map(problem => html`
+                        <tr>
+                            <td>${problem.repository}</td>
+                            <td>${problem.path}</td>
+                            <td>${joinHTML(problem.errors, html`<br>`)}</td>
+                        </tr>`)}
+                    </tbody>
+                </table>` : ''}`;
+    }
+
+    // Search, filter and view controls of the interactive report (see lib/report-client.js)
+    renderReportToolbar() {
+        return html`
+                <div class="report-toolbar">
+                    <input type="search" id="filter-search" placeholder="Search repositories" aria-label="Search repositories">
+                    <select id="filter-field" aria-label="Field">
+                        <option value="">All fields</option>
+                        ${this.configFields.map(field => html`<option value="${field}">${field}</option>`)}
+                    </select>
+                    <select id="filter-severity" aria-label="Severity">
+                        <option value="">Any severity</option>
+                        ${SEVERITIES.map(severity => html`<option value="${severity}">${severity.charAt(0).toUpperCase()}${severity.slice(1)} or worse</option>`)}
+                    </select>
+                    <label><input type="checkbox" id="filter-deviations"> Only repositories with deviations</label>
+                    <select id="filter-view" aria-label="View">
+                        <option value="table">Table</option>
+                        <option value="matrix">Field matrix</option>
+                    </select>
+                    <button type="button" id="expand-all">Expand all</button>
+                    <button type="button" id="collapse-all">Collapse all</button>
+                    <span id="filter-count"></span>
+                </div>`;
+    }
+
+    // Sortable table with one row per repository, linking to its card
+    renderRepoOverview(analysis) {
+        return html`
+                <table id="repo-overview" class="overview-table sortable">
+                    <thead>
+                        <tr>
+                            <th>Repository</th>
+                            ${analysis.cohorts ? html`<th>Cohort</th>` : ''}
+                            <th>Deviations</th>
+                            <th>Highest Severity</th>
+                            <th>Accepted Risks</th>
+                            <th>Risk Score</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.sortByRisk(analysis.repos).map(repo => {
+                            const severities = Object.values(repo.deviations || {}).map(deviation => deviation.severity).sort(compareSeverity);
+                            
+                            return html`
+                        <tr data-repo="${repo.name}">
+                            <td><a href="#repo=${encodeURIComponent(repo.name)}">${repo.name}</a></td>
+                            ${analysis.cohorts ? html`<td>${repo.cohort || ''}</td>` : ''}
+                            <td>${Object.keys(repo.deviations || {}).length}</td>
+                            <td data-sort="${severities.length > 0 ? severityRank(severities[0]) : SEVERITIES.length}">${this.severityBadge(severities[0])}</td>
+                            <td>${Object.keys(repo.acceptedRisks || {}).length}</td>
+                            <td>${repo.riskScore || 0}</td>
+                        </tr>`;
+                        })}
+                    </tbody>
+                </table>`;
+    }
+
+    // Note on a deviation whose exemptions have expired
+    describeExpiredExemptions(deviation) {
+        return joinHTML(deviation.expiredExemptions.map(exemption =>
+            `Exemption expired on ${exemption.expires} (${exemption.reason}; owner: ${exemption.owner})`
+        ), html`<br>`);
+    }
+
+    // Nested deviations are shown as the differing paths only, unless the field definition decides otherwise
+    showsPathsOnly(field, deviation) {
+        return this.fieldDefinition(field).definition.showsPathsOnly(deviation);
+    }
+
+    // HTML for a field value rendered by its field definition; kind is one of the
+    // render kinds described in lib/fields.js
+    renderFieldValue(field, value, kind) {
+        const { definition, context } = this.fieldDefinition(field);
+        return definition.render(value, kind, context);
+    }
+
+    renderPathValues(paths, side) {
+        return html`<ul class="path-list">${paths.map(p => html`<li><code>${p.path}</code>: ${JSON.stringify(p[side])}</li>`)}</ul>`;
+    }
+
+    // Highest risk first; repositories with equal scores keep their order
+    sortByRisk(repos) {
+        return [...repos].sort((a, b) => (b.riskScore || 0) - (a.riskScore || 0));
+    }
+
+    // Deviation entries ordered from the most to the least severe
+    sortedDeviations(deviations) {
+        return Object.entries(deviations || {})
+            .sort(([, a], [, b]) => compareSeverity(a.severity || 'low', b.severity || 'low'));
+    }
+
+    severityBadge(severity) {
+        return severity ? html`<span class="severity-badge severity-${severity}">${severity}</span>` : '';
+    }
+
+    // Deviation and repository counts per severity, shown in the summary of both reports
+    renderSeverityBreakdown(analysis) {
+        const breakdown = severityBreakdown(analysis.repos);
+        
+        return html`
+                <table class="severity-table">
+                    <thead>
+                        <tr>
+                            <th>Severity</th>
+                            <th>Deviations</th>
+                            <th>Repositories (by highest severity)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${SEVERITIES.map(severity => html`
+                        <tr>
+                            <td>${this.severityBadge(severity)}</td>
+                            <td>${breakdown.deviations[severity]}</td>
+                            <td>${breakdown.repositories[severity]}</td>
+                        </tr>`)}
+                    </tbody>
+                </table>`;
+    }
+
+    // Confidence badge and value distribution shown under each norm
+    renderFieldStats(field, stats) {
+        const label = stats.clearNorm ?
+            `${stats.confidenceLevel.charAt(0).toUpperCase()}${stats.confidenceLevel.slice(1)} confidence` :
+            'No clear norm';
+        const distribution = this.fieldDefinition(field).definition.items ?
+            stats.distribution.slice(0, this.reportSettings.maxTopicsInNorms) :
+            stats.distribution;
+        
+        return html`
+                                    <div class="norm-confidence confidence-${stats.clearNorm ? stats.confidenceLevel : 'none'}">${label}: ${Math.round(stats.confidence * 100)}% of ${stats.total}</div>
+                                    <ul class="distribution">
+                                        ${distribution.map(entry => html`
+                                        <li>
+                                            <span class="distribution-value">${this.formatDistributionValue(field, entry.value)}</span>
+                                            <span class="distribution-count">${entry.count} (${entry.percentage}%)</span>
+                                            <div class="distribution-bar"><div style="width: ${entry.percentage}%"></div></div>
+                                        </li>`)}
+                                    </ul>`;
+    }
+
+    // Norm-checked fields whose org-wide norm falls below deviationSettings.minConsensus
+    fieldsWithoutClearNorm(analysis) {
+        return Object.entries(analysis.fieldStats || {})
+            .filter(([, stats]) => !stats.clearNorm)
+            .map(([field]) => field)
+            .filter(field => !this.deviationSettings.ignoreFields.includes(field))
+            .filter(field => this.policyMode === 'norm' || (this.policyMode === 'both' && this.policy[field] === undefined));
+    }
+
+    formatDistributionValue(field, value) {
+        return this.renderFieldValue(field, value, 'distribution');
+    }
+
+    generateHTMLReport(analysis = this.analyze()) {
+        const norms = analysis.norms;
+        const repoConfigs = analysis.repos;
+        const interactive = this.reportSettings.interactive !== false;
+        const repoCard = template(this, 'repoCard');
+        const normCard = template(this, 'normCard');
+
+        return renderPage(this, {
+            title: `GitHub Repository Configuration Analysis - ${this.orgName}`,
+            heading: 'GitHub Repository Configuration Analysis',
+            lines: [
+                `Organization: ${this.orgName}`,
+                `Baseline: ${this.describeBaseline()}`,
+                ...(analysis.cohorts ? [`Cohorts: ${describeCohorts(this.cohortSettings)}`] : [])
+            ],
+            css: FULL_REPORT_CSS,
+            body: html`
             <div class="summary">
                 <h2>Summary</h2>
                 <div class="summary-grid">
@@ -582,401 +1021,335 @@ class RepoConfigAnalyzer {
                         <div class="summary-label">Configuration Fields Analyzed</div>
                     </div>
                 </div>
+                ${this.renderSeverityBreakdown(analysis)}
+                ${this.describeFilters().length > 0 ? html`
+                    <p class="filters"><strong>Filters applied:</strong> ${this.describeFilters().join('; ')}</p>
+                ` : ''}
+            </div>
+
+            ${interactive ? html`
+            <div class="section">
+                <h2>Repositories</h2>
+                ${this.renderReportToolbar()}
+                <div id="table-view">
+                    ${this.renderRepoOverview(analysis)}
+                </div>
+                <div id="matrix-view" hidden></div>
             </div>
+            ` : ''}
 
             <div class="section">
                 <h2>Configuration Norms</h2>
                 <div class="norms-section">
                     <div class="norms-grid">
-                        ${this.configFields.map(field => {
-                            const norm = norms[field];
-                            let displayValue = 'null';
-                            
-                            if (field === 'topics' && Array.isArray(norm)) {
-                                displayValue = `<div class="topic-list">${norm.map(t => 
-                                    `<span class="topic-tag">${t.topic}<span class="topic-count">${t.count}</span></span>`
-                                ).join('')}</div>`;
-                            } else if (field === 'security_and_analysis' && norm) {
-                                displayValue = `<pre>${JSON.stringify(norm, null, 2)}</pre>`;
-                            } else if (field === 'branch_protection' && norm) {
-                                const status = norm.enabled ? 'enabled' : 'disabled';
-                                const statusClass = norm.enabled ? 'branch-protection-enabled' : 'branch-protection-disabled';
-                                displayValue = `<span class="branch-protection-status ${statusClass}">${status}</span><br><pre>${JSON.stringify(norm, null, 2)}</pre>`;
-                            } else if (norm !== null && norm !== undefined) {
-                                displayValue = String(norm);
-                            }
-                            
-                            return `
-                                <div class="norm-item">
-                                    <div class="norm-label">${field}</div>
-                                    <div class="norm-value">${displayValue}</div>
-                                </div>
-                            `;
-                        }).join('')}
+                        ${this.configFields.map(field => normCard({
+                            analyzer: this,
+                            field: field,
+                            norm: norms[field],
+                            stats: analysis.fieldStats && analysis.fieldStats[field]
+                        }))}
                     </div>
                 </div>
             </div>
 
+            ${analysis.cohorts ? html`
+            <div class="section">
+                <h2>Cohorts</h2>
+                ${this.renderCohortBreakdown(analysis)}
+            </div>
+            ` : ''}
+
+            ${hasAccessFields(this.configFields) ? html`
+            <div class="section">
+                <h2>Access and Permissions</h2>
+                ${this.renderAccessSummary(analysis)}
+            </div>
+            ` : ''}
+
+            ${this.hasExemptions(analysis) ? html`
+            <div class="section">
+                <h2>Accepted Risks</h2>
+                ${this.renderAcceptedRisks(analysis)}
+            </div>
+            ` : ''}
+
+            ${this.overrideSettings.enabled ? html`
+            <div class="section">
+                <h2>Override Files</h2>
+                ${this.renderOverrideSummary(analysis)}
+            </div>
+            ` : ''}
+
             <div class="section">
                 <h2>Repository Configurations</h2>
-                ${repoConfigs.map(repo => `
-                    <div class="repo-card">
-                        <div class="repo-header">
-                            <h3><a href="${repo.html_url}" target="_blank">${repo.full_name}</a></h3>
-                        </div>
-                        <div class="repo-content">
+                ${this.sortByRisk(repoConfigs).map(repo => repoCard({
+                    analyzer: this,
+                    repo: repo,
+                    permalink: interactive,
+                    content: html`
                             <div class="config-grid">
                                 ${this.configFields.map(field => {
                                     const value = repo.config[field];
                                     const isDeviation = repo.deviations && repo.deviations[field];
-                                    let displayValue = 'null';
+                                    const displayValue = this.renderFieldValue(field, value, 'value');
                                     
-                                    if (field === 'topics' && Array.isArray(value)) {
-                                        displayValue = `<div class="topic-list">${value.map(topic => 
-                                            `<span class="topic-tag">${topic}</span>`
-                                        ).join('')}</div>`;
-                                    } else if (field === 'security_and_analysis' && value) {
-                                        displayValue = `<pre>${JSON.stringify(value, null, 2)}</pre>`;
-                                    } else if (field === 'branch_protection' && value) {
-                                        if (value.enabled === null) {
-                                            displayValue = `<span class="branch-protection-status branch-protection-error">Error: ${value.error || 'Unknown'}</span>`;
-                                        } else if (value.enabled === false) {
-                                            displayValue = `<span class="branch-protection-status branch-protection-disabled">Disabled</span>`;
-                                        } else {
-                                            displayValue = `<span class="branch-protection-status branch-protection-enabled">Enabled</span><br><pre>${JSON.stringify(value, null, 2)}</pre>`;
-                                        }
-                                    } else if (value !== null && value !== undefined) {
-                                        displayValue = String(value);
-                                    }
-                                    
-                                    return `
+                                    return html`
                                         <div class="config-item ${isDeviation ? 'deviation' : ''}">
-                                            <div class="config-label">${field}</div>
+                                            <div class="config-label">${field} ${isDeviation ? this.severityBadge(repo.deviations[field].severity) : ''}</div>
                                             <div class="config-value">${displayValue}</div>
-                                            ${isDeviation ? `
+                                            ${isDeviation ? html`
                                                 <div class="deviation-details">
                                                     <h4>Deviation Details:</h4>
+                                                    ${repo.deviations[field].branch ? html`
+                                                    <div class="deviation-item">
+                                                        <strong>Branch:</strong> ${repo.deviations[field].branch}
+                                                    </div>
+                                                    ` : ''}
+                                                    ${this.showsPathsOnly(field, repo.deviations[field]) ? html`
+                                                    <div class="deviation-item">
+                                                        <strong>Differences from the ${repo.deviations[field].cohort ? `${repo.deviations[field].cohort} cohort ` : ''}norm:</strong>
+                                                        <ul class="path-list">${repo.deviations[field].paths.map(p => html`
+                                                            <li><code>${p.path}</code>: <span class="deviation-repo">${JSON.stringify(p.repo)}</span> (norm: <span class="deviation-norm">${JSON.stringify(p.norm)}</span>)</li>`)}
+                                                        </ul>
+                                                    </div>
+                                                    ` : html`
                                                     <div class="deviation-item">
                                                         <strong>Repository:</strong> <span class="deviation-repo">${JSON.stringify(repo.deviations[field].repo)}</span>
                                                     </div>
                                                     <div class="deviation-item">
-                                                        <strong>Norm:</strong> <span class="deviation-norm">${JSON.stringify(repo.deviations[field].norm)}</span>
+                                                        <strong>${repo.deviations[field].source === 'policy' ? 'Policy' : repo.deviations[field].source === 'override' ? 'Declared by repository' : repo.deviations[field].cohort ? `Norm (${repo.deviations[field].cohort} cohort)` : 'Norm'}:</strong> <span class="deviation-norm">${JSON.stringify(repo.deviations[field].norm)}</span>
                                                     </div>
-                                                    ${repo.deviations[field].missing ? `
+                                                    `}
+                                                    ${repo.deviations[field].violations ? html`
+                                                        <div class="deviation-item">
+                                                            <strong>Violations:</strong> ${repo.deviations[field].violations.map(v => v.message).join('; ')}
+                                                        </div>
+                                                    ` : ''}
+                                                    ${repo.deviations[field].missing ? html`
                                                         <div class="deviation-item">
                                                             <strong>Missing:</strong> ${repo.deviations[field].missing.map(m => m.topic).join(', ')}
                                                         </div>
                                                     ` : ''}
-                                                    ${repo.deviations[field].extra ? `
+                                                    ${repo.deviations[field].extra ? html`
                                                         <div class="deviation-item">
                                                             <strong>Extra:</strong> ${repo.deviations[field].extra.join(', ')}
                                                         </div>
                                                     ` : ''}
+                                                    ${repo.deviations[field].expiredExemptions ? html`
+                                                        <div class="deviation-item">
+                                                            <strong>Expired exemption:</strong> ${this.describeExpiredExemptions(repo.deviations[field])}
+                                                        </div>
+                                                    ` : ''}
                                                 </div>
                                             ` : ''}
                                         </div>
                                     `;
-                                }).join('')}
-                            </div>
-                        </div>
-                    </div>
-                `).join('')}
-            </div>
-            
-            <div class="timestamp">
-                Report generated on ${new Date().toLocaleString()}
-            </div>
-        </div>
-    </div>
-</body>
-</html>`;
+                                })}
+                            </div>`
+                }))}
+            </div>`,
+            scripts: interactive ? html`
+    <script type="application/json" id="report-data">${raw(embedJSON(reportData(this, analysis)))}</script>
+    <script>
+${raw(clientScript())}
+    </script>` : ''
+        });
+    }
 
-        return html;
+    resolveFormats() {
+        const formats = [...(this.reportSettings.formats || ['html'])];
+        
+        // generateBothReports adds the deviations-only report alongside the full HTML report
+        if (this.reportSettings.generateBothReports && formats.includes('html') && !formats.includes('html-deviations')) {
+            formats.push('html-deviations');
+        }
+        
+        // Fail fast on unknown formats before spending time on API calls
+        formats.forEach(name => getFormat(name));
+        return formats;
     }
 
-    async generateReport() {
+    // Fetch everything needed for analysis. Returns false when there are no repositories;
+    // fails when the repositories cannot be listed.
+    async fetchData() {
         await this.fetchAllRepos();
         
         if (this.repos.length === 0) {
             console.log('No repositories found or all repositories are archived.');
-            return;
+            return false;
         }
 
-        // Fetch branch protection settings if the field is included
-        if (this.configFields.includes('branch_protection')) {
+        // Fetch branch protection settings (and rulesets) if a field needs them
+        if (this.configFields.some(field => isBranchProtectionField(field) || RULESET_FIELDS.includes(field))) {
             await this.fetchAllBranchProtections();
         }
-
-        const html = this.generateHTMLReport();
-        const filename = `repo-config-analysis-${this.orgName}-${new Date().toISOString().split('T')[0]}.html`;
-        
-        await fs.writeFile(filename, html);
-        console.log(`Report generated: ${filename}`);
         
-        // Also generate a deviations-only report if configured
-        if (this.reportSettings.generateBothReports) {
-            const deviationsOnly = this.generateDeviationsOnlyReport();
-            const deviationsFilename = `repo-deviations-${this.orgName}-${new Date().toISOString().split('T')[0]}.html`;
-            
-            await fs.writeFile(deviationsFilename, deviationsOnly);
-            console.log(`Deviations report generated: ${deviationsFilename}`);
-        }
-    }
-
-    generateDeviationsOnlyReport() {
-        const norms = this.calculateNorms();
-        const reposWithDeviations = this.repos
-            .map(repo => ({
-                name: repo.name,
-                full_name: repo.full_name,
-                html_url: repo.html_url,
-                config: this.extractConfigValues(repo),
-                deviations: this.findDeviations(this.extractConfigValues(repo), norms)
-            }))
-            .filter(repo => repo.deviations);
-
-        const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>GitHub Repository Deviations Report - ${this.orgName}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            margin: 0;
-            padding: 20px;
-            background-color: #f6f8fa;
-        }
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 8px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            overflow: hidden;
-        }
-        .header {
-            background: linear-gradient(135deg, #dc3545 0%, #c82333 100%);
-            color: white;
-            padding: 30px;
-            text-align: center;
-        }
-        .header h1 {
-            margin: 0;
-            font-size: 2.5em;
-            font-weight: 300;
-        }
-        .header p {
-            margin: 10px 0 0 0;
-            opacity: 0.9;
-        }
-        .content {
-            padding: 30px;
-        }
-        .repo-card {
-            border: 2px solid #dc3545;
-            border-radius: 6px;
-            margin-bottom: 20px;
-            overflow: hidden;
-        }
-        .repo-header {
-            background: #dc3545;
-            color: white;
-            padding: 15px 20px;
-        }
-        .repo-header h3 {
-            margin: 0;
+        // Settings outside the repository payload, from the collectors providing configured fields
+        const collectors = collectorsFor(this.configFields);
+        if (collectors.length > 0) {
+            await this.fetchCollectedData(collectors);
         }
-        .repo-header a {
-            color: inherit;
-            text-decoration: none;
-        }
-        .repo-header a:hover {
-            text-decoration: underline;
-        }
-        .repo-content {
-            padding: 20px;
-        }
-        .deviation-item {
-            background: #fff5f5;
-            padding: 15px;
-            border-radius: 4px;
-            margin-bottom: 15px;
-            border-left: 4px solid #dc3545;
-        }
-        .deviation-field {
-            font-weight: bold;
-            color: #dc3545;
-            margin-bottom: 10px;
-        }
-        .deviation-details {
-            display: grid;
-            grid-template-columns: 1fr 1fr;
-            gap: 15px;
-        }
-        .deviation-repo, .deviation-norm {
-            padding: 10px;
-            border-radius: 4px;
-        }
-        .deviation-repo {
-            background: #ffe6e6;
-            border: 1px solid #dc3545;
-        }
-        .deviation-norm {
-            background: #e6ffe6;
-            border: 1px solid #28a745;
-        }
-        .deviation-label {
-            font-weight: bold;
-            margin-bottom: 5px;
-        }
-        .deviation-value {
-            word-break: break-word;
-        }
-        .summary {
-            background: #fff3cd;
-            padding: 20px;
-            border-radius: 6px;
-            margin-bottom: 30px;
-            border: 1px solid #ffc107;
+        
+        // Files required by fileChecks, read from each repository's default branch
+        if (Object.keys(this.fileChecks).length > 0) {
+            await this.fetchAllFileChecks();
         }
-        .timestamp {
-            text-align: center;
-            color: #586069;
-            margin-top: 30px;
-            padding-top: 20px;
-            border-top: 1px solid #e1e4e8;
+        
+        // Cohorts, requirements and exemptions declared by the repositories themselves
+        if (this.overrideSettings.enabled) {
+            await this.fetchAllOverrides();
         }
-        .branch-protection-status {
-            display: inline-block;
-            padding: 2px 8px;
-            border-radius: 12px;
-            font-size: 0.8em;
-            font-weight: bold;
+        
+        // Team access is only needed to group repositories into cohorts by team
+        if (this.cohortSettings.groupBy === 'team') {
+            await this.fetchAllTeams();
         }
-        .branch-protection-enabled {
-            background: #28a745;
-            color: white;
+        
+        return true;
+    }
+
+    async generateReport() {
+        const formats = this.resolveFormats();
+        
+        if (!(await this.fetchData())) {
+            return null;
         }
-        .branch-protection-disabled {
-            background: #dc3545;
-            color: white;
+
+        const analysis = this.analyze();
+        await this.writeReports(analysis, formats);
+        
+        if (this.snapshotSettings.enabled) {
+            const snapshotFile = await writeSnapshot(createSnapshot(this, analysis), this.snapshotSettings.directory || 'snapshots');
+            console.log(`Snapshot saved: ${snapshotFile}`);
         }
-        .branch-protection-error {
-            background: #ffc107;
-            color: #856404;
+        
+        return analysis;
+    }
+
+    async writeReports(analysis, formats = this.resolveFormats()) {
+        const outputDir = this.reportSettings.outputDir || '.';
+        const date = analysis.generatedAt.split('T')[0];
+        const written = [];
+        
+        await fs.mkdir(outputDir, { recursive: true });
+        
+        for (const name of formats) {
+            const format = getFormat(name);
+            const output = format.render(this, analysis);
+            const filename = path.join(outputDir, `${format.prefix}-${this.orgName}-${date}.${format.extension}`);
+            
+            await fs.writeFile(filename, output);
+            console.log(`Report generated (${name}): ${filename}`);
+            written.push(filename);
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Repository Configuration Deviations</h1>
-            <p>Organization: ${this.orgName}</p>
-        </div>
-        
-        <div class="content">
+        
+        return written;
+    }
+
+    generateDeviationsOnlyReport(analysis = this.analyze()) {
+        const reposWithDeviations = analysis.repos.filter(repo => repo.deviations);
+        const repoCard = template(this, 'repoCard');
+
+        return renderPage(this, {
+            title: `GitHub Repository Deviations Report - ${this.orgName}`,
+            heading: 'Repository Configuration Deviations',
+            lines: [
+                `Organization: ${this.orgName}`,
+                ...(analysis.cohorts ? [`Cohorts: ${describeCohorts(this.cohortSettings)}`] : [])
+            ],
+            css: DEVIATIONS_REPORT_CSS,
+            body: html`
             <div class="summary">
                 <h2>Summary</h2>
-                <p><strong>${reposWithDeviations.length}</strong> repositories have configuration deviations from the norm.</p>
+                <p><strong>${reposWithDeviations.length}</strong> repositories have configuration deviations from the ${this.describeBaseline()}.</p>
+                ${this.describeFilters().length > 0 ? html`
+                    <p><strong>Filters applied:</strong> ${this.describeFilters().join('; ')}</p>
+                ` : ''}
+                ${this.fieldsWithoutClearNorm(analysis).length > 0 ? html`
+                    <p><strong>No clear norm (not checked against the norm):</strong> ${this.fieldsWithoutClearNorm(analysis).join(', ')}</p>
+                ` : ''}
+                ${this.renderSeverityBreakdown(analysis)}
+                ${analysis.cohorts ? this.renderCohortBreakdown(analysis) : ''}
             </div>
 
-            ${reposWithDeviations.map(repo => `
-                <div class="repo-card">
-                    <div class="repo-header">
-                        <h3><a href="${repo.html_url}" target="_blank">${repo.full_name}</a></h3>
-                    </div>
-                    <div class="repo-content">
-                        ${Object.entries(repo.deviations).map(([field, deviation]) => `
+            ${this.sortByRisk(reposWithDeviations).map(repo => repoCard({
+                analyzer: this,
+                repo: repo,
+                permalink: false,
+                content: html`
+                        ${this.sortedDeviations(repo.deviations).map(([field, deviation]) => html`
                             <div class="deviation-item">
-                                <div class="deviation-field">${field}</div>
+                                <div class="deviation-field">${field} ${this.severityBadge(deviation.severity)}${deviation.branch ? html` <span class="deviation-branch">on ${deviation.branch}</span>` : ''}</div>
                                 <div class="deviation-details">
                                     <div class="deviation-repo">
                                         <div class="deviation-label">Repository Value:</div>
-                                        <div class="deviation-value">${field === 'branch_protection' ? 
-                                            (deviation.repo.enabled === null ? 
-                                                `<span class="branch-protection-status branch-protection-error">Error: ${deviation.repo.error || 'Unknown'}</span>` :
-                                                deviation.repo.enabled ? 
-                                                    `<span class="branch-protection-status branch-protection-enabled">Enabled</span><br><pre>${JSON.stringify(deviation.repo, null, 2)}</pre>` :
-                                                    `<span class="branch-protection-status branch-protection-disabled">Disabled</span>`
-                                            ) : 
-                                            JSON.stringify(deviation.repo, null, 2)
+                                        <div class="deviation-value">${this.showsPathsOnly(field, deviation) ?
+                                            this.renderPathValues(deviation.paths, 'repo') :
+                                            this.renderFieldValue(field, deviation.repo, 'deviation')
                                         }</div>
                                     </div>
                                     <div class="deviation-norm">
-                                        <div class="deviation-label">Normal Value:</div>
-                                        <div class="deviation-value">${field === 'branch_protection' ? 
-                                            (deviation.norm.enabled === null ? 
-                                                `<span class="branch-protection-status branch-protection-error">Error: ${deviation.norm.error || 'Unknown'}</span>` :
-                                                deviation.norm.enabled ? 
-                                                    `<span class="branch-protection-status branch-protection-enabled">Enabled</span><br><pre>${JSON.stringify(deviation.norm, null, 2)}</pre>` :
-                                                    `<span class="branch-protection-status branch-protection-disabled">Disabled</span>`
-                                            ) : 
-                                            JSON.stringify(deviation.norm, null, 2)
+                                        <div class="deviation-label">${deviation.source === 'policy' ? 'Policy Requirement:' : deviation.source === 'override' ? 'Declared Requirement:' : deviation.cohort ? `Normal Value (${deviation.cohort} cohort):` : 'Normal Value:'}</div>
+                                        <div class="deviation-value">${this.showsPathsOnly(field, deviation) ?
+                                            this.renderPathValues(deviation.paths, 'norm') :
+                                            deviation.source ?
+                                            JSON.stringify(deviation.norm, null, 2) :
+                                            this.renderFieldValue(field, deviation.norm, 'deviation')
                                         }</div>
                                     </div>
                                 </div>
-                                ${deviation.missing ? `
-                                    <div style="margin-top: 10px; padding: 10px; background: #fff3cd; border-radius: 4px;">
+                                ${deviation.violations ? html`
+                                    <div class="deviation-note">
+                                        <strong>${deviation.source === 'override' ? 'Declared requirement violations' : 'Policy violations'}:</strong>
+                                        <ul>${deviation.violations.map(v => html`<li>${v.message}</li>`)}</ul>
+                                    </div>
+                                ` : ''}
+                                ${deviation.missing ? html`
+                                    <div class="deviation-note">
                                         <strong>Missing topics:</strong> ${deviation.missing.map(m => m.topic).join(', ')}
                                     </div>
                                 ` : ''}
-                                ${deviation.extra ? `
-                                    <div style="margin-top: 10px; padding: 10px; background: #fff3cd; border-radius: 4px;">
+                                ${deviation.extra ? html`
+                                    <div class="deviation-note">
                                         <strong>Extra topics:</strong> ${deviation.extra.join(', ')}
                                     </div>
                                 ` : ''}
+                                ${deviation.expiredExemptions ? html`
+                                    <div class="deviation-note expired">
+                                        ${this.describeExpiredExemptions(deviation)}
+                                    </div>
+                                ` : ''}
                             </div>
-                        `).join('')}
-                    </div>
-                </div>
-            `).join('')}
+                        `)}`
+            }))}
             
-            <div class="timestamp">
-                Report generated on ${new Date().toLocaleString()}
+            ${this.hasExemptions(analysis) ? html`
+            <div class="summary">
+                <h2>Accepted Risks</h2>
+                ${this.renderAcceptedRisks(analysis)}
             </div>
-        </div>
-    </div>
-</body>
-</html>`;
-
-        return html;
+            ` : ''}
+            
+            ${this.overrideSettings.enabled ? html`
+            <div class="summary">
+                <h2>Override Files</h2>
+                ${this.renderOverrideSummary(analysis)}
+            </div>
+            ` : ''}`
+        });
     }
 }
 
-// Main execution
-async function main() {
-    const token = process.env.GITHUB_TOKEN;
-    const orgName = process.env.GITHUB_ORG;
-    
-    if (!token) {
-        console.error('Error: GITHUB_TOKEN environment variable is required');
-        console.log('Please set your GitHub token: export GITHUB_TOKEN=your_token_here');
-        process.exit(1);
-    }
-    
-    if (!orgName) {
-        console.error('Error: GITHUB_ORG environment variable is required');
-        console.log('Please set your GitHub organization: export GITHUB_ORG=your_org_name');
-        process.exit(1);
-    }
-    
-    const analyzer = new RepoConfigAnalyzer(token, orgName);
-    
-    try {
-        await analyzer.generateReport();
-        console.log('Analysis complete! Check the generated HTML files for detailed reports.');
-    } catch (error) {
-        console.error('Error during analysis:', error.message);
-        process.exit(1);
-    }
-}
+RepoConfigAnalyzer.registerFormat = registerFormat;
+RepoConfigAnalyzer.registerCollector = registerCollector;
+RepoConfigAnalyzer.registerField = registerField;
+RepoConfigAnalyzer.registerTheme = registerTheme;
+RepoConfigAnalyzer.analysedFields = analysedFields;
+
+module.exports = RepoConfigAnalyzer;
 
 if (require.main === module) {
-    main();
+    require('./lib/cli').run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
 }
-
-module.exports = RepoConfigAnalyzer;
@@ -0,0 +1,103 @@
+// Repository access auditing
+//
+// The access collector (see lib/collectors.js) records who can push to each repository:
+//   outside_collaborators  sorted logins of outside collaborators
+//   outside_admins         outside collaborators with admin permission
+//   direct_admins          users granted admin directly on the repository
+//                          (outside collaborators and organization members alike)
+//   admin_teams            sorted slugs of teams with admin permission
+//   maintain_teams         teams with maintain permission
+//   write_teams            teams with write permission
+// accessSummary() aggregates these fields across repositories for the
+// permissions summary of the full HTML report.
+
+const ACCESS_FIELDS = ['outside_collaborators', 'outside_admins', 'direct_admins', 'admin_teams', 'maintain_teams', 'write_teams'];
+
+// Team grants shown in the summary, from the most to the least privileged
+const TEAM_PERMISSIONS = ['admin', 'maintain', 'write'];
+
+// The REST API names write and read permissions 'push' and 'pull' in some responses
+const PERMISSION_NAMES = { push: 'write', pull: 'read' };
+
+// Permission of a collaborator or team: role_name when present, otherwise the
+// permission name or the highest permission flag
+function permissionOf(grant) {
+    const name = grant.role_name || grant.permission;
+    if (name) {
+        return PERMISSION_NAMES[name] || name;
+    }
+
+    const flags = grant.permissions || {};
+    const highest = ['admin', 'maintain', 'push', 'triage', 'pull'].find(permission => flags[permission]);
+    return highest ? PERMISSION_NAMES[highest] || highest : null;
+}
+
+function loginsWith(grants, permission) {
+    return grants
+        .filter(grant => permission === undefined || permissionOf(grant) === permission)
+        .map(grant => grant.login || grant.slug)
+        .sort();
+}
+
+// Field values from the outside collaborators, direct collaborators and teams of a repository
+function accessValues(outside, direct, teams) {
+    return {
+        outside_collaborators: loginsWith(outside),
+        outside_admins: loginsWith(outside, 'admin'),
+        direct_admins: loginsWith(direct, 'admin'),
+        admin_teams: loginsWith(teams, 'admin'),
+        maintain_teams: loginsWith(teams, 'maintain'),
+        write_teams: loginsWith(teams, 'write')
+    };
+}
+
+function hasAccessFields(fields) {
+    return ACCESS_FIELDS.some(field => fields.includes(field));
+}
+
+// Organization-wide summary from analysed repositories ({ name, config }).
+// Repositories whose access could not be read are counted separately.
+function accessSummary(repos) {
+    const known = repos.filter(repo => Array.isArray(repo.config.outside_collaborators) || Array.isArray(repo.config.admin_teams));
+    const listed = (repo, field) => Array.isArray(repo.config[field]) ? repo.config[field] : [];
+
+    const teams = {};
+    known.forEach(repo => {
+        TEAM_PERMISSIONS.forEach(permission => {
+            listed(repo, `${permission}_teams`).forEach(team => {
+                teams[team] = teams[team] || { admin: 0, maintain: 0, write: 0 };
+                teams[team][permission]++;
+            });
+        });
+    });
+
+    const directAdmins = {};
+    known.forEach(repo => {
+        listed(repo, 'direct_admins').forEach(login => {
+            directAdmins[login] = [...(directAdmins[login] || []), repo.name];
+        });
+    });
+
+    return {
+        repositories: repos.length,
+        unknown: repos.length - known.length,
+        withOutsideCollaborators: known.filter(repo => listed(repo, 'outside_collaborators').length > 0).map(repo => repo.name),
+        outsideCollaborators: [...new Set(known.flatMap(repo => listed(repo, 'outside_collaborators')))].sort(),
+        withOutsideAdmins: known.filter(repo => listed(repo, 'outside_admins').length > 0).map(repo => repo.name),
+        teams: Object.entries(teams)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([team, counts]) => ({ team, ...counts })),
+        directAdmins: Object.entries(directAdmins)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([login, names]) => ({ login, repositories: names }))
+    };
+}
+
+module.exports = {
+    ACCESS_FIELDS,
+    TEAM_PERMISSIONS,
+    permissionOf,
+    accessValues,
+    hasAccessFields,
+    accessSummary
+};
@@ -0,0 +1,100 @@
+// Branch protection beyond the default branch
+//
+// branchSettings.patterns lists globs ("*" matches any run of characters,
+// including "/") or "/regex/flags" patterns naming other branches whose
+// protection should be analysed, such as 'release/*' and 'develop'. Each
+// pattern becomes a config field of its own, 'branch_protection:<pattern>', with
+// its own norm and deviations; severities and policies for it can be set under
+// that name, and otherwise fall back to those of branch_protection.
+//
+// A repository with several branches matching a pattern is represented by the
+// least protected of them: an unprotected branch first, then the protected
+// branch that applies the fewest restrictions (see protectionStrength()).
+// Repositories with no matching branch are not compared for that pattern.
+
+const { patternToRegExp } = require('./filters');
+
+const FIELD_PREFIX = 'branch_protection:';
+
+function validateBranchSettings(settings = {}) {
+    const patterns = settings.patterns || [];
+    if (!Array.isArray(patterns)) {
+        throw new Error('branchSettings.patterns must be an array of branch patterns');
+    }
+    patterns.forEach(patternToRegExp);
+}
+
+function branchPatternField(pattern) {
+    return `${FIELD_PREFIX}${pattern}`;
+}
+
+function branchPatternOf(field) {
+    return field.startsWith(FIELD_PREFIX) ? field.slice(FIELD_PREFIX.length) : null;
+}
+
+// branch_protection and the per-pattern fields share the same value shape and handling
+function isBranchProtectionField(field) {
+    return field === 'branch_protection' || field.startsWith(FIELD_PREFIX);
+}
+
+// Config fields with a field added after branch_protection (or at the end) for each pattern
+function withBranchPatternFields(fields, settings = {}) {
+    const patternFields = (settings.patterns || [])
+        .map(branchPatternField)
+        .filter(field => !fields.includes(field));
+    if (patternFields.length === 0) {
+        return fields;
+    }
+
+    const index = fields.indexOf('branch_protection');
+    return index === -1 ?
+        [...fields, ...patternFields] :
+        [...fields.slice(0, index + 1), ...patternFields, ...fields.slice(index + 1)];
+}
+
+// Names of the branches matching a pattern, excluding the default branch
+function matchingBranches(branchNames, pattern, defaultBranch) {
+    const regex = patternToRegExp(pattern);
+    return branchNames.filter(name => name !== defaultBranch && regex.test(name)).sort();
+}
+
+// Number of restrictions a protected branch applies; 0 for an unprotected branch
+function protectionStrength(protection) {
+    if (!protection.enabled) {
+        return 0;
+    }
+
+    const reviews = protection.required_pull_request_reviews;
+    const checks = protection.required_status_checks;
+    return 1 +
+        (protection.allow_force_pushes ? 0 : 1) +
+        (protection.allow_deletions ? 0 : 1) +
+        (protection.enforce_admins ? 1 : 0) +
+        (protection.required_signatures ? 1 : 0) +
+        (protection.required_linear_history ? 1 : 0) +
+        (protection.required_conversation_resolution ? 1 : 0) +
+        (reviews ? 1 + (reviews.required_approving_review_count || 0) : 0) +
+        (checks ? 1 + (checks.contexts || []).length : 0);
+}
+
+// Least protected of [{ branch, protection }], ignoring unreadable protection
+// unless nothing else is known. Ties go to the first branch.
+function weakestProtection(entries) {
+    const known = entries.filter(entry => entry.protection && entry.protection.enabled !== null);
+    if (known.length === 0) {
+        return entries[0] || null;
+    }
+    return known.reduce((weakest, entry) =>
+        protectionStrength(entry.protection) < protectionStrength(weakest.protection) ? entry : weakest);
+}
+
+module.exports = {
+    validateBranchSettings,
+    branchPatternField,
+    branchPatternOf,
+    isBranchProtectionField,
+    withBranchPatternFields,
+    matchingBranches,
+    protectionStrength,
+    weakestProtection
+};
@@ -0,0 +1,415 @@
+// Command-line interface
+//
+// Parses arguments, dispatches to a subcommand and returns the process exit code:
+//   0 - success
+//   1 - error (bad arguments, missing token, API failure)
+//   2 - the number of repositories with deviations exceeded --max-deviations
+
+const fs = require('fs').promises;
+const path = require('path');
+const pkg = require('../package.json');
+const defaultConfig = require('../config');
+const { getFormat, listFormats, JSON_SCHEMA_VERSION } = require('./formats');
+const { matchesRepoFilters } = require('./filters');
+const { diffReports, formatDiff } = require('./diff');
+const { isSnapshot, validateSnapshot } = require('./snapshot');
+const { createFixtureClient } = require('./fixtures');
+const { branchPatternOf } = require('./branches');
+const { loadConfigFile } = require('./config-file');
+const { validateFields, buildRemediationPlan, formatPlan, applyRemediationPlan } = require('./remediation');
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_THRESHOLD = 2;
+
+const OPTIONS = {
+    org: { flag: '--org', alias: '-o', type: 'string' },
+    config: { flag: '--config', alias: '-c', type: 'string' },
+    outputDir: { flag: '--output-dir', alias: '-d', type: 'string' },
+    format: { flag: '--format', alias: '-f', type: 'list' },
+    include: { flag: '--include', type: 'list' },
+    exclude: { flag: '--exclude', type: 'list' },
+    maxDeviations: { flag: '--max-deviations', type: 'number' },
+    snapshotDir: { flag: '--snapshot-dir', alias: '-s', type: 'string' },
+    input: { flag: '--input', alias: '-i', type: 'string' },
+    fixtures: { flag: '--fixtures', type: 'string' },
+    fields: { flag: '--fields', type: 'list' },
+    apply: { flag: '--apply', type: 'boolean' },
+    yes: { flag: '--yes', alias: '-y', type: 'boolean' },
+    help: { flag: '--help', alias: '-h', type: 'boolean' },
+    version: { flag: '--version', alias: '-v', type: 'boolean' }
+};
+
+const USAGE = `Usage: repo-config-analyser <command> [options]
+
+Commands:
+  analyse                 Fetch repositories and generate reports (default)
+  report --input <file>   Re-render reports from a snapshot or previous JSON report
+  diff <old> <new>        Compare two snapshots or JSON reports
+  list-fields             List the configuration fields that are analysed
+  remediate --fields <l>  Plan (and with --apply, make) changes that fix deviations
+
+Options:
+  -o, --org <name>          GitHub organization (default: $GITHUB_ORG)
+  -c, --config <path>       Config file to use instead of config.js
+  -d, --output-dir <dir>    Directory to write reports to (default: .)
+  -f, --format <list>       Comma separated formats: ${listFormats().join(', ')}
+                            (diff accepts text or json)
+      --include <pattern>   Only analyse repositories whose name matches a glob or /regex/ (repeatable)
+      --exclude <pattern>   Skip repositories whose name matches a glob or /regex/ (repeatable)
+      --max-deviations <n>  Exit with code 2 when more than n repositories deviate
+  -s, --snapshot-dir <dir>  Save a snapshot of the fetched data to this directory
+  -i, --input <file>        Snapshot or JSON report to read (report command)
+      --fixtures <dir>      Analyse recorded API responses instead of calling GitHub
+      --fields <list>       Fields to remediate (remediate command)
+      --apply               Apply the remediation plan instead of only printing it
+  -y, --yes                 Apply without asking for confirmation
+  -h, --help                Show this help
+  -v, --version             Show the version
+
+The GitHub token is read from the GITHUB_TOKEN environment variable (not needed with --fixtures).`;
+
+const COMMANDS = ['analyse', 'analyze', 'report', 'diff', 'list-fields', 'remediate'];
+
+function findOption(arg) {
+    return Object.entries(OPTIONS).find(([, option]) => option.flag === arg || option.alias === arg);
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+        const match = findOption(name);
+        if (!match) {
+            throw new Error(`Unknown option: ${name}`);
+        }
+
+        const [key, option] = match;
+        if (option.type === 'boolean') {
+            options[key] = true;
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            throw new Error(`Option ${option.flag} requires a value`);
+        }
+
+        if (option.type === 'list') {
+            const items = value.split(',').map(item => item.trim()).filter(Boolean);
+            options[key] = (options[key] || []).concat(items);
+        } else if (option.type === 'number') {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0) {
+                throw new Error(`Option ${option.flag} requires a non-negative integer`);
+            }
+            options[key] = number;
+        } else {
+            options[key] = value;
+        }
+    }
+
+    const command = positionals.length > 0 ? positionals.shift() : 'analyse';
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`Unknown command: ${command}`);
+    }
+    return { command, options, positionals };
+}
+
+// Build the custom config passed to RepoConfigAnalyzer from --config and the command line flags
+function buildConfig(options) {
+    const fileConfig = options.config ? loadConfigFile(options.config, 'config') : {};
+
+    const base = { ...defaultConfig, ...fileConfig };
+    const reportSettings = { ...base.reportSettings };
+    if (options.format) reportSettings.formats = options.format;
+    if (options.outputDir) reportSettings.outputDir = options.outputDir;
+    if (options.maxDeviations !== undefined) reportSettings.maxDeviations = options.maxDeviations;
+
+    const repoFilters = { ...base.repoFilters };
+    if (options.include) repoFilters.include = (repoFilters.include || []).concat(options.include);
+    if (options.exclude) repoFilters.exclude = (repoFilters.exclude || []).concat(options.exclude);
+
+    const snapshotSettings = { ...base.snapshotSettings };
+    if (options.snapshotDir) {
+        snapshotSettings.enabled = true;
+        snapshotSettings.directory = options.snapshotDir;
+    }
+
+    return { ...fileConfig, reportSettings, repoFilters, snapshotSettings };
+}
+
+async function readDocument(file) {
+    const contents = await fs.readFile(path.resolve(process.cwd(), file), 'utf8');
+    return JSON.parse(contents);
+}
+
+function validateReport(file, report) {
+    const major = String(report.schemaVersion || '').split('.')[0];
+    if (major !== JSON_SCHEMA_VERSION.split('.')[0]) {
+        throw new Error(`${file} has unsupported schemaVersion "${report.schemaVersion}" (expected ${JSON_SCHEMA_VERSION})`);
+    }
+    return report;
+}
+
+function checkThreshold(analyzer, analysis) {
+    const limit = analyzer.reportSettings.maxDeviations;
+    const count = analysis.repos.filter(repo => repo.deviations).length;
+
+    if (limit === null || limit === undefined || count <= limit) {
+        return EXIT_OK;
+    }
+
+    console.error(`${count} repositories have deviations, exceeding the maximum of ${limit}`);
+    return EXIT_THRESHOLD;
+}
+
+// Create an analyzer for the live API (or fixtures). Returns null when the token or org is missing.
+function createAnalyzer(options, RepoConfigAnalyzer) {
+    const token = process.env.GITHUB_TOKEN;
+    const orgName = options.org || process.env.GITHUB_ORG;
+
+    if (!token && !options.fixtures) {
+        console.error('Error: GITHUB_TOKEN environment variable is required');
+        console.log('Please set your GitHub token: export GITHUB_TOKEN=your_token_here');
+        return null;
+    }
+
+    if (!orgName) {
+        console.error('Error: an organization is required');
+        console.log('Pass --org your_org_name or set: export GITHUB_ORG=your_org_name');
+        return null;
+    }
+
+    const client = options.fixtures ? createFixtureClient(path.resolve(process.cwd(), options.fixtures)) : undefined;
+    return new RepoConfigAnalyzer(token, orgName, buildConfig(options), { client });
+}
+
+async function analyse(options, RepoConfigAnalyzer) {
+    const analyzer = createAnalyzer(options, RepoConfigAnalyzer);
+    if (!analyzer) {
+        return EXIT_ERROR;
+    }
+
+    const analysis = await analyzer.generateReport();
+    if (!analysis) {
+        return EXIT_OK;
+    }
+
+    console.log('Analysis complete! Check the generated files for detailed reports.');
+    return checkThreshold(analyzer, analysis);
+}
+
+// Snapshots hold the raw repository data, so analysis is recomputed with the current config
+function analyseSnapshot(snapshot, options, RepoConfigAnalyzer) {
+    const analyzer = new RepoConfigAnalyzer(null, options.org || snapshot.organization, {
+        ...buildConfig(options),
+        configFields: snapshot.configFields
+    });
+
+    // The recorded norms cover every repository in the snapshot, so once the filters leave
+    // some out the norms are computed again from the repositories that remain
+    const repos = snapshot.repos.filter(repo => matchesRepoFilters(repo, analyzer.repoFilters));
+    const filtered = repos.length === snapshot.repos.length ? snapshot :
+        { ...snapshot, repos, norms: undefined, cohortNorms: undefined };
+    return { analyzer, analysis: analyzer.analyzeSnapshot(filtered) };
+}
+
+async function report(options, RepoConfigAnalyzer) {
+    if (!options.input) {
+        console.error('Error: the report command requires --input <snapshot or json report>');
+        return EXIT_ERROR;
+    }
+
+    const document = await readDocument(options.input);
+    if (isSnapshot(document)) {
+        validateSnapshot(options.input, document);
+        const { analyzer, analysis } = analyseSnapshot(document, options, RepoConfigAnalyzer);
+        await analyzer.writeReports(analysis);
+        return checkThreshold(analyzer, analysis);
+    }
+
+    validateReport(options.input, document);
+    const customConfig = buildConfig(options);
+    const orgName = options.org || document.metadata.organization;
+    const analyzer = new RepoConfigAnalyzer(null, orgName, {
+        ...customConfig,
+        configFields: document.metadata.configFields
+    });
+
+    const analysis = {
+        generatedAt: document.metadata.generatedAt,
+        norms: document.norms,
+        fieldStats: document.fieldStats || null,
+        cohorts: document.cohorts || null,
+        // Reports only hold the analysed config, so only the name filters can be applied
+        repos: document.repositories
+            .filter(repo => matchesRepoFilters(repo, { include: analyzer.repoFilters.include, exclude: analyzer.repoFilters.exclude }))
+            .map(repo => ({
+                ...repo,
+                deviations: repo.deviations && Object.keys(repo.deviations).length > 0 ? repo.deviations : null
+            }))
+    };
+    analyzer.repos = analysis.repos;
+
+    await analyzer.writeReports(analysis);
+    return checkThreshold(analyzer, analysis);
+}
+
+// Load a snapshot or JSON report in the JSON report shape used by diffReports()
+async function readComparable(file, options, RepoConfigAnalyzer) {
+    const document = await readDocument(file);
+    if (!isSnapshot(document)) {
+        return validateReport(file, document);
+    }
+
+    validateSnapshot(file, document);
+    const { analyzer, analysis } = analyseSnapshot(document, options, RepoConfigAnalyzer);
+    return JSON.parse(getFormat('json').render(analyzer, analysis));
+}
+
+async function diff(positionals, options, RepoConfigAnalyzer) {
+    if (positionals.length !== 2) {
+        console.error('Error: the diff command requires two snapshots or JSON reports: diff <old> <new>');
+        return EXIT_ERROR;
+    }
+
+    const [previous, current] = await Promise.all(positionals.map(file => readComparable(file, options, RepoConfigAnalyzer)));
+    const result = diffReports(previous, current);
+
+    if (options.format && options.format.includes('json')) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        console.log(formatDiff(result));
+    }
+    return EXIT_OK;
+}
+
+// The fields an analysis would use, including the branch pattern and file check fields
+function listFields(options, RepoConfigAnalyzer) {
+    const config = { ...defaultConfig, ...buildConfig(options) };
+    const ignored = config.deviationSettings.ignoreFields;
+    const policy = config.policy || {};
+    const fileChecks = config.fileChecks || {};
+
+    RepoConfigAnalyzer.analysedFields(config).forEach(field => {
+        const notes = [];
+        if (branchPatternOf(field) !== null) notes.push('branch pattern');
+        if (fileChecks[field]) notes.push('file check');
+        if (ignored.includes(field)) notes.push('ignored');
+        if (policy[field] !== undefined) notes.push('policy');
+        console.log(notes.length > 0 ? `${field} (${notes.join(', ')})` : field);
+    });
+    return EXIT_OK;
+}
+
+function confirm(question) {
+    const readline = require('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(answer.trim().toLowerCase() === 'yes');
+        });
+    });
+}
+
+async function remediate(options, RepoConfigAnalyzer) {
+    const analyzer = createAnalyzer(options, RepoConfigAnalyzer);
+    if (!analyzer) {
+        return EXIT_ERROR;
+    }
+
+    const fields = options.fields || (analyzer.config.remediationSettings || {}).fields || [];
+    if (fields.length === 0) {
+        console.error('Error: the remediate command requires --fields (or remediationSettings.fields in the config)');
+        return EXIT_ERROR;
+    }
+    validateFields(fields);
+
+    if (!(await analyzer.fetchData())) {
+        return EXIT_OK;
+    }
+
+    const plan = await buildRemediationPlan(analyzer, analyzer.analyze(), fields);
+    console.log(formatPlan(plan));
+
+    if (plan.steps.length === 0) {
+        console.log('Nothing to remediate.');
+        return EXIT_OK;
+    }
+    if (!options.apply) {
+        console.log('\nDry run: no changes were made. Re-run with --apply to make these changes.');
+        return EXIT_OK;
+    }
+    if (!options.yes) {
+        if (!process.stdin.isTTY) {
+            console.error('Error: refusing to apply changes without confirmation. Pass --yes when not running interactively');
+            return EXIT_ERROR;
+        }
+        if (!(await confirm(`\nApply ${plan.steps.length} change(s) to ${analyzer.orgName}? Type "yes" to continue: `))) {
+            console.log('Aborted: no changes were made.');
+            return EXIT_OK;
+        }
+    }
+
+    const results = await applyRemediationPlan(analyzer.octokit, plan);
+    const outputDir = analyzer.reportSettings.outputDir || '.';
+    const logFile = path.join(outputDir, `remediation-${analyzer.orgName}-${new Date().toISOString().replace(/:/g, '-')}.json`);
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(logFile, JSON.stringify({ organization: analyzer.orgName, results, skipped: plan.skipped }, null, 2));
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    console.log(`\n${results.length - failed} applied, ${failed} failed. Result log: ${logFile}`);
+    return failed > 0 ? EXIT_ERROR : EXIT_OK;
+}
+
+async function run(argv) {
+    const RepoConfigAnalyzer = require('../index');
+
+    try {
+        const { command, options, positionals } = parseArgs(argv);
+
+        if (options.help) {
+            console.log(USAGE);
+            return EXIT_OK;
+        }
+        if (options.version) {
+            console.log(pkg.version);
+            return EXIT_OK;
+        }
+
+        switch (command) {
+            case 'report':
+                return await report(options, RepoConfigAnalyzer);
+            case 'diff':
+                return await diff(positionals, options, RepoConfigAnalyzer);
+            case 'list-fields':
+                return listFields(options, RepoConfigAnalyzer);
+            case 'remediate':
+                return await remediate(options, RepoConfigAnalyzer);
+            default:
+                return await analyse(options, RepoConfigAnalyzer);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        return EXIT_ERROR;
+    }
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_ERROR,
+    EXIT_THRESHOLD,
+    parseArgs,
+    run
+};
@@ -0,0 +1,103 @@
+// Repository cohorts
+//
+// Cohorts group repositories that are expected to share a configuration, such as
+// services, libraries and documentation sites. When cohortSettings.groupBy is set,
+// norms are calculated and deviations found within each cohort instead of across
+// the whole organization. groupBy selects how a repository's cohort is found:
+//   'topic'     the first of cohortSettings.values in the repository topics
+//               (the first topic when no values are listed)
+//   'prefix'    the first of cohortSettings.values the name starts with
+//               (the part of the name before the first "-" when no values are listed)
+//   'language'  the primary language
+//   'team'      the first of cohortSettings.values among the teams with access
+//               (the first team when no values are listed); teams are fetched with repos.listTeams
+//   'property'  the value of the custom property named by cohortSettings.property
+// Repositories that match nothing go to the cohortSettings.fallback cohort. A cohort
+// declared in a repository's override file (see lib/overrides.js) takes precedence.
+
+const { declaredOverride } = require('./overrides');
+
+const GROUP_BY = ['topic', 'prefix', 'language', 'team', 'property'];
+const DEFAULT_FALLBACK = 'other';
+
+function validateCohortSettings(settings = {}) {
+    if (!settings.groupBy) {
+        return;
+    }
+    if (!GROUP_BY.includes(settings.groupBy)) {
+        throw new Error(`Invalid cohortSettings.groupBy "${settings.groupBy}". Expected one of: ${GROUP_BY.join(', ')}`);
+    }
+    if (settings.groupBy === 'property' && !settings.property) {
+        throw new Error('cohortSettings.property is required when grouping by custom property');
+    }
+}
+
+// First listed value found in the candidates, or the first candidate when no values are listed
+function firstMatch(candidates, values) {
+    if (values.length === 0) {
+        return candidates[0];
+    }
+    return values.find(value => candidates.includes(value));
+}
+
+function cohortFor(repo, settings = {}) {
+    const values = settings.values || [];
+    let cohort;
+
+    if (!settings.groupBy) {
+        return null;
+    } else if (declaredOverride(repo).cohort) {
+        return declaredOverride(repo).cohort;
+    } else if (settings.groupBy === 'topic') {
+        cohort = firstMatch(Array.isArray(repo.topics) ? repo.topics : [], values);
+    } else if (settings.groupBy === 'prefix') {
+        cohort = values.length > 0 ?
+            values.find(prefix => repo.name.toLowerCase().startsWith(prefix.toLowerCase())) :
+            (repo.name.includes('-') ? repo.name.split('-')[0] : undefined);
+    } else if (settings.groupBy === 'language') {
+        cohort = repo.language;
+    } else if (settings.groupBy === 'team') {
+        cohort = firstMatch(repo.teams || [], values);
+    } else if (settings.groupBy === 'property') {
+        // Multi-select custom properties are arrays; the first selected value decides
+        cohort = (repo.custom_properties || {})[settings.property];
+        if (Array.isArray(cohort)) {
+            cohort = cohort[0];
+        }
+    }
+
+    return cohort === undefined || cohort === null || cohort === '' ? settings.fallback || DEFAULT_FALLBACK : String(cohort);
+}
+
+// Group repositories by cohort, returning { cohort: [repos] } with cohorts in name order
+function groupByCohort(repos, settings = {}) {
+    const groups = {};
+    repos.forEach(repo => {
+        const cohort = cohortFor(repo, settings);
+        (groups[cohort] = groups[cohort] || []).push(repo);
+    });
+
+    const sorted = {};
+    Object.keys(groups).sort().forEach(cohort => {
+        sorted[cohort] = groups[cohort];
+    });
+    return sorted;
+}
+
+function describeCohorts(settings = {}) {
+    if (!settings.groupBy) {
+        return null;
+    }
+    const source = settings.groupBy === 'property' ? `custom property "${settings.property}"` : settings.groupBy;
+    const values = settings.values && settings.values.length > 0 && ['topic', 'prefix', 'team'].includes(settings.groupBy) ?
+        ` (${settings.values.join(', ')})` : '';
+    return `Grouped by ${source}${values}`;
+}
+
+module.exports = {
+    GROUP_BY,
+    validateCohortSettings,
+    cohortFor,
+    groupByCohort,
+    describeCohorts
+};
@@ -0,0 +1,206 @@
+// Data collectors
+//
+// Collectors fetch per-repository settings that are not part of the repository
+// payload. Each collector declares the config fields it provides and a collect
+// function. collect(analyzer, repo) receives the analyzer and a repository and
+// resolves to an object with a value for each of its fields; requests should go
+// through analyzer.scheduler.request() so they share its concurrency limit,
+// retries and rate limit handling. A collector only runs when at least one of
+// its fields is in configFields, and its fields are then analysed like any other.
+// A collector that fails for a repository leaves all of its fields null there.
+//
+// Built-in collectors:
+//   actions      actions_enabled, allowed_actions, selected_actions,
+//                workflow_permissions, workflow_can_approve_pull_requests
+//   dependabot   vulnerability_alerts, dependabot_security_updates
+//   environments environments, unprotected_environments
+//   webhooks     webhooks, insecure_webhooks
+//   deploy_keys  deploy_keys, writable_deploy_keys
+//   access       outside_collaborators, outside_admins, direct_admins,
+//                admin_teams, maintain_teams, write_teams (see lib/access.js)
+
+const { ACCESS_FIELDS, accessValues } = require('./access');
+
+const collectors = {};
+
+function registerCollector(name, definition) {
+    if (!definition || typeof definition.collect !== 'function') {
+        throw new Error(`Collector "${name}" must provide a collect function`);
+    }
+    if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+        throw new Error(`Collector "${name}" must list the fields it provides`);
+    }
+
+    const taken = definition.fields.filter(field => Object.entries(collectors)
+        .some(([other, collector]) => other !== name && collector.fields.includes(field)));
+    if (taken.length > 0) {
+        throw new Error(`Collector "${name}" provides fields already provided by another collector: ${taken.join(', ')}`);
+    }
+
+    collectors[name] = { name, ...definition };
+}
+
+function listCollectors() {
+    return Object.keys(collectors);
+}
+
+// Collector providing a field, or undefined for fields that are not collected
+function collectorForField(field) {
+    return Object.values(collectors).find(collector => collector.fields.includes(field));
+}
+
+// Collectors providing at least one of the given fields
+function collectorsFor(fields) {
+    return Object.values(collectors).filter(collector => collector.fields.some(field => fields.includes(field)));
+}
+
+const PER_PAGE = 100;
+
+// Data of a response, or fallback when the endpoint answers 404
+async function dataOr404(call, fallback) {
+    try {
+        return (await call()).data;
+    } catch (error) {
+        if (error.status === 404) {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+// Every item of a list endpoint, requested page by page until a page is not full.
+// list(params) calls the endpoint; items(data) picks the list out of a page, for
+// endpoints that wrap it in an object. An endpoint answering 404 has no items.
+async function allPages(analyzer, list, params, items = data => data) {
+    const all = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+        const pageParams = { ...params, per_page: PER_PAGE, page: page };
+        const data = await dataOr404(() => analyzer.scheduler.request(() => list(pageParams)), null);
+        const pageItems = data ? items(data) || [] : [];
+        all.push(...pageItems);
+        hasMore = pageItems.length === PER_PAGE;
+        page++;
+    }
+
+    return all;
+}
+
+registerCollector('actions', {
+    fields: ['actions_enabled', 'allowed_actions', 'selected_actions', 'workflow_permissions', 'workflow_can_approve_pull_requests'],
+    collect: async (analyzer, repo) => {
+        const params = { owner: analyzer.orgName, repo: repo.name };
+        const actions = analyzer.octokit.rest.actions;
+        const permissions = (await analyzer.scheduler.request(() => actions.getGithubActionsPermissionsRepository(params))).data;
+        const workflow = (await analyzer.scheduler.request(() => actions.getGithubActionsDefaultWorkflowPermissionsRepository(params))).data;
+
+        // Which actions are allowed is only configurable when allowed_actions is 'selected'
+        let selected = null;
+        if (permissions.enabled && permissions.allowed_actions === 'selected') {
+            const data = (await analyzer.scheduler.request(() => actions.getAllowedActionsRepository(params))).data;
+            selected = {
+                github_owned_allowed: data.github_owned_allowed,
+                verified_allowed: data.verified_allowed,
+                patterns_allowed: [...(data.patterns_allowed || [])].sort()
+            };
+        }
+
+        return {
+            actions_enabled: permissions.enabled,
+            allowed_actions: permissions.enabled ? permissions.allowed_actions : null,
+            selected_actions: selected,
+            workflow_permissions: workflow.default_workflow_permissions,
+            workflow_can_approve_pull_requests: workflow.can_approve_pull_request_reviews
+        };
+    }
+});
+
+registerCollector('dependabot', {
+    fields: ['vulnerability_alerts', 'dependabot_security_updates'],
+    collect: async (analyzer, repo) => {
+        const params = { owner: analyzer.orgName, repo: repo.name };
+        const repos = analyzer.octokit.rest.repos;
+
+        // Both endpoints answer 404 when the feature is disabled
+        const alerts = await dataOr404(() => analyzer.scheduler.request(() => repos.checkVulnerabilityAlerts(params)), false);
+        const fixes = await dataOr404(() => analyzer.scheduler.request(() => repos.checkAutomatedSecurityFixes(params)), { enabled: false });
+
+        return {
+            vulnerability_alerts: alerts !== false,
+            dependabot_security_updates: Boolean(fixes.enabled) && !fixes.paused
+        };
+    }
+});
+
+registerCollector('environments', {
+    fields: ['environments', 'unprotected_environments'],
+    collect: async (analyzer, repo) => {
+        const params = { owner: analyzer.orgName, repo: repo.name };
+        const environments = await allPages(analyzer, analyzer.octokit.rest.repos.getAllEnvironments, params, data => data.environments);
+
+        // An environment without required reviewers, a wait timer or a branch policy protects nothing
+        const unprotected = environments.filter(environment =>
+            (environment.protection_rules || []).length === 0 && !environment.deployment_branch_policy);
+
+        return {
+            environments: environments.map(environment => environment.name).sort(),
+            unprotected_environments: unprotected.map(environment => environment.name).sort()
+        };
+    }
+});
+
+registerCollector('webhooks', {
+    fields: ['webhooks', 'insecure_webhooks'],
+    collect: async (analyzer, repo) => {
+        const hooks = await allPages(analyzer, analyzer.octokit.rest.repos.listWebhooks, { owner: analyzer.orgName, repo: repo.name });
+
+        // Hosts rather than full URLs, which may contain secrets
+        const hosts = hooks.map(hook => {
+            try {
+                return new URL(hook.config.url).host;
+            } catch (error) {
+                return hook.name;
+            }
+        });
+
+        return {
+            webhooks: [...new Set(hosts)].sort(),
+            insecure_webhooks: hooks.filter(hook => hook.config && String(hook.config.insecure_ssl) === '1').length
+        };
+    }
+});
+
+registerCollector('deploy_keys', {
+    fields: ['deploy_keys', 'writable_deploy_keys'],
+    collect: async (analyzer, repo) => {
+        const keys = await allPages(analyzer, analyzer.octokit.rest.repos.listDeployKeys, { owner: analyzer.orgName, repo: repo.name });
+
+        return {
+            deploy_keys: keys.length,
+            writable_deploy_keys: keys.filter(key => !key.read_only).length
+        };
+    }
+});
+
+registerCollector('access', {
+    fields: ACCESS_FIELDS,
+    collect: async (analyzer, repo) => {
+        const params = { owner: analyzer.orgName, repo: repo.name };
+        const repos = analyzer.octokit.rest.repos;
+
+        const outside = await allPages(analyzer, repos.listCollaborators, { ...params, affiliation: 'outside' });
+        const direct = await allPages(analyzer, repos.listCollaborators, { ...params, affiliation: 'direct' });
+        const teams = await allPages(analyzer, repos.listTeams, params);
+
+        return accessValues(outside, direct, teams);
+    }
+});
+
+module.exports = {
+    registerCollector,
+    listCollectors,
+    collectorForField,
+    collectorsFor
+};
@@ -0,0 +1,21 @@
+// Files named in the config
+//
+// The config, policy and exemptions can be kept in files of their own: JavaScript
+// or JSON modules, loaded with require(). Relative paths are resolved from the
+// working directory.
+
+const path = require('path');
+
+// Exports of a file; description names the file in errors, e.g. 'policy'
+function loadConfigFile(file, description) {
+    const filePath = path.resolve(process.cwd(), file);
+    try {
+        return require(filePath);
+    } catch (error) {
+        throw new Error(`Unable to load ${description} file ${filePath}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    loadConfigFile
+};
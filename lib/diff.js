@@ -0,0 +1,133 @@
+// Comparison of two analysis runs
+//
+// Both inputs are JSON report documents (snapshots are converted to that shape
+// before comparing). Reports repositories that were added or removed, the config
+// fields that changed in repositories present in both runs, norms that shifted,
+// and deviations that were introduced or resolved.
+
+const { nestedEqual } = require('./nested');
+
+function indexRepositories(report) {
+    const index = {};
+    (report.repositories || []).forEach(repo => {
+        index[repo.full_name] = repo;
+    });
+    return index;
+}
+
+// Key order and array order are not changes
+function changed(from, to) {
+    return !nestedEqual(from, to);
+}
+
+function diffNorms(previous, current) {
+    const before = previous.norms || {};
+    const after = current.norms || {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...fields]
+        .filter(field => changed(before[field], after[field]))
+        .map(field => ({
+            field: field,
+            from: before[field] === undefined ? null : before[field],
+            to: after[field] === undefined ? null : after[field]
+        }));
+}
+
+function diffDeviations(before, after) {
+    const previousFields = Object.keys(before.deviations || {});
+    const currentFields = Object.keys(after.deviations || {});
+
+    return {
+        introduced: currentFields.filter(field => !previousFields.includes(field)),
+        resolved: previousFields.filter(field => !currentFields.includes(field))
+    };
+}
+
+function diffReports(previous, current) {
+    const previousRepos = indexRepositories(previous);
+    const currentRepos = indexRepositories(current);
+
+    const added = Object.keys(currentRepos).filter(name => !previousRepos[name]).sort();
+    const removed = Object.keys(previousRepos).filter(name => !currentRepos[name]).sort();
+    const changedRepos = [];
+    const deviationsIntroduced = [];
+    const deviationsResolved = [];
+
+    Object.keys(currentRepos).sort().forEach(name => {
+        const before = previousRepos[name];
+        if (!before) {
+            return;
+        }
+
+        const after = currentRepos[name];
+        const fields = new Set([...Object.keys(before.config || {}), ...Object.keys(after.config || {})]);
+        const changes = [];
+        fields.forEach(field => {
+            const from = before.config ? before.config[field] : undefined;
+            const to = after.config ? after.config[field] : undefined;
+            if (changed(from, to)) {
+                changes.push({
+                    field: field,
+                    from: from === undefined ? null : from,
+                    to: to === undefined ? null : to
+                });
+            }
+        });
+
+        if (changes.length > 0) {
+            changedRepos.push({ repository: name, changes: changes });
+        }
+
+        const { introduced, resolved } = diffDeviations(before, after);
+        introduced.forEach(field => deviationsIntroduced.push({ repository: name, field: field }));
+        resolved.forEach(field => deviationsResolved.push({ repository: name, field: field }));
+    });
+
+    return {
+        from: previous.metadata ? previous.metadata.generatedAt : null,
+        to: current.metadata ? current.metadata.generatedAt : null,
+        added: added,
+        removed: removed,
+        changed: changedRepos,
+        normShifts: diffNorms(previous, current),
+        deviationsIntroduced: deviationsIntroduced,
+        deviationsResolved: deviationsResolved
+    };
+}
+
+function formatDiff(diff) {
+    const lines = [`Comparing ${diff.from || 'unknown'} -> ${diff.to || 'unknown'}`, ''];
+
+    lines.push(`New repositories (${diff.added.length}):`);
+    diff.added.forEach(name => lines.push(`  + ${name}`));
+
+    lines.push(`Removed repositories (${diff.removed.length}):`);
+    diff.removed.forEach(name => lines.push(`  - ${name}`));
+
+    lines.push(`Changed repositories (${diff.changed.length}):`);
+    diff.changed.forEach(repo => {
+        lines.push(`  ~ ${repo.repository}`);
+        repo.changes.forEach(change => {
+            lines.push(`      ${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+        });
+    });
+
+    lines.push(`Norm shifts (${diff.normShifts.length}):`);
+    diff.normShifts.forEach(shift => {
+        lines.push(`  ~ ${shift.field}: ${JSON.stringify(shift.from)} -> ${JSON.stringify(shift.to)}`);
+    });
+
+    lines.push(`Deviations introduced (${diff.deviationsIntroduced.length}):`);
+    diff.deviationsIntroduced.forEach(item => lines.push(`  + ${item.repository}: ${item.field}`));
+
+    lines.push(`Deviations resolved (${diff.deviationsResolved.length}):`);
+    diff.deviationsResolved.forEach(item => lines.push(`  - ${item.repository}: ${item.field}`));
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    diffReports,
+    formatDiff
+};
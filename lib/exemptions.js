@@ -0,0 +1,125 @@
+// Deviation exemptions
+//
+// An exemption accepts a known deviation of one repository:
+//   repo      repository name
+//   field     config field whose deviation is accepted, or
+//   path      dotted path of a setting, e.g. 'branch_protection.allow_force_pushes'
+//   reason    why the deviation is accepted
+//   owner     who accepted it
+//   expires   last day the exemption applies (YYYY-MM-DD)
+// A field exemption covers the whole deviation of the field. A path exemption
+// covers a deviation when every differing path (or policy violation) is the
+// exempted path or a setting below it. Exempted deviations are reported as
+// accepted risks and do not count towards risk scores. Once an exemption has
+// expired the deviation is reported again, noting the expired exemption.
+
+const { loadConfigFile } = require('./config-file');
+const { deviationPaths } = require('./severity');
+
+const REQUIRED_KEYS = ['repo', 'reason', 'owner', 'expires'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function validateExemptions(exemptions) {
+    if (!Array.isArray(exemptions)) {
+        throw new Error('Exemptions must be an array of { repo, field or path, reason, owner, expires }');
+    }
+
+    exemptions.forEach((exemption, index) => {
+        const missing = REQUIRED_KEYS.filter(key => !exemption || typeof exemption[key] !== 'string' || exemption[key].trim() === '');
+        if (missing.length > 0) {
+            throw new Error(`Exemption ${index + 1} is missing ${missing.join(', ')}`);
+        }
+        if (Boolean(exemption.field) === Boolean(exemption.path)) {
+            throw new Error(`Exemption ${index + 1} (${exemption.repo}) must name either a field or a path`);
+        }
+        if (!DATE_PATTERN.test(exemption.expires) || Number.isNaN(Date.parse(exemption.expires))) {
+            throw new Error(`Exemption ${index + 1} (${exemption.repo}) has an invalid expiry date "${exemption.expires}", expected YYYY-MM-DD`);
+        }
+    });
+}
+
+// Resolve the exemptions for a config: a separate exemptions file (see lib/config-file.js)
+// takes precedence over the inline `exemptions` list
+function loadExemptions(config) {
+    const settings = config.exemptionSettings || {};
+    const exemptions = settings.exemptionsFile ?
+        loadConfigFile(settings.exemptionsFile, 'exemptions') :
+        config.exemptions || [];
+
+    validateExemptions(exemptions);
+    return exemptions;
+}
+
+// Exemptions apply up to and including their expiry date
+function isExpired(exemption, today) {
+    return exemption.expires < today;
+}
+
+function covers(exemption, field, settingPath) {
+    if (exemption.field) {
+        return exemption.field === field;
+    }
+    return settingPath === exemption.path || settingPath.startsWith(`${exemption.path}.`);
+}
+
+// Exemptions that together cover every differing path of a deviation, or null
+function coveringExemptions(field, deviation, exemptions) {
+    const used = new Set();
+    const covered = deviationPaths(field, deviation).every(settingPath => {
+        const exemption = exemptions.find(candidate => covers(candidate, field, settingPath));
+        if (exemption) {
+            used.add(exemption);
+        }
+        return Boolean(exemption);
+    });
+    return covered ? [...used] : null;
+}
+
+// Split the deviations of a repository into deviations and accepted risks. today is a
+// YYYY-MM-DD date. Deviations that only expired exemptions cover stay deviations, with
+// the expired exemptions recorded as expiredExemptions.
+function applyExemptions(repoName, deviations, exemptions, today) {
+    const own = exemptions.filter(exemption => exemption.repo === repoName);
+    if (!deviations || own.length === 0) {
+        return { deviations, acceptedRisks: null };
+    }
+
+    const active = own.filter(exemption => !isExpired(exemption, today));
+    const remaining = {};
+    const acceptedRisks = {};
+    Object.entries(deviations).forEach(([field, deviation]) => {
+        const accepted = coveringExemptions(field, deviation, active);
+        if (accepted) {
+            acceptedRisks[field] = { ...deviation, exemptions: accepted };
+            return;
+        }
+
+        const expired = coveringExemptions(field, deviation, own);
+        remaining[field] = expired ?
+            { ...deviation, expiredExemptions: expired.filter(exemption => isExpired(exemption, today)) } :
+            deviation;
+    });
+
+    return {
+        deviations: Object.keys(remaining).length > 0 ? remaining : null,
+        acceptedRisks: Object.keys(acceptedRisks).length > 0 ? acceptedRisks : null
+    };
+}
+
+// Accepted risks of analysed repositories as a flat list, ordered by repository and field
+function acceptedRiskList(repos) {
+    return repos.flatMap(repo => Object.entries(repo.acceptedRisks || {}).map(([field, deviation]) => ({
+        repository: repo.name,
+        field: field,
+        severity: deviation.severity || null,
+        exemptions: deviation.exemptions
+    })));
+}
+
+module.exports = {
+    validateExemptions,
+    loadExemptions,
+    isExpired,
+    applyExemptions,
+    acceptedRiskList
+};
@@ -0,0 +1,310 @@
+// Config field definitions
+//
+// Every config field is handled by a field definition, which decides how the
+// field is read, how its norm is calculated, how a repository is compared with
+// the norm and how values are shown in the reports. A definition provides any of
+// these hooks; the others fall back to DEFAULT_FIELD, which treats the field as
+// a plain repository property:
+//   extract(repo, context)           value of the field for a repository
+//   normalise(value, context)        value counted for norms and statistics, or
+//                                    undefined to leave the repository out
+//   items(value, context)            for list fields counted item by item (like
+//                                    topics): the items of a value
+//   norm(values, context)            norm from the normalised values
+//   consensus(values, norm, context) for nested fields: how many of the normalised
+//                                    values agree with the norm on each sub-setting,
+//                                    as [{ path, count, total }] (see lib/stats.js)
+//   compare(value, norm, context)    null when the value matches the norm, otherwise
+//                                    extra deviation details, e.g. { paths } or {}
+//   annotate(deviation, repo, context)  add details to a deviation once it is found
+//   showsPathsOnly(deviation)        whether reports show only the differing paths
+//   render(value, kind, context)     content shown for a value, where kind is 'value'
+//                                    (a repository value), 'norm', 'deviation',
+//                                    'distribution' (a value in the norm statistics)
+//                                    or 'summary' (a short form for tables). Strings
+//                                    are shown as text; markup must come from the
+//                                    html template (see lib/html.js)
+// context is { field, analyzer }.
+//
+// registerField(name, definition) registers a definition for one field, replacing
+// any earlier one. A definition with a matches(field, analyzer) function instead
+// handles every field it matches, such as the 'branch_protection:<pattern>'
+// fields; fields with a definition of their own take precedence over matches,
+// and later registrations over earlier ones.
+
+const { nestedEqual, diffNested, nestedNorm, nestedAgreement } = require('./nested');
+const { RULESET_FIELDS, rulesetFieldValue } = require('./rulesets');
+const { branchPatternOf } = require('./branches');
+const { collectorForField } = require('./collectors');
+const { html, safeURL, externalLink } = require('./html');
+
+const definitions = {};
+const families = [];
+
+function isNullOrUndefined(value) {
+    return value === null || value === undefined;
+}
+
+// Values are counted by their string form and the first value seen for each form
+// is kept, so a numeric-looking string such as '2024' stays a string. Ties go to
+// the value seen first.
+function mostCommon(values) {
+    const valueCounts = new Map();
+    values.forEach(value => {
+        const key = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+        const entry = valueCounts.get(key) || { value: value, count: 0 };
+        entry.count++;
+        valueCounts.set(key, entry);
+    });
+
+    const top = [...valueCounts.values()].sort((a, b) => b.count - a.count)[0];
+    return top ? top.value : null;
+}
+
+// Plain values are compared by type, treating null and undefined as equal and
+// 'true'/'false' strings as booleans; arrays and objects are compared by content
+function simpleValuesDiffer(repoValue, normValue) {
+    if (repoValue === normValue) {
+        return false;
+    } else if (isNullOrUndefined(repoValue) && isNullOrUndefined(normValue)) {
+        return false;
+    } else if (isNullOrUndefined(repoValue) || isNullOrUndefined(normValue)) {
+        return true;
+    } else if (typeof repoValue === typeof normValue && typeof repoValue !== 'object') {
+        return repoValue !== normValue;
+    } else if (typeof repoValue === 'object' && typeof normValue === 'object') {
+        return !nestedEqual(repoValue, normValue);
+    }
+
+    const coerce = value => value === true || value === 'true' ? true :
+        value === false || value === 'false' ? false : value;
+    return coerce(repoValue) !== coerce(normValue);
+}
+
+function renderJSON(value) {
+    return html`<pre>${JSON.stringify(value, null, 2)}</pre>`;
+}
+
+const DEFAULT_FIELD = {
+    extract: (repo, context) => repo[context.field],
+    normalise: value => value === undefined ? null : value,
+    norm: values => mostCommon(values),
+    compare: (value, norm) => simpleValuesDiffer(value, norm) ? {} : null,
+    showsPathsOnly: deviation => Boolean(deviation.paths),
+    render: (value, kind) => {
+        if (kind === 'deviation') {
+            return JSON.stringify(value, null, 2);
+        } else if (kind === 'summary') {
+            return JSON.stringify(value === undefined ? null : value);
+        } else if (kind === 'distribution' && value !== null && typeof value === 'object') {
+            return html`<details><summary>settings</summary>${renderJSON(value)}</details>`;
+        }
+        return isNullOrUndefined(value) ? 'null' : String(value);
+    }
+};
+
+function registerField(name, definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`Field "${name}" must be defined by an object of hooks`);
+    }
+    if (definition.matches !== undefined && typeof definition.matches !== 'function') {
+        throw new Error(`Field "${name}" matches must be a function`);
+    }
+
+    if (definition.matches) {
+        const index = families.findIndex(family => family.name === name);
+        if (index !== -1) {
+            families.splice(index, 1);
+        }
+        families.push({ name, ...definition });
+    } else {
+        definitions[name] = { name, ...definition };
+    }
+}
+
+// Definition for a config field, with DEFAULT_FIELD hooks for the ones it does not provide
+function fieldDefinition(field, analyzer) {
+    const definition = definitions[field] ||
+        [...families].reverse().find(family => family.matches(field, analyzer)) ||
+        {};
+    return { ...DEFAULT_FIELD, ...definition };
+}
+
+registerField('topics', {
+    items: value => Array.isArray(value) ? value : [],
+    // The most common topics, with the number of repositories that have each
+    norm: (values, context) => {
+        const topicCounts = {};
+        values.forEach(topicList => {
+            if (Array.isArray(topicList)) {
+                topicList.forEach(topic => {
+                    topicCounts[topic] = (topicCounts[topic] || 0) + 1;
+                });
+            }
+        });
+        return Object.entries(topicCounts)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, context.analyzer.reportSettings.maxTopicsInNorms)
+            .map(([topic, count]) => ({ topic, count }));
+    },
+    // Only a deviation when enough norm topics are missing or enough extra topics are present
+    compare: (value, norm, context) => {
+        if (!Array.isArray(value) || !Array.isArray(norm)) {
+            return value !== norm ? {} : null;
+        }
+
+        const settings = context.analyzer.deviationSettings;
+        const repoTopics = new Set(value);
+        const normTopics = new Set(norm.map(n => n.topic));
+        const missing = norm.filter(n => !repoTopics.has(n.topic));
+        const extra = value.filter(topic => !normTopics.has(topic));
+
+        if (missing.length >= settings.topicMissingThreshold || extra.length >= settings.topicExtraThreshold) {
+            return { missing, extra };
+        }
+        return null;
+    },
+    render: (value, kind, context) => {
+        if (kind === 'value' && Array.isArray(value)) {
+            return html`<div class="topic-list">${value.map(topic => html`<span class="topic-tag">${topic}</span>`)}</div>`;
+        } else if (kind === 'norm' && Array.isArray(value)) {
+            return html`<div class="topic-list">${value.map(t =>
+                html`<span class="topic-tag">${t.topic}<span class="topic-count">${t.count}</span></span>`
+            )}</div>`;
+        } else if (kind === 'summary' && Array.isArray(value)) {
+            return value.map(t => t.topic).join(', ') || 'none';
+        }
+        return DEFAULT_FIELD.render(value, kind, context);
+    }
+});
+
+// Homepages are set by repository owners, so only http and https URLs become links
+registerField('homepage', {
+    render: (value, kind, context) => kind === 'value' && safeURL(value) ?
+        externalLink(value, value) :
+        DEFAULT_FIELD.render(value, kind, context)
+});
+
+registerField('license', {
+    extract: repo => repo.license ? repo.license.name : null
+});
+
+registerField('security_and_analysis', {
+    extract: repo => repo.security_and_analysis ? {
+        advanced_security: repo.security_and_analysis.advanced_security?.status,
+        secret_scanning: repo.security_and_analysis.secret_scanning?.status,
+        secret_scanning_push_protection: repo.security_and_analysis.secret_scanning_push_protection?.status
+    } : null,
+    // Repositories without security settings are left out; the rest are compared setting by setting
+    normalise: value => value || undefined,
+    norm: values => nestedNorm(values),
+    consensus: (values, norm, context) => nestedAgreement(values, norm, context.field),
+    compare: (value, norm, context) => {
+        const paths = diffNested(value, norm, context.field);
+        return paths.length > 0 ? { paths } : null;
+    },
+    render: (value, kind, context) => (kind === 'value' || kind === 'norm') && value ?
+        renderJSON(value) :
+        DEFAULT_FIELD.render(value, kind, context)
+});
+
+// Shared by branch_protection and the branch pattern fields
+const BRANCH_PROTECTION_FIELD = {
+    // Protection that could not be read is left out
+    normalise: value => value && value.enabled !== null ? value : undefined,
+    // Whether protection is enabled is decided first; the other settings are
+    // then calculated one by one among the repositories that match it
+    norm: values => {
+        if (values.length === 0) {
+            return null;
+        }
+        const enabled = nestedNorm(values.map(config => config.enabled));
+        return enabled ? nestedNorm(values.filter(config => config.enabled)) : { enabled: false };
+    },
+    // Agreement on the enabled state is counted among all repositories, and on the
+    // other settings among the repositories that match it, like the norm
+    consensus: (values, norm, context) => {
+        const enabledPath = `${context.field}.enabled`;
+        const enabled = nestedAgreement(values.map(config => config.enabled), norm.enabled, enabledPath);
+        if (!norm.enabled) {
+            return enabled;
+        }
+        return enabled.concat(nestedAgreement(values.filter(config => config.enabled), norm, context.field)
+            .filter(entry => entry.path !== enabledPath));
+    },
+    // Compare setting by setting so the deviation lists only the paths that differ.
+    // When protection is enabled on one side only, that is the one difference that matters.
+    compare: (value, norm, context) => {
+        const paths = value && norm && value.enabled !== norm.enabled ?
+            diffNested(value.enabled, norm.enabled, `${context.field}.enabled`) :
+            diffNested(value, norm, context.field);
+        return paths.length > 0 ? { paths } : null;
+    },
+    // When protection is enabled on one side only, the full settings are more useful
+    showsPathsOnly: deviation => Boolean(deviation.paths) &&
+        !(deviation.repo && deviation.norm && deviation.repo.enabled !== deviation.norm.enabled),
+    render: (value, kind, context) => {
+        if (kind === 'norm' && value) {
+            const status = value.enabled ? 'enabled' : 'disabled';
+            return html`<span class="branch-protection-status branch-protection-${status}">${status}</span><br>${renderJSON(value)}`;
+        } else if ((kind === 'value' || kind === 'deviation') && value) {
+            if (value.enabled === null) {
+                return html`<span class="branch-protection-status branch-protection-error">Error: ${value.error || 'Unknown'}</span>`;
+            }
+            return value.enabled ?
+                html`<span class="branch-protection-status branch-protection-enabled">Enabled</span><br>${renderJSON(value)}` :
+                html`<span class="branch-protection-status branch-protection-disabled">Disabled</span>`;
+        } else if (kind === 'distribution') {
+            return value.enabled ? html`<details><summary>enabled</summary>${renderJSON(value)}</details>` : 'disabled';
+        }
+        return DEFAULT_FIELD.render(value, kind, context);
+    }
+};
+
+registerField('branch_protection', {
+    ...BRANCH_PROTECTION_FIELD,
+    extract: (repo, context) => context.analyzer.branchProtectionFor(repo)
+});
+
+registerField('branch_protection:<pattern>', {
+    ...BRANCH_PROTECTION_FIELD,
+    matches: field => branchPatternOf(field) !== null,
+    // The least protected matching branch represents the repository (see lib/branches.js)
+    extract: (repo, context) => {
+        const patternBranch = context.analyzer.patternBranchFor(repo, branchPatternOf(context.field));
+        return patternBranch ? patternBranch.protection : null;
+    },
+    // Repositories without a matching branch have nothing to compare
+    compare: (value, norm, context) => value === null ? null : BRANCH_PROTECTION_FIELD.compare(value, norm, context),
+    annotate: (deviation, repo, context) => {
+        if (deviation.repo) {
+            deviation.branch = context.analyzer.patternBranchFor(repo, branchPatternOf(context.field)).branch;
+        }
+    },
+    render: (value, kind, context) => kind === 'value' && value === null ?
+        'No matching branch' :
+        BRANCH_PROTECTION_FIELD.render(value, kind, context)
+});
+
+RULESET_FIELDS.forEach(field => {
+    registerField(field, {
+        extract: (repo, context) => rulesetFieldValue(field, context.analyzer.branchProtectionFor(repo), repo)
+    });
+});
+
+// Values recorded by fetchAllFileChecks() and fetchCollectedData(); null until they are fetched
+registerField('file checks', {
+    matches: (field, analyzer) => Boolean(analyzer && analyzer.fileChecks[field]),
+    extract: (repo, context) => (repo.files || {})[context.field] ?? null
+});
+
+registerField('collected', {
+    matches: field => Boolean(collectorForField(field)),
+    extract: (repo, context) => (repo.collected || {})[context.field] ?? null
+});
+
+module.exports = {
+    DEFAULT_FIELD,
+    registerField,
+    fieldDefinition
+};
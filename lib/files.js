@@ -0,0 +1,81 @@
+// Repository file checks
+//
+// fileChecks maps a config field to the files it checks for in each repository's
+// default branch, read with the contents API:
+//   paths     candidate paths, checked in order; the first file found is used
+//   pattern   optional regular expression the file content must match
+// The field is true when a file is found (and its content matches the pattern),
+// false when none is found (or it does not match), and null when the files could
+// not be read. File check fields are added to configFields automatically.
+
+function validateFileChecks(checks = {}) {
+    Object.entries(checks).forEach(([field, check]) => {
+        if (!check || !Array.isArray(check.paths) || check.paths.length === 0) {
+            throw new Error(`fileChecks.${field} must list the paths to check`);
+        }
+        if (check.pattern !== undefined) {
+            try {
+                new RegExp(check.pattern, 'm');
+            } catch (error) {
+                throw new Error(`Invalid fileChecks.${field}.pattern: ${error.message}`);
+            }
+        }
+    });
+}
+
+// Config fields with the file check fields that are not already listed added at the end
+function withFileCheckFields(fields, checks = {}) {
+    return [...fields, ...Object.keys(checks).filter(field => !fields.includes(field))];
+}
+
+// Decoded content of a contents API response, or null for a directory or a non-file entry
+function fileContent(data) {
+    if (Array.isArray(data) || data.type !== 'file') {
+        return null;
+    }
+    return Buffer.from(data.content || '', data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+}
+
+// First of the candidate paths that is a file in the repository's default branch, as
+// { path, content }, or null when none is. Throws when a file could not be read.
+async function findFile(analyzer, repo, paths) {
+    for (const filePath of paths) {
+        let content;
+        try {
+            const response = await analyzer.scheduler.request(() => analyzer.octokit.rest.repos.getContent({
+                owner: analyzer.orgName,
+                repo: repo.name,
+                path: filePath,
+                ref: repo.default_branch || 'main'
+            }));
+            content = fileContent(response.data);
+        } catch (error) {
+            if (error.status === 404) {
+                continue;
+            }
+            throw error;
+        }
+
+        if (content !== null) {
+            return { path: filePath, content };
+        }
+    }
+    return null;
+}
+
+// Whether a file check passes for a repository. Throws when a file could not be read.
+async function checkFile(analyzer, repo, check) {
+    const file = await findFile(analyzer, repo, check.paths);
+    if (!file) {
+        return false;
+    }
+    return check.pattern === undefined || new RegExp(check.pattern, 'm').test(file.content);
+}
+
+module.exports = {
+    validateFileChecks,
+    withFileCheckFields,
+    fileContent,
+    findFile,
+    checkFile
+};
@@ -0,0 +1,129 @@
+// Repository filters
+//
+// Name patterns are globs matched against the repository name ("*" matches any
+// run of characters, "?" a single character) or regular expressions written as
+// "/pattern/flags". A repository is kept when it matches at least one include
+// pattern (or no include patterns are set), matches no exclude pattern and
+// passes every attribute filter:
+//   requiredTopics    repository must have all of these topics
+//   forbiddenTopics   repository must have none of these topics
+//   forks             'include' (default), 'exclude' or 'only'
+//   languages         primary language must be one of these (empty = any)
+//   excludeLanguages  primary language must not be one of these
+//   maxPushedAgeDays  last push must be at most this many days ago
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FORK_MODES = ['include', 'exclude', 'only'];
+
+function globToRegExp(pattern) {
+    const escaped = pattern
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+function patternToRegExp(pattern) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    return regex ? new RegExp(regex[1], regex[2]) : globToRegExp(pattern);
+}
+
+function matchesAny(name, patterns) {
+    return patterns.some(pattern => patternToRegExp(pattern).test(name));
+}
+
+function lowerCase(values) {
+    return (values || []).map(value => String(value).toLowerCase());
+}
+
+// Throws on an unknown forks mode or an invalid regular expression pattern
+function validateRepoFilters(filters = {}) {
+    if (filters.forks !== undefined && !FORK_MODES.includes(filters.forks)) {
+        throw new Error(`Invalid repoFilters.forks "${filters.forks}". Expected one of: ${FORK_MODES.join(', ')}`);
+    }
+    [...(filters.include || []), ...(filters.exclude || [])].forEach(patternToRegExp);
+}
+
+// Returns the reason a repository is filtered out, or null when it is kept
+function filterReason(repo, filters = {}, now = Date.now()) {
+    const include = filters.include || [];
+    const exclude = filters.exclude || [];
+    const topics = Array.isArray(repo.topics) ? repo.topics : [];
+
+    if (include.length > 0 && !matchesAny(repo.name, include)) {
+        return 'name does not match include patterns';
+    }
+    if (exclude.length > 0 && matchesAny(repo.name, exclude)) {
+        return 'name matches exclude patterns';
+    }
+
+    const missingTopics = (filters.requiredTopics || []).filter(topic => !topics.includes(topic));
+    if (missingTopics.length > 0) {
+        return `missing required topics: ${missingTopics.join(', ')}`;
+    }
+    const forbiddenTopics = (filters.forbiddenTopics || []).filter(topic => topics.includes(topic));
+    if (forbiddenTopics.length > 0) {
+        return `has forbidden topics: ${forbiddenTopics.join(', ')}`;
+    }
+
+    if (filters.forks === 'exclude' && repo.fork) {
+        return 'is a fork';
+    }
+    if (filters.forks === 'only' && !repo.fork) {
+        return 'is not a fork';
+    }
+
+    const language = repo.language ? repo.language.toLowerCase() : null;
+    const languages = lowerCase(filters.languages);
+    if (languages.length > 0 && !languages.includes(language)) {
+        return `language ${repo.language || 'none'} is not included`;
+    }
+    if (language && lowerCase(filters.excludeLanguages).includes(language)) {
+        return `language ${repo.language} is excluded`;
+    }
+
+    if (filters.maxPushedAgeDays !== null && filters.maxPushedAgeDays !== undefined) {
+        const pushedAt = repo.pushed_at ? Date.parse(repo.pushed_at) : NaN;
+        if (isNaN(pushedAt) || now - pushedAt > filters.maxPushedAgeDays * DAY_MS) {
+            return `not pushed in the last ${filters.maxPushedAgeDays} days`;
+        }
+    }
+
+    return null;
+}
+
+function matchesRepoFilters(repo, filters = {}, now = Date.now()) {
+    return filterReason(repo, filters, now) === null;
+}
+
+// Human readable list of the filters that are set
+function describeRepoFilters(filters = {}) {
+    const descriptions = [];
+    const list = values => values.join(', ');
+
+    if (filters.include && filters.include.length > 0) descriptions.push(`Name matches: ${list(filters.include)}`);
+    if (filters.exclude && filters.exclude.length > 0) descriptions.push(`Name excludes: ${list(filters.exclude)}`);
+    if (filters.requiredTopics && filters.requiredTopics.length > 0) descriptions.push(`Required topics: ${list(filters.requiredTopics)}`);
+    if (filters.forbiddenTopics && filters.forbiddenTopics.length > 0) descriptions.push(`Forbidden topics: ${list(filters.forbiddenTopics)}`);
+    if (filters.forks === 'exclude') descriptions.push('Forks excluded');
+    if (filters.forks === 'only') descriptions.push('Forks only');
+    if (filters.languages && filters.languages.length > 0) descriptions.push(`Languages: ${list(filters.languages)}`);
+    if (filters.excludeLanguages && filters.excludeLanguages.length > 0) descriptions.push(`Languages excluded: ${list(filters.excludeLanguages)}`);
+    if (filters.maxPushedAgeDays !== null && filters.maxPushedAgeDays !== undefined) {
+        descriptions.push(`Pushed in the last ${filters.maxPushedAgeDays} days`);
+    }
+    return descriptions;
+}
+
+module.exports = {
+    globToRegExp,
+    patternToRegExp,
+    validateRepoFilters,
+    filterReason,
+    matchesRepoFilters,
+    describeRepoFilters
+};
@@ -0,0 +1,169 @@
+// Fixture-backed GitHub client
+//
+// Serves recorded API responses from a directory so the analyzer can run
+// without network access. It mirrors the parts of the Octokit client the
+// analyzer uses (client.rest.repos.*). Directory layout:
+//   repos.json                                array of repositories as returned by repos.listForOrg
+//   branch-protection/<repo>.json             response of repos.getBranchProtection for the default branch
+//   branch-protection/<repo>/<branch>.json    the same for another branch (e.g. branch-protection/app/release/1.0.json)
+//   branches/<repo>.json                      response of repos.listBranches
+//   teams/<repo>.json                         response of repos.listTeams
+//   branch-rules/<repo>.json                  response of repos.getBranchRules for the default branch
+//   branch-rules/<repo>/<branch>.json         the same for another branch
+//   rulesets/<repo>.json                      response of repos.getRepoRulesets
+//   actions/permissions/<repo>.json           response of actions.getGithubActionsPermissionsRepository
+//   actions/selected-actions/<repo>.json      response of actions.getAllowedActionsRepository
+//   actions/workflow-permissions/<repo>.json  response of actions.getGithubActionsDefaultWorkflowPermissionsRepository
+//   vulnerability-alerts/<repo>.json          any content when vulnerability alerts are enabled (repos.checkVulnerabilityAlerts)
+//   automated-security-fixes/<repo>.json      response of repos.checkAutomatedSecurityFixes
+//   environments/<repo>.json                  response of repos.getAllEnvironments
+//   hooks/<repo>.json                         response of repos.listWebhooks
+//   keys/<repo>.json                          response of repos.listDeployKeys
+//   collaborators/<affiliation>/<repo>.json   response of repos.listCollaborators for 'outside' or 'direct' collaborators
+//   contents/<repo>/<path>                    raw files served by repos.getContent (default branch only)
+//
+// A missing file behaves like a 404. A file containing
+// { "error": { "status": 403, "message": "..." } } is raised as an API error with that status.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+function createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+async function readFixture(directory, file) {
+    let contents;
+    try {
+        contents = await fs.readFile(path.join(directory, file), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw createError(404, `Not Found (no fixture ${file})`);
+        }
+        throw error;
+    }
+
+    const data = JSON.parse(contents);
+    if (data && data.error && data.error.status) {
+        throw createError(data.error.status, data.error.message || `HTTP ${data.error.status}`);
+    }
+    return { status: 200, headers: {}, data: data };
+}
+
+// Default branch files are named after the repository; other branches have a file per branch
+async function readBranchFixture(directory, folder, repo, branch) {
+    const repos = (await readFixture(directory, 'repos.json')).data;
+    const entry = repos.find(candidate => candidate.name === repo);
+    const isDefault = !entry || branch === (entry.default_branch || 'main');
+    return readFixture(directory, isDefault ? path.join(folder, `${repo}.json`) : path.join(folder, repo, `${branch}.json`));
+}
+
+// repos.getContent response for a raw file or directory under contents/<repo>/
+async function readContent(directory, repo, filePath) {
+    const fullPath = path.join(directory, 'contents', repo, filePath);
+    let stat;
+    try {
+        stat = await fs.stat(fullPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw createError(404, `Not Found (no fixture contents/${repo}/${filePath})`);
+        }
+        throw error;
+    }
+
+    if (stat.isDirectory()) {
+        const entries = await fs.readdir(fullPath, { withFileTypes: true });
+        return {
+            status: 200,
+            headers: {},
+            data: entries.map(entry => ({
+                type: entry.isDirectory() ? 'dir' : 'file',
+                name: entry.name,
+                path: path.posix.join(filePath, entry.name)
+            }))
+        };
+    }
+
+    const content = await fs.readFile(fullPath);
+    return {
+        status: 200,
+        headers: {},
+        data: {
+            type: 'file',
+            name: path.basename(filePath),
+            path: filePath,
+            size: content.length,
+            encoding: 'base64',
+            content: content.toString('base64')
+        }
+    };
+}
+
+function paginate(response, per_page, page) {
+    const start = (page - 1) * per_page;
+    return { ...response, data: response.data.slice(start, start + per_page) };
+}
+
+function createFixtureClient(directory) {
+    // Endpoints answered with a single file per repository
+    const perRepo = folder => async ({ repo }) => readFixture(directory, path.join(folder, `${repo}.json`));
+    // List endpoints answered with a single file per repository, served page by page
+    const perRepoList = folder => async ({ repo, per_page = 30, page = 1 }) => {
+        return paginate(await readFixture(directory, path.join(folder, `${repo}.json`)), per_page, page);
+    };
+
+    return {
+        rest: {
+            repos: {
+                async listForOrg({ per_page = 30, page = 1 }) {
+                    return paginate(await readFixture(directory, 'repos.json'), per_page, page);
+                },
+
+                async getBranchProtection({ repo, branch }) {
+                    return readBranchFixture(directory, 'branch-protection', repo, branch);
+                },
+
+                async listBranches({ repo, per_page = 30, page = 1 }) {
+                    return paginate(await readFixture(directory, path.join('branches', `${repo}.json`)), per_page, page);
+                },
+
+                listTeams: perRepoList('teams'),
+
+                async listCollaborators({ repo, affiliation = 'all', per_page = 30, page = 1 }) {
+                    return paginate(await readFixture(directory, path.join('collaborators', affiliation, `${repo}.json`)), per_page, page);
+                },
+
+                async getBranchRules({ repo, branch }) {
+                    return readBranchFixture(directory, 'branch-rules', repo, branch);
+                },
+
+                getRepoRulesets: perRepo('rulesets'),
+                checkVulnerabilityAlerts: perRepo('vulnerability-alerts'),
+                checkAutomatedSecurityFixes: perRepo('automated-security-fixes'),
+                async getAllEnvironments({ repo, per_page = 30, page = 1 }) {
+                    const response = await readFixture(directory, path.join('environments', `${repo}.json`));
+                    const environments = paginate({ data: response.data.environments || [] }, per_page, page).data;
+                    return { ...response, data: { ...response.data, environments } };
+                },
+
+                listWebhooks: perRepoList('hooks'),
+                listDeployKeys: perRepoList('keys'),
+
+                async getContent({ repo, path: filePath }) {
+                    return readContent(directory, repo, filePath);
+                }
+            },
+            actions: {
+                getGithubActionsPermissionsRepository: perRepo(path.join('actions', 'permissions')),
+                getAllowedActionsRepository: perRepo(path.join('actions', 'selected-actions')),
+                getGithubActionsDefaultWorkflowPermissionsRepository: perRepo(path.join('actions', 'workflow-permissions'))
+            }
+        }
+    };
+}
+
+module.exports = {
+    createFixtureClient
+};
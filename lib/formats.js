@@ -0,0 +1,219 @@
+// Report output formats
+//
+// Each format has a file extension, a filename prefix and a render function.
+// render(analyzer, analysis) receives the analyzer and the result of
+// analyzer.analyze() and returns the file contents as a string.
+
+const pkg = require('../package.json');
+const { describeCohorts } = require('./cohorts');
+const { severityBreakdown } = require('./severity');
+const { hasAccessFields, accessSummary } = require('./access');
+const { overrideSummary } = require('./overrides');
+
+const JSON_SCHEMA_VERSION = '1.9.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const formats = {};
+
+function registerFormat(name, definition) {
+    if (!definition || typeof definition.render !== 'function') {
+        throw new Error(`Format "${name}" must provide a render function`);
+    }
+    formats[name] = {
+        extension: name,
+        prefix: 'repo-config-analysis',
+        ...definition
+    };
+}
+
+function getFormat(name) {
+    const format = formats[name];
+    if (!format) {
+        throw new Error(`Unknown report format "${name}". Available formats: ${Object.keys(formats).join(', ')}`);
+    }
+    return format;
+}
+
+function listFormats() {
+    return Object.keys(formats);
+}
+
+function buildMetadata(analyzer, analysis) {
+    return {
+        organization: analyzer.orgName,
+        generatedAt: analysis.generatedAt,
+        tool: { name: pkg.name, version: pkg.version },
+        baseline: analyzer.policyMode,
+        configFields: analyzer.configFields,
+        ignoredFields: analyzer.deviationSettings.ignoreFields,
+        filters: analyzer.describeFilters(),
+        cohorts: describeCohorts(analyzer.cohortSettings),
+        repositoryCount: analysis.repos.length,
+        repositoriesWithDeviations: analysis.repos.filter(repo => repo.deviations).length,
+        acceptedRisks: analysis.repos.reduce((count, repo) => count + Object.keys(repo.acceptedRisks || {}).length, 0),
+        severity: severityBreakdown(analysis.repos),
+        access: hasAccessFields(analyzer.configFields) ? accessSummary(analysis.repos) : null,
+        overrides: analyzer.overrideSettings.enabled ? overrideSummary(analysis.repos) : null
+    };
+}
+
+// Stable, versioned JSON document. Bump JSON_SCHEMA_VERSION when the shape changes.
+function renderJSON(analyzer, analysis) {
+    const document = {
+        schemaVersion: JSON_SCHEMA_VERSION,
+        metadata: buildMetadata(analyzer, analysis),
+        norms: analysis.norms,
+        fieldStats: analysis.fieldStats || null,
+        cohorts: analysis.cohorts || null,
+        policy: analyzer.policy,
+        repositories: analysis.repos.map(repo => ({
+            name: repo.name,
+            full_name: repo.full_name,
+            html_url: repo.html_url,
+            cohort: repo.cohort || null,
+            riskScore: repo.riskScore || 0,
+            config: repo.config,
+            deviations: repo.deviations || {},
+            acceptedRisks: repo.acceptedRisks || {},
+            override: repo.override || null
+        }))
+    };
+    return JSON.stringify(document, null, 2);
+}
+
+function describeDeviation(field, deviation) {
+    if (deviation.violations) {
+        return deviation.violations.map(v => v.message).join('; ');
+    }
+    if (deviation.missing || deviation.extra) {
+        const parts = [];
+        if (deviation.missing && deviation.missing.length > 0) {
+            parts.push(`missing topics: ${deviation.missing.map(m => m.topic).join(', ')}`);
+        }
+        if (deviation.extra && deviation.extra.length > 0) {
+            parts.push(`extra topics: ${deviation.extra.join(', ')}`);
+        }
+        return `${field} deviates from the norm (${parts.join('; ')})`;
+    }
+    const norm = deviation.cohort ? `${deviation.cohort} cohort norm` : 'norm';
+    const branch = deviation.branch ? ` on ${deviation.branch}` : '';
+    if (deviation.paths) {
+        return deviation.paths.map(p => `${p.path} is ${JSON.stringify(p.repo)}${branch}, ${norm} is ${JSON.stringify(p.norm)}`).join('; ');
+    }
+    return `${field} is ${JSON.stringify(deviation.repo)}${branch}, ${norm} is ${JSON.stringify(deviation.norm)}`;
+}
+
+// SARIF result levels for each deviation severity
+const SARIF_LEVELS = {
+    critical: 'error',
+    high: 'error',
+    medium: 'warning',
+    low: 'note'
+};
+
+// SARIF 2.1.0 log with one rule per config field and one result per deviation
+function renderSARIF(analyzer, analysis) {
+    const rules = analyzer.configFields.map(field => ({
+        id: `repo-config/${field}`,
+        name: field,
+        shortDescription: { text: `Repository setting "${field}" deviates from the baseline` },
+        defaultConfiguration: { level: 'warning' }
+    }));
+    const ruleIndex = {};
+    rules.forEach((rule, index) => {
+        ruleIndex[rule.name] = index;
+    });
+
+    // Accepted risks are reported as results suppressed by their exemptions
+    const results = [];
+    analysis.repos.forEach(repo => {
+        const deviations = [
+            ...Object.entries(repo.deviations || {}),
+            ...Object.entries(repo.acceptedRisks || {})
+        ];
+        deviations.forEach(([field, deviation]) => {
+            const result = {
+                ruleId: `repo-config/${field}`,
+                ruleIndex: ruleIndex[field],
+                level: SARIF_LEVELS[deviation.severity] || 'warning',
+                message: { text: `${repo.full_name}: ${describeDeviation(field, deviation)}` },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: repo.html_url || repo.full_name }
+                    },
+                    logicalLocations: [{
+                        name: repo.full_name,
+                        kind: 'module'
+                    }]
+                }],
+                partialFingerprints: {
+                    repositoryField: `${repo.full_name}:${field}`
+                },
+                properties: {
+                    repository: repo.full_name,
+                    field: field,
+                    source: deviation.source || 'norm',
+                    severity: deviation.severity || null,
+                    cohort: repo.cohort || null,
+                    repoValue: deviation.repo === undefined ? null : deviation.repo,
+                    expected: deviation.norm === undefined ? null : deviation.norm
+                }
+            };
+            if (deviation.exemptions) {
+                result.suppressions = deviation.exemptions.map(exemption => ({
+                    kind: 'external',
+                    status: 'accepted',
+                    justification: `${exemption.reason} (owner: ${exemption.owner}, expires ${exemption.expires})`
+                }));
+            }
+            results.push(result);
+        });
+    });
+
+    const log = {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: pkg.name,
+                    version: pkg.version,
+                    informationUri: pkg.homepage,
+                    rules: rules
+                }
+            },
+            automationDetails: { id: `${pkg.name}/${analyzer.orgName}/` },
+            invocations: [{
+                executionSuccessful: true,
+                endTimeUtc: analysis.generatedAt
+            }],
+            results: results
+        }]
+    };
+    return JSON.stringify(log, null, 2);
+}
+
+registerFormat('html', {
+    render: (analyzer, analysis) => analyzer.generateHTMLReport(analysis)
+});
+
+registerFormat('html-deviations', {
+    extension: 'html',
+    prefix: 'repo-deviations',
+    render: (analyzer, analysis) => analyzer.generateDeviationsOnlyReport(analysis)
+});
+
+registerFormat('json', {
+    render: renderJSON
+});
+
+registerFormat('sarif', {
+    render: renderSARIF
+});
+
+module.exports = {
+    JSON_SCHEMA_VERSION,
+    registerFormat,
+    getFormat,
+    listFormats
+};
@@ -0,0 +1,82 @@
+// HTML templating for the reports
+//
+// Report markup is written with the html tagged template. A value placed in a
+// template is escaped unless it is markup itself, i.e. the result of another html
+// template or of raw(). Arrays are rendered item by item, and null and undefined
+// render as nothing. Repository data such as names, descriptions, topics and API
+// error messages can therefore be placed in a template as it is:
+//   html`<li>${repo.description}</li>`
+// raw() marks trusted markup, such as the report CSS and script; it must never be
+// given repository data. URLs from repository data are checked with safeURL()
+// before they become links.
+
+class SafeHTML {
+    constructor(text) {
+        this.text = text;
+    }
+
+    toString() {
+        return this.text;
+    }
+}
+
+// Text that can be placed in HTML content and attribute values
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function raw(text) {
+    return new SafeHTML(String(text));
+}
+
+function renderValue(value) {
+    if (value instanceof SafeHTML) {
+        return value.text;
+    } else if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    } else if (value === null || value === undefined) {
+        return '';
+    }
+    return escapeHTML(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((result, string, index) => result + renderValue(values[index - 1]) + string));
+}
+
+// Values joined by a separator, both escaped unless they are markup
+function joinHTML(values, separator) {
+    return raw(values.map(renderValue).join(renderValue(separator)));
+}
+
+// The URL when it is an absolute http or https URL, otherwise null. Other schemes,
+// such as javascript: and data:, could run code when the link is followed.
+function safeURL(url) {
+    if (typeof url !== 'string') {
+        return null;
+    }
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol) ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Link opening url in a new tab, or just the content when url is not safe
+function externalLink(url, content) {
+    return safeURL(url) ? html`<a href="${url}" target="_blank" rel="noopener noreferrer">${content}</a>` : html`${content}`;
+}
+
+module.exports = {
+    escapeHTML,
+    raw,
+    html,
+    joinHTML,
+    safeURL,
+    externalLink
+};
@@ -0,0 +1,111 @@
+// Nested setting comparison
+//
+// branch_protection and security_and_analysis are objects of sub-settings.
+// Rather than comparing them as whole JSON strings, these helpers compare and
+// calculate norms for them one sub-setting at a time, identified by dotted paths
+// such as 'branch_protection.required_pull_request_reviews.required_approving_review_count'.
+// Key order never matters, and arrays (e.g. required_status_checks.contexts) are
+// compared regardless of the order of their items.
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Order-independent form of a value: object keys and array items are sorted
+function canonical(value) {
+    if (Array.isArray(value)) {
+        return value.map(canonical).sort((a, b) => {
+            const keyA = JSON.stringify(a);
+            const keyB = JSON.stringify(b);
+            return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+        });
+    }
+    if (isPlainObject(value)) {
+        const sorted = {};
+        Object.keys(value).sort().forEach(key => {
+            sorted[key] = canonical(value[key]);
+        });
+        return sorted;
+    }
+    return value === undefined ? null : value;
+}
+
+function canonicalKey(value) {
+    return JSON.stringify(canonical(value));
+}
+
+// Sub-settings that differ between two values, as [{ path, repo, norm }].
+// Objects are compared key by key; anything else is compared as a whole.
+function diffNested(actual, expected, prefix) {
+    if (isPlainObject(actual) && isPlainObject(expected)) {
+        const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+        return keys.reduce((paths, key) => paths.concat(diffNested(actual[key], expected[key], `${prefix}.${key}`)), []);
+    }
+    if (canonicalKey(actual) === canonicalKey(expected)) {
+        return [];
+    }
+    return [{
+        path: prefix,
+        repo: actual === undefined ? null : actual,
+        norm: expected === undefined ? null : expected
+    }];
+}
+
+// A missing key and a null value are equivalent
+function nestedEqual(a, b) {
+    return diffNested(a, b, '').length === 0;
+}
+
+// Norm of a nested setting, calculated one sub-setting at a time: each key takes
+// the most common value among the values that have an object at that level.
+// Ties go to the value seen first; objects win over an equally common plain value.
+function nestedNorm(values) {
+    if (values.length === 0) {
+        return null;
+    }
+
+    const objects = values.filter(isPlainObject);
+    const counts = new Map();
+    values.filter(value => !isPlainObject(value)).forEach(value => {
+        const key = canonicalKey(value);
+        const entry = counts.get(key) || { value: value === undefined ? null : value, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    });
+    const mostCommon = [...counts.values()].sort((a, b) => b.count - a.count)[0];
+
+    if (objects.length === 0 || (mostCommon && mostCommon.count > objects.length)) {
+        return mostCommon.value;
+    }
+
+    const keys = [...new Set(objects.flatMap(object => Object.keys(object)))];
+    const norm = {};
+    keys.forEach(key => {
+        norm[key] = nestedNorm(objects.map(object => object[key]));
+    });
+    return norm;
+}
+
+// How many values agree with a nested norm on each sub-setting, as
+// [{ path, count, total }]. Like nestedNorm(), each sub-setting is counted among
+// the values that have an object at its level. Where the norm holds an object,
+// whether a value has an object there is counted under that object's own path.
+function nestedAgreement(values, norm, prefix) {
+    if (!isPlainObject(norm)) {
+        const count = values.filter(value => canonicalKey(value) === canonicalKey(norm)).length;
+        return [{ path: prefix, count: count, total: values.length }];
+    }
+
+    const objects = values.filter(isPlainObject);
+    return Object.keys(norm).reduce((paths, key) => {
+        return paths.concat(nestedAgreement(objects.map(object => object[key]), norm[key], `${prefix}.${key}`));
+    }, [{ path: prefix, count: objects.length, total: values.length }]);
+}
+
+module.exports = {
+    canonical,
+    nestedEqual,
+    diffNested,
+    nestedNorm,
+    nestedAgreement
+};
@@ -0,0 +1,161 @@
+// Repository override files
+//
+// Repository owners can declare the profile of their repository in a file in its
+// default branch, .github/repo-config.yml unless overrideSettings.paths lists others:
+//   cohort       cohort of the repository, used instead of cohortSettings.groupBy
+//                (when cohorts are enabled)
+//   expected     requirements for config fields in the policy syntax (see
+//                lib/policy.js), validated like the central policy; the repository
+//                is checked against these instead of the norm, but a central policy
+//                requirement still takes precedence
+//   exemptions   exemptions for the repository (see lib/exemptions.js), without repo
+// overrideSettings.allow lists the keys repositories may declare. Files ending in
+// .json are read as JSON, others as YAML (see lib/yaml.js). A file that cannot be
+// parsed or declares anything invalid is ignored as a whole. Each repository's
+// override records the outcome:
+//   { status: 'found', path, cohort, expected, exemptions }
+//   { status: 'missing' }
+//   { status: 'invalid', path, errors }
+//   { status: 'unreadable', errors }    the file could not be fetched
+
+const { parseYAML } = require('./yaml');
+const { findFile } = require('./files');
+const { validateExemptions } = require('./exemptions');
+const { policyErrors } = require('./policy');
+
+const OVERRIDE_KEYS = ['cohort', 'expected', 'exemptions'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateOverrideSettings(settings = {}) {
+    if (!settings.enabled) {
+        return;
+    }
+    if (!Array.isArray(settings.paths) || settings.paths.length === 0) {
+        throw new Error('overrideSettings.paths must list the override file paths to read');
+    }
+    const unknown = (settings.allow || []).filter(key => !OVERRIDE_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid overrideSettings.allow: ${unknown.join(', ')}. Expected any of: ${OVERRIDE_KEYS.join(', ')}`);
+    }
+}
+
+function parseDocument(file) {
+    return file.path.endsWith('.json') ? JSON.parse(file.content) : parseYAML(file.content);
+}
+
+// Override of a repository from the content of its override file ({ path, content }).
+// options are { configFields, allow }.
+function parseOverride(file, repoName, options) {
+    let document;
+    try {
+        document = parseDocument(file);
+    } catch (error) {
+        return { status: 'invalid', path: file.path, errors: [`Unable to parse: ${error.message}`] };
+    }
+
+    // An empty file declares nothing
+    document = document === null ? {} : document;
+    if (!isPlainObject(document)) {
+        return { status: 'invalid', path: file.path, errors: ['The override file must be a mapping of cohort, expected and exemptions'] };
+    }
+
+    const errors = [];
+    const allow = options.allow || OVERRIDE_KEYS;
+    Object.keys(document).forEach(key => {
+        if (!OVERRIDE_KEYS.includes(key)) {
+            errors.push(`Unknown key "${key}"`);
+        } else if (!allow.includes(key)) {
+            errors.push(`"${key}" may not be declared by repositories`);
+        }
+    });
+
+    // Only the keys checked above count, never inherited ones
+    const declared = (key, fallback) => Object.prototype.hasOwnProperty.call(document, key) ? document[key] : fallback;
+    const cohort = declared('cohort', undefined);
+    const expected = declared('expected', {});
+    const exemptions = declared('exemptions', []);
+    if (cohort !== undefined && typeof cohort !== 'string' && typeof cohort !== 'number') {
+        errors.push('cohort must be a name');
+    }
+
+    if (!isPlainObject(expected)) {
+        errors.push('expected must map config fields to requirements');
+    } else {
+        Object.keys(expected)
+            .filter(field => !options.configFields.includes(field))
+            .forEach(field => errors.push(`expected field "${field}" is not analysed`));
+        policyErrors(expected).forEach(error => errors.push(`expected ${error}`));
+    }
+
+    let declaredExemptions = [];
+    if (!Array.isArray(exemptions)) {
+        errors.push('exemptions must be a list');
+    } else {
+        exemptions
+            .filter(exemption => isPlainObject(exemption) && exemption.repo !== undefined && exemption.repo !== repoName)
+            .forEach(exemption => errors.push(`exemptions may only apply to ${repoName}, not ${exemption.repo}`));
+        declaredExemptions = exemptions.map(exemption => isPlainObject(exemption) ? { ...exemption, repo: repoName } : exemption);
+        try {
+            validateExemptions(declaredExemptions);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { status: 'invalid', path: file.path, errors };
+    }
+    return {
+        status: 'found',
+        path: file.path,
+        cohort: cohort === undefined || cohort === null ? null : String(cohort),
+        expected: expected,
+        exemptions: declaredExemptions
+    };
+}
+
+async function fetchOverride(analyzer, repo) {
+    const settings = analyzer.overrideSettings;
+    let file;
+    try {
+        file = await findFile(analyzer, repo, settings.paths);
+    } catch (error) {
+        return { status: 'unreadable', errors: [error.message] };
+    }
+    if (!file) {
+        return { status: 'missing' };
+    }
+    return parseOverride(file, repo.name, { configFields: analyzer.configFields, allow: settings.allow });
+}
+
+// Declarations of a repository's override, or an empty override when it has no valid file
+function declaredOverride(repo) {
+    const override = repo.override;
+    if (!override || override.status !== 'found') {
+        return { cohort: null, expected: {}, exemptions: [] };
+    }
+    return override;
+}
+
+// Outcome of reading the override files of analysed repositories ({ name, override })
+function overrideSummary(repos) {
+    const withStatus = status => repos.filter(repo => repo.override && repo.override.status === status);
+    return {
+        found: withStatus('found').map(repo => repo.name),
+        missing: withStatus('missing').map(repo => repo.name),
+        invalid: withStatus('invalid').map(repo => ({ repository: repo.name, path: repo.override.path, errors: repo.override.errors })),
+        unreadable: withStatus('unreadable').map(repo => ({ repository: repo.name, errors: repo.override.errors }))
+    };
+}
+
+module.exports = {
+    OVERRIDE_KEYS,
+    validateOverrideSettings,
+    parseOverride,
+    fetchOverride,
+    declaredOverride,
+    overrideSummary
+};
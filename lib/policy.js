@@ -0,0 +1,207 @@
+// Declarative policy baselines
+//
+// A policy maps config fields to requirements. Each requirement is one of:
+//   - a plain value (string, number, boolean, null or array) that must match exactly
+//   - an operator object using one or more of:
+//       { equals: value }        exact match
+//       { oneOf: [a, b] }        value must be one of the listed values
+//       { min: n, max: n }       numeric range (either bound is optional)
+//       { includes: [a, b] }     array value must contain every listed item
+//       { excludes: [a, b] }     array value must not contain any listed item
+//   - a nested object whose keys are sub-settings of an object value,
+//     e.g. { enabled: true, required_pull_request_reviews: { required_approving_review_count: { min: 1 } } }
+
+const { loadConfigFile } = require('./config-file');
+
+const POLICY_MODES = ['norm', 'policy', 'both'];
+const OPERATORS = ['equals', 'oneOf', 'min', 'max', 'includes', 'excludes'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOperatorRule(rule) {
+    return isPlainObject(rule) && Object.keys(rule).some(key => OPERATORS.includes(key));
+}
+
+// Normalise values the same way findDeviations() does for simple fields:
+// null and undefined are equivalent and 'true'/'false' strings match booleans
+function normaliseValue(value) {
+    if (value === undefined) return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return value;
+}
+
+function valuesMatch(actual, expected) {
+    const a = normaliseValue(actual);
+    const b = normaliseValue(expected);
+    if (a === b) return true;
+    if (typeof a === 'object' || typeof b === 'object') {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return false;
+}
+
+function describeRule(rule) {
+    if (!isOperatorRule(rule)) {
+        return `equal to ${JSON.stringify(rule)}`;
+    }
+
+    const parts = [];
+    if ('equals' in rule) parts.push(`equal to ${JSON.stringify(rule.equals)}`);
+    if ('oneOf' in rule) parts.push(`one of ${JSON.stringify(rule.oneOf)}`);
+    if ('min' in rule) parts.push(`>= ${rule.min}`);
+    if ('max' in rule) parts.push(`<= ${rule.max}`);
+    if ('includes' in rule) parts.push(`including ${JSON.stringify(rule.includes)}`);
+    if ('excludes' in rule) parts.push(`excluding ${JSON.stringify(rule.excludes)}`);
+    return parts.join(' and ');
+}
+
+function checkOperatorRule(actual, rule) {
+    if ('equals' in rule && !valuesMatch(actual, rule.equals)) {
+        return false;
+    }
+    if ('oneOf' in rule && !rule.oneOf.some(allowed => valuesMatch(actual, allowed))) {
+        return false;
+    }
+    if ('min' in rule || 'max' in rule) {
+        if (typeof actual !== 'number') return false;
+        if ('min' in rule && actual < rule.min) return false;
+        if ('max' in rule && actual > rule.max) return false;
+    }
+    if ('includes' in rule) {
+        const items = Array.isArray(actual) ? actual : [];
+        if (!rule.includes.every(item => items.includes(item))) return false;
+    }
+    if ('excludes' in rule) {
+        const items = Array.isArray(actual) ? actual : [];
+        if (rule.excludes.some(item => items.includes(item))) return false;
+    }
+    return true;
+}
+
+// Problems with a requirement that would stop it from being evaluated, such as
+// { oneOf: 'main' }, each naming the setting it concerns
+function ruleErrors(rule, fieldPath) {
+    if (isPlainObject(rule) && !isOperatorRule(rule)) {
+        return Object.entries(rule).reduce((errors, [key, subRule]) => {
+            return errors.concat(ruleErrors(subRule, `${fieldPath}.${key}`));
+        }, []);
+    }
+    if (!isOperatorRule(rule)) {
+        return [];
+    }
+
+    const errors = [];
+    Object.keys(rule)
+        .filter(key => !OPERATORS.includes(key))
+        .forEach(key => errors.push(`${fieldPath}: unknown operator "${key}"`));
+    ['oneOf', 'includes', 'excludes']
+        .filter(operator => operator in rule && !Array.isArray(rule[operator]))
+        .forEach(operator => errors.push(`${fieldPath}: ${operator} must be a list`));
+    ['min', 'max']
+        .filter(operator => operator in rule && (typeof rule[operator] !== 'number' || Number.isNaN(rule[operator])))
+        .forEach(operator => errors.push(`${fieldPath}: ${operator} must be a number`));
+    return errors;
+}
+
+// Problems with every requirement of a policy (see ruleErrors)
+function policyErrors(policy) {
+    return Object.entries(policy).reduce((errors, [field, rule]) => errors.concat(ruleErrors(rule, field)), []);
+}
+
+// Evaluate a value against a policy requirement, returning a list of violations.
+// Each violation has the dotted path of the offending setting, the expected
+// requirement, the actual value and a human readable message.
+function evaluateRule(actual, rule, fieldPath) {
+    if (isPlainObject(rule) && !isOperatorRule(rule)) {
+        const container = isPlainObject(actual) ? actual : {};
+        return Object.entries(rule).reduce((violations, [key, subRule]) => {
+            return violations.concat(evaluateRule(container[key], subRule, `${fieldPath}.${key}`));
+        }, []);
+    }
+
+    const passes = isOperatorRule(rule) ? checkOperatorRule(actual, rule) : valuesMatch(actual, rule);
+    if (passes) {
+        return [];
+    }
+
+    const actualValue = actual === undefined ? null : actual;
+    return [{
+        path: fieldPath,
+        expected: rule,
+        actual: actualValue,
+        message: `${fieldPath} is ${JSON.stringify(actualValue)}, expected ${describeRule(rule)}`
+    }];
+}
+
+// Produce a value that satisfies a policy requirement, changing as little of the
+// current value as possible. Used to work out remediation targets.
+function satisfyRule(actual, rule) {
+    if (isPlainObject(rule) && !isOperatorRule(rule)) {
+        const result = isPlainObject(actual) ? { ...actual } : {};
+        Object.entries(rule).forEach(([key, subRule]) => {
+            result[key] = satisfyRule(result[key], subRule);
+        });
+        return result;
+    }
+
+    if (!isOperatorRule(rule)) {
+        return rule;
+    }
+    if (checkOperatorRule(actual, rule)) {
+        return actual;
+    }
+    if ('equals' in rule) {
+        return rule.equals;
+    }
+    if ('oneOf' in rule) {
+        return rule.oneOf[0];
+    }
+    if ('min' in rule || 'max' in rule) {
+        const number = typeof actual === 'number' ? actual : ('min' in rule ? rule.min : rule.max);
+        return Math.min('max' in rule ? rule.max : Infinity, Math.max('min' in rule ? rule.min : -Infinity, number));
+    }
+
+    let items = Array.isArray(actual) ? [...actual] : [];
+    if ('includes' in rule) {
+        items = items.concat(rule.includes.filter(item => !items.includes(item)));
+    }
+    if ('excludes' in rule) {
+        items = items.filter(item => !rule.excludes.includes(item));
+    }
+    return items;
+}
+
+// Resolve the policy for a config: a separate policy file (see lib/config-file.js)
+// takes precedence over the inline `policy` section
+function loadPolicy(config) {
+    const settings = config.policySettings || {};
+    const mode = settings.mode || 'norm';
+
+    if (!POLICY_MODES.includes(mode)) {
+        throw new Error(`Invalid policySettings.mode "${mode}". Expected one of: ${POLICY_MODES.join(', ')}`);
+    }
+
+    const policy = settings.policyFile ? loadConfigFile(settings.policyFile, 'policy') : config.policy || {};
+
+    if (!isPlainObject(policy)) {
+        throw new Error('Policy must be an object mapping config fields to requirements');
+    }
+    const errors = policyErrors(policy);
+    if (errors.length > 0) {
+        throw new Error(`Invalid policy: ${errors.join('; ')}`);
+    }
+
+    return { mode, policy };
+}
+
+module.exports = {
+    POLICY_MODES,
+    evaluateRule,
+    describeRule,
+    policyErrors,
+    satisfyRule,
+    loadPolicy
+};
@@ -0,0 +1,291 @@
+// Remediation of deviating repositories
+//
+// Builds a plan of GitHub API calls that bring deviating repositories in line
+// with the norm (or the policy requirement, for policy deviations) and applies
+// it. Only the fields listed below can be remediated; each plan step is one API
+// call for one repository.
+//
+// Branch protection is remediated through classic branch protection only. The
+// analysed protection also includes ruleset rules (see lib/rulesets.js), which
+// classic protection can neither relax nor replace, so branches with ruleset
+// rules are skipped.
+
+const { satisfyRule } = require('./policy');
+
+// Fields that can be changed through repos.update
+const REPO_UPDATE_FIELDS = [
+    'has_issues',
+    'has_projects',
+    'has_wiki',
+    'has_discussions',
+    'allow_squash_merge',
+    'allow_merge_commit',
+    'allow_rebase_merge',
+    'allow_auto_merge',
+    'delete_branch_on_merge',
+    'allow_forking',
+    'web_commit_signoff_required',
+    'default_branch',
+    'security_and_analysis'
+];
+
+const REMEDIABLE_FIELDS = [...REPO_UPDATE_FIELDS, 'branch_protection'];
+
+// Policy and override deviations are fixed by satisfying their requirement
+function targetValue(deviation) {
+    if (deviation.source === 'policy' || deviation.source === 'override') {
+        return satisfyRule(deviation.repo, deviation.norm);
+    }
+    return deviation.norm;
+}
+
+// security_and_analysis is extracted as { setting: status }; the API expects { setting: { status } }
+function toSecurityAndAnalysisParams(value) {
+    const params = {};
+    Object.entries(value || {}).forEach(([setting, status]) => {
+        if (status) {
+            params[setting] = { status };
+        }
+    });
+    return params;
+}
+
+// Classic protection with the settings listed by a norm deviation taken from the
+// norm. Other settings, including those without a clear norm (see lib/stats.js),
+// are kept; when protection is enabled on one side only, the norm applies in full.
+function protectionTarget(classic, deviation) {
+    if (deviation.source || !deviation.paths || !classic.enabled || !deviation.norm.enabled) {
+        return targetValue({ ...deviation, repo: classic });
+    }
+
+    const target = JSON.parse(JSON.stringify(classic));
+    deviation.paths.forEach(entry => {
+        const keys = entry.path.split('.').slice(1);
+        const parent = keys.slice(0, -1).reduce((object, key) => {
+            if (!object[key] || typeof object[key] !== 'object' || Array.isArray(object[key])) {
+                object[key] = {};
+            }
+            return object[key];
+        }, target);
+        parent[keys[keys.length - 1]] = entry.norm;
+    });
+    return target;
+}
+
+// Steps that bring the classic protection of a branch to the target. Signed commits
+// are not part of repos.updateBranchProtection and have endpoints of their own.
+function branchProtectionSteps(repository, params, classic, target) {
+    const field = 'branch_protection';
+    if (target.enabled === false) {
+        return [{ repository, method: 'deleteBranchProtection', params, changes: [{ field, from: classic, to: target }] }];
+    }
+
+    const steps = [{
+        repository,
+        method: 'updateBranchProtection',
+        params: { ...params, ...toBranchProtectionParams(target) },
+        changes: [{ field, from: classic, to: target }]
+    }];
+    const signed = Boolean(classic.enabled && classic.required_signatures);
+    if (Boolean(target.required_signatures) !== signed) {
+        steps.push({
+            repository,
+            method: signed ? 'deleteCommitSignatureProtection' : 'createCommitSignatureProtection',
+            params,
+            changes: [{ field: `${field}.required_signatures`, from: signed, to: !signed }]
+        });
+    }
+    return steps;
+}
+
+// Build the full payload required by repos.updateBranchProtection from an extracted protection value
+function toBranchProtectionParams(value) {
+    const checks = value.required_status_checks;
+    const reviews = value.required_pull_request_reviews;
+    const restrictions = value.restrictions;
+
+    return {
+        required_status_checks: checks ? { strict: Boolean(checks.strict), contexts: checks.contexts || [] } : null,
+        enforce_admins: Boolean(value.enforce_admins),
+        required_pull_request_reviews: reviews ? {
+            dismiss_stale_reviews: Boolean(reviews.dismiss_stale_reviews),
+            require_code_owner_reviews: Boolean(reviews.require_code_owner_reviews),
+            required_approving_review_count: reviews.required_approving_review_count || 0,
+            require_last_push_approval: Boolean(reviews.require_last_push_approval)
+        } : null,
+        restrictions: restrictions ? {
+            users: (restrictions.users || []).map(user => user.login || user),
+            teams: (restrictions.teams || []).map(team => team.slug || team),
+            apps: (restrictions.apps || []).map(app => app.slug || app)
+        } : null,
+        allow_force_pushes: Boolean(value.allow_force_pushes),
+        allow_deletions: Boolean(value.allow_deletions),
+        block_creations: Boolean(value.block_creations),
+        required_conversation_resolution: Boolean(value.required_conversation_resolution),
+        lock_branch: Boolean(value.lock_branch),
+        allow_fork_syncing: Boolean(value.allow_fork_syncing),
+        required_linear_history: Boolean(value.required_linear_history)
+    };
+}
+
+function validateFields(fields) {
+    const unsupported = fields.filter(field => !REMEDIABLE_FIELDS.includes(field));
+    if (unsupported.length > 0) {
+        throw new Error(`Cannot remediate: ${unsupported.join(', ')}. Supported fields: ${REMEDIABLE_FIELDS.join(', ')}`);
+    }
+}
+
+// The default branch once the plan is applied, with its classic protection and
+// ruleset rules: the current default branch, or the branch a default_branch
+// deviation changes it to, fetched when it exists. null when that branch does not exist.
+async function plannedDefaultBranch(analyzer, rawRepo, deviation) {
+    const current = {
+        name: rawRepo.default_branch || 'main',
+        protection: rawRepo.branchProtection,
+        rules: rawRepo.branchRules,
+        changed: false
+    };
+    const name = deviation ? targetValue(deviation) : null;
+    if (!name || name === current.name) {
+        return current;
+    }
+
+    if (!(await analyzer.fetchBranchNames(rawRepo)).includes(name)) {
+        return null;
+    }
+    return {
+        name,
+        protection: await analyzer.fetchBranchProtection(rawRepo, name),
+        rules: analyzer.fetchesRulesets() ? await analyzer.fetchBranchRules(rawRepo, name) : undefined,
+        changed: true
+    };
+}
+
+// Resolves to { steps, skipped }. Steps hold the API method and parameters to call,
+// skipped lists deviations that cannot be remediated automatically.
+async function buildRemediationPlan(analyzer, analysis, fields) {
+    validateFields(fields);
+
+    const steps = [];
+    const skipped = [];
+    const rawRepos = {};
+    analyzer.repos.forEach(repo => {
+        rawRepos[repo.full_name] = repo;
+    });
+
+    for (const repo of analysis.repos) {
+        const deviations = repo.deviations || {};
+        const owner = repo.full_name.split('/')[0];
+        const rawRepo = rawRepos[repo.full_name] || { name: repo.name };
+        const repoSteps = [];
+        const updateParams = {};
+        const updateChanges = [];
+
+        // Protection goes onto the branch that is the default once the plan is applied
+        const defaultBranchDeviation = fields.includes('default_branch') ? deviations.default_branch : null;
+        const planned = await plannedDefaultBranch(analyzer, rawRepo, defaultBranchDeviation);
+        const branch = planned || await plannedDefaultBranch(analyzer, rawRepo, null);
+
+        fields.filter(field => deviations[field]).forEach(field => {
+            const deviation = deviations[field];
+
+            if (field === 'branch_protection') {
+                const classic = branch.protection;
+                if (branch.rules === null) {
+                    skipped.push({ repository: repo.full_name, field, reason: 'ruleset rules of the branch could not be read' });
+                } else if (branch.rules && branch.rules.length > 0) {
+                    skipped.push({ repository: repo.full_name, field, reason: 'the branch is protected by rulesets, which remediation does not change' });
+                } else if (!classic || classic.enabled === null) {
+                    skipped.push({ repository: repo.full_name, field, reason: 'current branch protection could not be read' });
+                } else {
+                    // The deviating settings were found on the old default branch, so a new one gets the whole baseline
+                    const target = protectionTarget(classic, branch.changed ? { ...deviation, paths: undefined } : deviation);
+                    if (!target || target.enabled === null) {
+                        skipped.push({ repository: repo.full_name, field, reason: 'no branch protection baseline to apply' });
+                    } else {
+                        repoSteps.push(...branchProtectionSteps(repo.full_name, { owner, repo: repo.name, branch: branch.name }, classic, target));
+                    }
+                }
+                return;
+            }
+
+            const target = targetValue(deviation);
+
+            if (target === null || target === undefined) {
+                skipped.push({ repository: repo.full_name, field, reason: 'no baseline value to apply' });
+                return;
+            }
+            if (field === 'default_branch' && !planned) {
+                skipped.push({ repository: repo.full_name, field, reason: `branch "${target}" does not exist` });
+                return;
+            }
+
+            updateParams[field] = field === 'security_and_analysis' ? toSecurityAndAnalysisParams(target) : target;
+            updateChanges.push({ field, from: deviation.repo === undefined ? null : deviation.repo, to: target });
+        });
+
+        // Repository settings first, so a default_branch change happens before protecting it
+        if (updateChanges.length > 0) {
+            repoSteps.unshift({
+                repository: repo.full_name,
+                method: 'update',
+                params: { owner, repo: repo.name, ...updateParams },
+                changes: updateChanges
+            });
+        }
+        steps.push(...repoSteps);
+    }
+
+    return { steps, skipped };
+}
+
+function formatPlan(plan) {
+    const lines = [`Remediation plan: ${plan.steps.length} API call(s)`];
+
+    plan.steps.forEach(step => {
+        lines.push(`  ${step.repository} (repos.${step.method})`);
+        step.changes.forEach(change => {
+            lines.push(`      ${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+        });
+    });
+
+    if (plan.skipped.length > 0) {
+        lines.push(`Skipped (${plan.skipped.length}):`);
+        plan.skipped.forEach(item => lines.push(`  ${item.repository} ${item.field}: ${item.reason}`));
+    }
+    return lines.join('\n');
+}
+
+// Apply the plan one step at a time, returning a result entry per step
+async function applyRemediationPlan(client, plan) {
+    const results = [];
+
+    for (const step of plan.steps) {
+        const result = {
+            repository: step.repository,
+            method: `repos.${step.method}`,
+            fields: step.changes.map(change => change.field)
+        };
+
+        try {
+            await client.rest.repos[step.method](step.params);
+            result.status = 'applied';
+            console.log(`✓ ${step.repository}: ${result.fields.join(', ')}`);
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+            console.error(`✗ ${step.repository}: ${result.fields.join(', ')} (${error.message})`);
+        }
+        results.push(result);
+    }
+
+    return results;
+}
+
+module.exports = {
+    REMEDIABLE_FIELDS,
+    validateFields,
+    buildRemediationPlan,
+    formatPlan,
+    applyRemediationPlan
+};
@@ -0,0 +1,691 @@
+// Shared rendering of the HTML reports
+//
+// Every HTML report is a page rendered by renderPage(analyzer, page), so report
+// variants share the document layout, the stylesheet (BASE_CSS), the theme and
+// reportSettings.customCSS, and only provide what is their own:
+//   { title, heading, lines, css, body, scripts }
+// where lines are shown under the heading, css holds the rules of the variant
+// (such as FULL_REPORT_CSS) and body and scripts are markup from the html template
+// (see lib/html.js). A new variant is a format (see lib/formats.js) whose render
+// function calls renderPage().
+//
+// Parts of the reports are templates, which reportSettings.templates can replace:
+//   header({ analyzer, heading, lines })               page header
+//   repoCard({ analyzer, repo, content, permalink })   a repository card; content is
+//                                                      the body of the card and
+//                                                      permalink whether to link to it
+//   normCard({ analyzer, field, norm, stats })         a norm in the full report
+// A template returns markup built with the html template. TEMPLATES holds the
+// defaults, which an override may call to wrap them.
+//
+// The stylesheet takes its colours from CSS custom properties set by the theme.
+// reportSettings.theme names a theme ('light' unless set) or is an object of
+// properties that override the light theme. registerTheme(name, properties) adds
+// a theme.
+
+const { html, raw, externalLink } = require('./html');
+
+const themes = {
+    light: {
+        'page-background': '#f6f8fa',
+        'surface': 'white',
+        'surface-muted': '#f8f9fa',
+        'text': '#24292e',
+        'text-muted': '#586069',
+        'border': '#e1e4e8',
+        'accent': '#0366d6',
+        'accent-background': '#f1f8ff',
+        'header-background': 'linear-gradient(135deg, #24292e 0%, #586069 100%)',
+        'alert-header-background': 'linear-gradient(135deg, #dc3545 0%, #c82333 100%)',
+        'header-text': 'white',
+        'ok': '#28a745',
+        'ok-background': '#e6ffe6',
+        'danger': '#dc3545',
+        'danger-background': '#fff5f5',
+        'warning': '#ffc107',
+        'warning-background': '#fff3cd',
+        'warning-text': '#856404',
+        'expired-background': '#f8d7da'
+    },
+    dark: {
+        'page-background': '#0d1117',
+        'surface': '#161b22',
+        'surface-muted': '#21262d',
+        'text': '#c9d1d9',
+        'text-muted': '#8b949e',
+        'border': '#30363d',
+        'accent': '#58a6ff',
+        'accent-background': '#0c2d6b',
+        'header-background': 'linear-gradient(135deg, #010409 0%, #30363d 100%)',
+        'alert-header-background': 'linear-gradient(135deg, #8e1519 0%, #da3633 100%)',
+        'header-text': '#f0f6fc',
+        'ok': '#3fb950',
+        'ok-background': '#12261e',
+        'danger': '#f85149',
+        'danger-background': '#25171c',
+        'warning': '#d29922',
+        'warning-background': '#2e2410',
+        'warning-text': '#e3b341',
+        'expired-background': '#42191c'
+    }
+};
+
+const BASE_CSS = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            margin: 0;
+            padding: 20px;
+            background-color: var(--page-background);
+            color: var(--text);
+        }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            background: var(--surface);
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            overflow: hidden;
+        }
+        .header {
+            background: var(--header-background);
+            color: var(--header-text);
+            padding: 30px;
+            text-align: center;
+        }
+        .header h1 {
+            margin: 0;
+            font-size: 2.5em;
+            font-weight: 300;
+        }
+        .header p {
+            margin: 10px 0 0 0;
+            opacity: 0.9;
+        }
+        .content {
+            padding: 30px;
+        }
+        .section {
+            margin-bottom: 40px;
+        }
+        .section h2 {
+            color: var(--text);
+            border-bottom: 2px solid var(--border);
+            padding-bottom: 10px;
+            margin-bottom: 20px;
+        }
+        .repo-card {
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            margin-bottom: 20px;
+            overflow: hidden;
+        }
+        .repo-header {
+            background: var(--surface-muted);
+            padding: 15px 20px;
+            border-bottom: 1px solid var(--border);
+        }
+        .repo-header h3 {
+            margin: 0;
+            color: var(--accent);
+        }
+        .repo-header a {
+            color: inherit;
+            text-decoration: none;
+        }
+        .repo-header a:hover {
+            text-decoration: underline;
+        }
+        .repo-content {
+            padding: 20px;
+        }
+        .config-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+            gap: 15px;
+        }
+        .config-item {
+            background: var(--surface-muted);
+            padding: 10px;
+            border-radius: 4px;
+            border-left: 3px solid var(--ok);
+        }
+        .config-item.deviation {
+            border-left-color: var(--danger);
+            background: var(--danger-background);
+        }
+        .config-label {
+            font-weight: 600;
+            color: var(--text);
+            margin-bottom: 5px;
+        }
+        .config-value {
+            color: var(--text-muted);
+            word-break: break-word;
+        }
+        .deviation-details h4 {
+            margin: 0 0 10px 0;
+            color: var(--warning-text);
+        }
+        .summary {
+            background: var(--surface-muted);
+            padding: 20px;
+            border-radius: 6px;
+            margin-bottom: 30px;
+        }
+        .summary-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 20px;
+        }
+        .summary-item {
+            text-align: center;
+        }
+        .summary-number {
+            font-size: 2em;
+            font-weight: bold;
+            color: var(--accent);
+        }
+        .summary-label {
+            color: var(--text-muted);
+            margin-top: 5px;
+        }
+        .norms-section {
+            background: var(--accent-background);
+            padding: 20px;
+            border-radius: 6px;
+            margin-bottom: 30px;
+        }
+        .norms-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
+            gap: 15px;
+        }
+        .norm-item {
+            background: var(--surface);
+            padding: 15px;
+            border-radius: 4px;
+            border: 1px solid var(--border);
+        }
+        .norm-label {
+            font-weight: 600;
+            color: var(--text);
+            margin-bottom: 8px;
+        }
+        .norm-value {
+            color: var(--text-muted);
+        }
+        .norm-item.no-clear-norm {
+            border-style: dashed;
+        }
+        .norm-confidence {
+            display: inline-block;
+            margin-top: 10px;
+            padding: 2px 8px;
+            border-radius: 12px;
+            font-size: 0.8em;
+            font-weight: bold;
+        }
+        .confidence-high {
+            background: var(--ok);
+            color: white;
+        }
+        .confidence-medium {
+            background: var(--warning);
+            color: var(--warning-text);
+        }
+        .confidence-low, .confidence-none {
+            background: var(--danger);
+            color: white;
+        }
+        .distribution {
+            list-style: none;
+            padding: 0;
+            margin: 10px 0 0 0;
+            font-size: 0.85em;
+        }
+        .distribution li {
+            margin-bottom: 6px;
+        }
+        .distribution-count {
+            float: right;
+            color: var(--text-muted);
+        }
+        .distribution-bar {
+            height: 4px;
+            background: var(--border);
+            border-radius: 2px;
+        }
+        .distribution-bar div {
+            height: 100%;
+            background: var(--accent);
+            border-radius: 2px;
+        }
+        .topic-list {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 5px;
+        }
+        .topic-tag {
+            background: var(--accent);
+            color: white;
+            padding: 2px 8px;
+            border-radius: 12px;
+            font-size: 0.8em;
+        }
+        .topic-count {
+            background: var(--ok);
+            color: white;
+            padding: 2px 6px;
+            border-radius: 10px;
+            font-size: 0.7em;
+            margin-left: 5px;
+        }
+        .timestamp {
+            text-align: center;
+            color: var(--text-muted);
+            margin-top: 30px;
+            padding-top: 20px;
+            border-top: 1px solid var(--border);
+        }
+        .branch-protection-status {
+            display: inline-block;
+            padding: 2px 8px;
+            border-radius: 12px;
+            font-size: 0.8em;
+            font-weight: bold;
+        }
+        .branch-protection-enabled {
+            background: var(--ok);
+            color: white;
+        }
+        .branch-protection-disabled {
+            background: var(--danger);
+            color: white;
+        }
+        .branch-protection-error {
+            background: var(--warning);
+            color: var(--warning-text);
+        }
+        .path-list {
+            margin: 5px 0 0 0;
+            padding-left: 20px;
+        }
+        .severity-badge {
+            display: inline-block;
+            padding: 1px 8px;
+            border-radius: 12px;
+            font-size: 0.75em;
+            font-weight: bold;
+            text-transform: uppercase;
+            vertical-align: middle;
+        }
+        .severity-critical {
+            background: #6f0000;
+            color: white;
+        }
+        .severity-high {
+            background: var(--danger);
+            color: white;
+        }
+        .severity-medium {
+            background: var(--warning);
+            color: var(--warning-text);
+        }
+        .severity-low {
+            background: var(--border);
+            color: var(--text);
+        }
+        .risk-score {
+            float: right;
+            font-size: 0.9em;
+            font-weight: normal;
+        }
+        .severity-table {
+            border-collapse: collapse;
+            margin-top: 15px;
+        }
+        .severity-table th, .severity-table td {
+            text-align: left;
+            padding: 6px 12px;
+            border-bottom: 1px solid var(--border);
+        }
+        .cohort-tag {
+            display: inline-block;
+            background: #6f42c1;
+            color: white;
+            padding: 2px 8px;
+            border-radius: 12px;
+            font-size: 0.8em;
+            font-weight: normal;
+            vertical-align: middle;
+        }
+        .cohort-table {
+            width: 100%;
+            border-collapse: collapse;
+            background: var(--surface);
+        }
+        .cohort-table th, .cohort-table td {
+            text-align: left;
+            padding: 8px 12px;
+            border-bottom: 1px solid var(--border);
+            vertical-align: top;
+        }
+        .access-table {
+            width: 100%;
+            border-collapse: collapse;
+            background: var(--surface);
+            margin-bottom: 20px;
+        }
+        .access-table th, .access-table td {
+            text-align: left;
+            padding: 8px 12px;
+            border-bottom: 1px solid var(--border);
+        }
+        .exemption-table {
+            width: 100%;
+            border-collapse: collapse;
+            background: var(--surface);
+        }
+        .exemption-table th, .exemption-table td {
+            text-align: left;
+            padding: 8px 12px;
+            border-bottom: 1px solid var(--border);
+            vertical-align: top;
+        }
+        [hidden] {
+            display: none !important;
+        }
+        .report-toolbar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 10px;
+            margin-bottom: 15px;
+        }
+        .report-toolbar input[type="search"] {
+            flex: 1;
+            min-width: 200px;
+            padding: 6px 10px;
+            border: 1px solid var(--border);
+            border-radius: 6px;
+        }
+        #filter-count {
+            color: var(--text-muted);
+            font-size: 0.9em;
+        }
+        .overview-table {
+            width: 100%;
+            border-collapse: collapse;
+            background: var(--surface);
+        }
+        .overview-table th, .overview-table td {
+            text-align: left;
+            padding: 8px 12px;
+            border-bottom: 1px solid var(--border);
+        }
+        table.sortable th {
+            cursor: pointer;
+        }
+        table.sortable th[aria-sort="ascending"]::after {
+            content: " \\25B2";
+        }
+        table.sortable th[aria-sort="descending"]::after {
+            content: " \\25BC";
+        }
+        .repo-card.collapsed .repo-content {
+            display: none;
+        }
+        .permalink {
+            margin-left: 8px;
+            color: inherit;
+            opacity: 0.5;
+            text-decoration: none;
+        }
+        #matrix-view {
+            overflow-x: auto;
+        }
+        .matrix {
+            border-collapse: collapse;
+        }
+        .matrix th.matrix-field {
+            height: 160px;
+            vertical-align: bottom;
+            white-space: nowrap;
+            font-weight: normal;
+        }
+        .matrix th.matrix-field span {
+            writing-mode: vertical-rl;
+            transform: rotate(180deg);
+        }
+        .matrix-repo {
+            text-align: left;
+            padding-right: 10px;
+            white-space: nowrap;
+        }
+        .heat {
+            display: inline-block;
+            width: 18px;
+            height: 18px;
+            border: 1px solid var(--surface);
+        }
+        td.heat {
+            display: table-cell;
+        }
+        .heat-ok { background: #dcffe4; }
+        .heat-accepted { background: #c8e1ff; }
+        .heat-low { background: var(--border); }
+        .heat-medium { background: #ffd33d; }
+        .heat-high { background: #f66a0a; }
+        .heat-critical { background: #cb2431; }
+        .heat-key {
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+            margin-right: 12px;
+        }`;
+
+// Rules of the full report
+const FULL_REPORT_CSS = `
+        .deviation-details {
+            margin-top: 10px;
+            padding: 10px;
+            background: var(--warning-background);
+            border-radius: 4px;
+            border-left: 3px solid var(--warning);
+        }
+        .deviation-item {
+            margin-bottom: 5px;
+        }
+        .deviation-repo {
+            color: var(--danger);
+        }
+        .deviation-norm {
+            color: var(--ok);
+        }`;
+
+// Rules of the deviations-only report, which highlights every repository card
+const DEVIATIONS_REPORT_CSS = `
+        .header {
+            background: var(--alert-header-background);
+        }
+        .repo-card {
+            border: 2px solid var(--danger);
+        }
+        .repo-header {
+            background: var(--danger);
+            color: white;
+            border-bottom: none;
+        }
+        .repo-header h3 {
+            color: inherit;
+        }
+        .summary {
+            background: var(--warning-background);
+            border: 1px solid var(--warning);
+        }
+        .deviation-item {
+            background: var(--danger-background);
+            padding: 15px;
+            border-radius: 4px;
+            margin-bottom: 15px;
+            border-left: 4px solid var(--danger);
+        }
+        .deviation-field {
+            font-weight: bold;
+            color: var(--danger);
+            margin-bottom: 10px;
+        }
+        .deviation-branch {
+            font-weight: normal;
+            color: var(--text-muted);
+        }
+        .deviation-details {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 15px;
+        }
+        .deviation-repo, .deviation-norm {
+            padding: 10px;
+            border-radius: 4px;
+        }
+        .deviation-repo {
+            background: var(--danger-background);
+            border: 1px solid var(--danger);
+        }
+        .deviation-norm {
+            background: var(--ok-background);
+            border: 1px solid var(--ok);
+        }
+        .deviation-label {
+            font-weight: bold;
+            margin-bottom: 5px;
+        }
+        .deviation-value {
+            word-break: break-word;
+        }
+        .deviation-note {
+            margin-top: 10px;
+            padding: 10px;
+            background: var(--warning-background);
+            border-radius: 4px;
+        }
+        .deviation-note.expired {
+            background: var(--expired-background);
+        }`;
+
+const TEMPLATES = {
+    header: context => html`
+        <div class="header">
+            <h1>${context.heading}</h1>
+            ${context.lines.map(line => html`
+            <p>${line}</p>`)}
+        </div>`,
+
+    repoCard: context => {
+        const repo = context.repo;
+        return html`
+                    <div class="repo-card" id="repo-${repo.name}" data-repo="${repo.name}">
+                        <div class="repo-header">
+                            <h3>${externalLink(repo.html_url, repo.full_name)}${context.permalink ? html`<a class="permalink" href="#repo=${encodeURIComponent(repo.name)}" title="Link to this repository">#</a>` : ''}${repo.cohort ? html` <span class="cohort-tag">${repo.cohort}</span>` : ''}${repo.riskScore ? html`<span class="risk-score">Risk score: ${repo.riskScore}</span>` : ''}</h3>
+                        </div>
+                        <div class="repo-content">
+                            ${context.content}
+                        </div>
+                    </div>`;
+    },
+
+    normCard: context => html`
+                                <div class="norm-item${context.stats && !context.stats.clearNorm ? ' no-clear-norm' : ''}">
+                                    <div class="norm-label">${context.field}</div>
+                                    <div class="norm-value">${context.analyzer.renderFieldValue(context.field, context.norm, 'norm')}</div>
+                                    ${context.stats ? context.analyzer.renderFieldStats(context.field, context.stats) : ''}
+                                </div>`
+};
+
+function registerTheme(name, properties) {
+    if (!properties || typeof properties !== 'object') {
+        throw new Error(`Theme "${name}" must be an object of CSS custom properties`);
+    }
+    themes[name] = { ...themes.light, ...properties };
+}
+
+function validateReportSettings(settings = {}) {
+    const theme = settings.theme;
+    if (typeof theme === 'string' && !themes[theme]) {
+        throw new Error(`Unknown theme "${theme}". Available themes: ${Object.keys(themes).join(', ')}`);
+    }
+    if (theme !== undefined && theme !== null && typeof theme !== 'string' && typeof theme !== 'object') {
+        throw new Error('reportSettings.theme must be a theme name or an object of CSS custom properties');
+    }
+    Object.entries(settings.templates || {}).forEach(([name, template]) => {
+        if (!TEMPLATES[name]) {
+            throw new Error(`Unknown report template "${name}". Expected any of: ${Object.keys(TEMPLATES).join(', ')}`);
+        }
+        if (typeof template !== 'function') {
+            throw new Error(`Report template "${name}" must be a function`);
+        }
+    });
+}
+
+// Custom properties of the configured theme
+function themeProperties(settings = {}) {
+    if (settings.theme && typeof settings.theme === 'object') {
+        return { ...themes.light, ...settings.theme };
+    }
+    return themes[settings.theme || 'light'];
+}
+
+function themeCSS(settings) {
+    return `
+        :root {
+${Object.entries(themeProperties(settings)).map(([name, value]) => `            --${name}: ${value};`).join('\n')}
+        }`;
+}
+
+// Template configured in reportSettings.templates, or the default
+function template(analyzer, name) {
+    return (analyzer.reportSettings.templates || {})[name] || TEMPLATES[name];
+}
+
+function renderPage(analyzer, page) {
+    const settings = analyzer.reportSettings;
+    return html`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${page.title}</title>
+    <style>${raw(themeCSS(settings))}${raw(BASE_CSS)}${raw(page.css || '')}
+        ${raw(settings.customCSS || '')}
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${template(analyzer, 'header')({ analyzer, heading: page.heading, lines: page.lines || [] })}
+        
+        <div class="content">
+            ${page.body}
+            
+            <div class="timestamp">
+                Report generated on ${new Date().toLocaleString()}
+            </div>
+        </div>
+    </div>
+    ${page.scripts || ''}
+</body>
+</html>`.toString();
+}
+
+module.exports = {
+    BASE_CSS,
+    FULL_REPORT_CSS,
+    DEVIATIONS_REPORT_CSS,
+    TEMPLATES,
+    registerTheme,
+    validateReportSettings,
+    themeProperties,
+    template,
+    renderPage
+};
@@ -0,0 +1,256 @@
+// Client-side behaviour of the interactive HTML report
+//
+// The full HTML report embeds a summary of the analysis (reportData()) and the
+// functions below, so it stays a single self-contained file that works offline.
+// The functions are copied into the report with Function.prototype.toString(), so
+// each may only use browser globals, its arguments, the other functions in
+// CLIENT_FUNCTIONS and the constants in CLIENT_CONSTANTS, which are written into the
+// script as JSON when the report is rendered. The report state (search, filters, view and the repository
+// shown) lives in the URL hash, which makes every state a deep link:
+//   #q=api&field=branch_protection&severity=high&deviations=1&view=matrix&repo=api-gateway
+
+const { escapeHTML } = require('./html');
+const { SEVERITIES } = require('./severity');
+
+// Summary of an analysis embedded in the report: per repository, the severity of
+// each deviation and the fields whose deviations are accepted risks
+function reportData(analyzer, analysis) {
+    return {
+        organization: analyzer.orgName,
+        fields: analyzer.configFields,
+        repos: analysis.repos.map(repo => ({
+            name: repo.name,
+            fullName: repo.full_name,
+            cohort: repo.cohort || null,
+            riskScore: repo.riskScore || 0,
+            deviations: Object.fromEntries(Object.entries(repo.deviations || {}).map(([field, deviation]) => [field, deviation.severity || 'low'])),
+            acceptedRisks: Object.keys(repo.acceptedRisks || {})
+        }))
+    };
+}
+
+// JSON that can be placed inside a <script> element: "<" is escaped so the data cannot close the element
+function embedJSON(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function severityRank(severity) {
+    const rank = SEVERITIES.indexOf(severity);
+    return rank === -1 ? SEVERITIES.length : rank;
+}
+
+function parseHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    return {
+        q: params.get('q') || '',
+        field: params.get('field') || '',
+        severity: params.get('severity') || '',
+        deviations: params.get('deviations') === '1',
+        view: params.get('view') === 'matrix' ? 'matrix' : 'table',
+        repo: params.get('repo') || ''
+    };
+}
+
+// Hash for a state, leaving out the defaults so links stay short
+function formatHash(state) {
+    const params = new URLSearchParams();
+    if (state.q) params.set('q', state.q);
+    if (state.field) params.set('field', state.field);
+    if (state.severity) params.set('severity', state.severity);
+    if (state.deviations) params.set('deviations', '1');
+    if (state.view === 'matrix') params.set('view', 'matrix');
+    if (state.repo) params.set('repo', state.repo);
+    const query = params.toString();
+    return query ? `#${query}` : '';
+}
+
+// Whether a repository passes the search and filters. A severity filter keeps repositories
+// with a deviation of that severity or worse, in the filtered field when one is chosen.
+function matchesFilters(repo, state) {
+    const query = state.q.trim().toLowerCase();
+    if (query && !repo.name.toLowerCase().includes(query) && !(repo.fullName || '').toLowerCase().includes(query)) {
+        return false;
+    }
+
+    const severities = state.field ?
+        (repo.deviations[state.field] ? [repo.deviations[state.field]] : []) :
+        Object.values(repo.deviations);
+    if ((state.field || state.deviations) && severities.length === 0) {
+        return false;
+    }
+    if (state.severity && !severities.some(severity => severityRank(severity) <= severityRank(state.severity))) {
+        return false;
+    }
+    return true;
+}
+
+// Order of two table cells: numbers numerically, everything else as text.
+// Cells may carry the value to sort by in a data-sort attribute.
+function compareCells(a, b) {
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (a !== '' && b !== '' && !Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+        return numberA - numberB;
+    }
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Class of a field-by-repository matrix cell
+function heatClass(repo, field) {
+    if (repo.deviations[field]) {
+        return `heat-${repo.deviations[field]}`;
+    }
+    return repo.acceptedRisks.includes(field) ? 'heat-accepted' : 'heat-ok';
+}
+
+function initReport(document, window) {
+    const data = JSON.parse(document.getElementById('report-data').textContent);
+    const cards = Array.from(document.querySelectorAll('.repo-card[data-repo]'));
+    const rows = Array.from(document.querySelectorAll('#repo-overview tbody tr[data-repo]'));
+    const controls = {
+        q: document.getElementById('filter-search'),
+        field: document.getElementById('filter-field'),
+        severity: document.getElementById('filter-severity'),
+        deviations: document.getElementById('filter-deviations'),
+        view: document.getElementById('filter-view')
+    };
+    let state = parseHash(window.location.hash);
+
+    function renderMatrix(repos) {
+        const container = document.getElementById('matrix-view');
+        const header = data.fields.map(field =>
+            `<th class="matrix-field" title="${escapeHTML(field)}"><span>${escapeHTML(field)}</span></th>`).join('');
+        const body = repos.map(repo => {
+            const link = `#repo=${encodeURIComponent(repo.name)}`;
+            const cells = data.fields.map(field => {
+                const label = repo.deviations[field] || (repo.acceptedRisks.includes(field) ? 'accepted risk' : 'matches');
+                return `<td class="heat ${heatClass(repo, field)}" title="${escapeHTML(`${repo.name} / ${field}: ${label}`)}"></td>`;
+            }).join('');
+            return `<tr><th class="matrix-repo"><a href="${escapeHTML(link)}">${escapeHTML(repo.name)}</a></th>${cells}</tr>`;
+        }).join('');
+        const legend = ['critical', 'high', 'medium', 'low', 'accepted', 'ok'].map(level =>
+            `<span class="heat-key"><span class="heat heat-${level}"></span>${level === 'ok' ? 'matches' : level === 'accepted' ? 'accepted risk' : level}</span>`).join('');
+        container.innerHTML = `<p class="matrix-legend">${legend}</p>` +
+            `<table class="matrix"><thead><tr><th></th>${header}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+
+    function apply() {
+        const visible = data.repos.filter(repo => matchesFilters(repo, state));
+        const names = new Set(visible.map(repo => repo.name));
+
+        cards.forEach(card => {
+            card.hidden = !names.has(card.dataset.repo);
+        });
+        rows.forEach(row => {
+            row.hidden = !names.has(row.dataset.repo);
+        });
+        document.getElementById('filter-count').textContent = `Showing ${visible.length} of ${data.repos.length} repositories`;
+
+        document.getElementById('table-view').hidden = state.view === 'matrix';
+        document.getElementById('matrix-view').hidden = state.view !== 'matrix';
+        if (state.view === 'matrix') {
+            renderMatrix(visible);
+        }
+    }
+
+    function update(changes) {
+        state = Object.assign({}, state, changes);
+        window.history.replaceState(null, '', formatHash(state) || window.location.pathname + window.location.search);
+        apply();
+    }
+
+    function showRepo(name) {
+        const card = document.getElementById(`repo-${name}`);
+        if (card) {
+            card.classList.remove('collapsed');
+            card.hidden = false;
+            card.scrollIntoView();
+        }
+    }
+
+    function syncControls() {
+        controls.q.value = state.q;
+        controls.field.value = state.field;
+        controls.severity.value = state.severity;
+        controls.deviations.checked = state.deviations;
+        controls.view.value = state.view;
+    }
+
+    controls.q.addEventListener('input', () => update({ q: controls.q.value, repo: '' }));
+    controls.field.addEventListener('change', () => update({ field: controls.field.value, repo: '' }));
+    controls.severity.addEventListener('change', () => update({ severity: controls.severity.value, repo: '' }));
+    controls.deviations.addEventListener('change', () => update({ deviations: controls.deviations.checked, repo: '' }));
+    controls.view.addEventListener('change', () => update({ view: controls.view.value, repo: '' }));
+
+    document.getElementById('expand-all').addEventListener('click', () => {
+        cards.forEach(card => card.classList.remove('collapsed'));
+    });
+    document.getElementById('collapse-all').addEventListener('click', () => {
+        cards.forEach(card => card.classList.add('collapsed'));
+    });
+    cards.forEach(card => {
+        card.querySelector('.repo-header').addEventListener('click', event => {
+            if (!event.target.closest('a')) {
+                card.classList.toggle('collapsed');
+            }
+        });
+    });
+
+    document.querySelectorAll('table.sortable').forEach(table => {
+        table.querySelectorAll('thead th').forEach((th, column) => {
+            th.addEventListener('click', () => {
+                const ascending = th.getAttribute('aria-sort') !== 'ascending';
+                table.querySelectorAll('thead th').forEach(other => other.removeAttribute('aria-sort'));
+                th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+
+                const tbody = table.querySelector('tbody');
+                const value = row => {
+                    const cell = row.children[column];
+                    return cell ? (cell.dataset.sort !== undefined ? cell.dataset.sort : cell.textContent.trim()) : '';
+                };
+                Array.from(tbody.rows)
+                    .sort((a, b) => (ascending ? 1 : -1) * compareCells(value(a), value(b)))
+                    .forEach(row => tbody.appendChild(row));
+            });
+        });
+    });
+
+    window.addEventListener('hashchange', () => {
+        state = parseHash(window.location.hash);
+        syncControls();
+        apply();
+        if (state.repo) {
+            showRepo(state.repo);
+        }
+    });
+
+    syncControls();
+    apply();
+    if (state.repo) {
+        showRepo(state.repo);
+    }
+}
+
+// Constants used by the client functions, defined at the top of the report script
+const CLIENT_CONSTANTS = { SEVERITIES };
+
+// Functions copied into the report, in dependency order
+const CLIENT_FUNCTIONS = [escapeHTML, severityRank, parseHash, formatHash, matchesFilters, compareCells, heatClass, initReport];
+
+// Source of the report script
+function clientScript() {
+    const constants = Object.entries(CLIENT_CONSTANTS).map(([name, value]) => `const ${name} = ${embedJSON(value)};`);
+    return `${constants.join('\n')}\n\n${CLIENT_FUNCTIONS.map(fn => fn.toString()).join('\n\n')}\n\ninitReport(document, window);`;
+}
+
+module.exports = {
+    reportData,
+    embedJSON,
+    severityRank,
+    parseHash,
+    formatHash,
+    matchesFilters,
+    compareCells,
+    heatClass,
+    clientScript
+};
@@ -0,0 +1,135 @@
+// Repository and organization rulesets
+//
+// Branches can be protected by classic branch protection, by repository rulesets
+// and by organization rulesets. repos.getBranchRules returns the rules of every
+// active ruleset (repository or organization) that applies to a branch; these
+// are merged into the classic protection settings to give the effective
+// protection of the branch, using the stricter setting wherever both apply.
+//
+// The effective protection is analysed as branch_protection, and the settings
+// most often required by rulesets are also available as separate config fields:
+//   required_reviews          required approving review count (0 = pull requests not required)
+//   required_status_checks    sorted list of required status check contexts
+//   signed_commits            whether signed commits are required
+//   linear_history            whether linear history is required
+//   rulesets                  sorted names of the rulesets that apply to the default branch
+
+const RULESET_FIELDS = [
+    'required_reviews',
+    'required_status_checks',
+    'signed_commits',
+    'linear_history',
+    'rulesets'
+];
+
+// Starting point for branches protected only by rulesets, in the shape of classic
+// protection: anything no rule restricts is allowed
+const RULESET_ONLY_PROTECTION = {
+    enabled: true,
+    required_status_checks: null,
+    enforce_admins: false,
+    required_pull_request_reviews: null,
+    restrictions: null,
+    allow_force_pushes: true,
+    allow_deletions: true,
+    block_creations: false,
+    required_conversation_resolution: false,
+    lock_branch: false,
+    allow_fork_syncing: false,
+    required_signatures: false,
+    required_linear_history: false
+};
+
+// Effective protection of a branch from its classic protection and ruleset rules.
+// rules is undefined when rulesets were not fetched and null when they could not be read.
+function effectiveProtection(classic, rules) {
+    if (!rules || rules.length === 0) {
+        return classic;
+    }
+
+    // Rules that could be read are enough to know the branch is protected, even
+    // when classic protection could not be read
+    const protection = classic && classic.enabled ? { ...classic } : { ...RULESET_ONLY_PROTECTION };
+
+    rules.forEach(rule => {
+        const parameters = rule.parameters || {};
+
+        if (rule.type === 'pull_request') {
+            const reviews = protection.required_pull_request_reviews || {};
+            protection.required_pull_request_reviews = {
+                ...reviews,
+                dismiss_stale_reviews: Boolean(reviews.dismiss_stale_reviews || parameters.dismiss_stale_reviews_on_push),
+                require_code_owner_reviews: Boolean(reviews.require_code_owner_reviews || parameters.require_code_owner_review),
+                required_approving_review_count: Math.max(reviews.required_approving_review_count || 0, parameters.required_approving_review_count || 0),
+                require_last_push_approval: Boolean(reviews.require_last_push_approval || parameters.require_last_push_approval)
+            };
+            if (parameters.required_review_thread_resolution) {
+                protection.required_conversation_resolution = true;
+            }
+        } else if (rule.type === 'required_status_checks') {
+            const checks = protection.required_status_checks || {};
+            const contexts = (parameters.required_status_checks || []).map(check => check.context);
+            protection.required_status_checks = {
+                ...checks,
+                strict: Boolean(checks.strict || parameters.strict_required_status_checks_policy),
+                contexts: [...new Set([...(checks.contexts || []), ...contexts])]
+            };
+        } else if (rule.type === 'non_fast_forward') {
+            protection.allow_force_pushes = false;
+        } else if (rule.type === 'deletion') {
+            protection.allow_deletions = false;
+        } else if (rule.type === 'creation') {
+            protection.block_creations = true;
+        } else if (rule.type === 'update') {
+            protection.lock_branch = true;
+        } else if (rule.type === 'required_signatures') {
+            protection.required_signatures = true;
+        } else if (rule.type === 'required_linear_history') {
+            protection.required_linear_history = true;
+        }
+    });
+
+    return protection;
+}
+
+// Names of the rulesets that contributed rules, from the rulesets listed for the repository
+function rulesetNames(rules, rulesets) {
+    const names = {};
+    (rulesets || []).forEach(ruleset => {
+        names[ruleset.id] = ruleset.name;
+    });
+
+    const applied = rules.map(rule => names[rule.ruleset_id] || `ruleset ${rule.ruleset_id}`);
+    return [...new Set(applied)].sort();
+}
+
+// Value of one of the RULESET_FIELDS for a repository, or null when its protection is unknown
+function rulesetFieldValue(field, protection, repo) {
+    if (field === 'rulesets') {
+        return Array.isArray(repo.branchRules) && repo.rulesets !== null ? rulesetNames(repo.branchRules, repo.rulesets) : null;
+    }
+    if (!protection || protection.enabled === null) {
+        return null;
+    }
+    if (!protection.enabled) {
+        return field === 'required_status_checks' ? [] : (field === 'required_reviews' ? 0 : false);
+    }
+
+    if (field === 'required_reviews') {
+        const reviews = protection.required_pull_request_reviews;
+        return reviews ? reviews.required_approving_review_count || 0 : 0;
+    } else if (field === 'required_status_checks') {
+        const checks = protection.required_status_checks;
+        return checks ? [...(checks.contexts || [])].sort() : [];
+    } else if (field === 'signed_commits') {
+        return Boolean(protection.required_signatures);
+    }
+    return Boolean(protection.required_linear_history);
+}
+
+module.exports = {
+    RULESET_FIELDS,
+    effectiveProtection,
+    rulesetNames,
+    rulesetFieldValue
+};
@@ -0,0 +1,129 @@
+// Rate-limit-aware request scheduling
+//
+// Runs GitHub API calls with bounded concurrency, retries transient failures
+// with exponential backoff and pauses all requests when a request is rate
+// limited (for retry-after on secondary rate limits) or when x-ratelimit-remaining
+// runs low (until the limit resets).
+
+const DEFAULT_SETTINGS = {
+    concurrency: 8,
+    maxRetries: 3,
+    retryDelay: 1000,
+    secondaryRateLimitDelay: 60000,
+    minRateLimitRemaining: 10
+};
+
+function header(source, name) {
+    const headers = (source && source.headers) || (source && source.response && source.response.headers) || {};
+    return headers[name];
+}
+
+function isRateLimitError(error) {
+    if (error.status === 429) {
+        return true;
+    }
+    if (error.status !== 403) {
+        return false;
+    }
+    return header(error, 'retry-after') !== undefined ||
+        header(error, 'x-ratelimit-remaining') === '0' ||
+        /rate limit/i.test(error.message || '');
+}
+
+// Server errors and network failures (no status) are worth retrying; client errors are not
+function isTransientError(error) {
+    return error.status === undefined || error.status >= 500;
+}
+
+class RequestScheduler {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+        this.pausedUntil = 0;
+        this.now = () => Date.now();
+        this.sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // How long to wait before retrying a failed request, or null if it should not be retried
+    retryDelayFor(error, attempt) {
+        if (isRateLimitError(error)) {
+            const retryAfter = header(error, 'retry-after');
+            if (retryAfter !== undefined) {
+                return Number(retryAfter) * 1000;
+            }
+            const reset = header(error, 'x-ratelimit-reset');
+            if (header(error, 'x-ratelimit-remaining') === '0' && reset !== undefined) {
+                return Math.max(0, Number(reset) * 1000 - this.now());
+            }
+            return this.settings.secondaryRateLimitDelay;
+        }
+        if (isTransientError(error)) {
+            return this.settings.retryDelay * Math.pow(2, attempt);
+        }
+        return null;
+    }
+
+    // Pause all requests until the primary rate limit resets when few requests remain
+    trackRateLimit(response) {
+        const remaining = header(response, 'x-ratelimit-remaining');
+        const reset = header(response, 'x-ratelimit-reset');
+        if (remaining !== undefined && reset !== undefined && Number(remaining) <= this.settings.minRateLimitRemaining) {
+            this.pausedUntil = Math.max(this.pausedUntil, Number(reset) * 1000);
+        }
+    }
+
+    async waitForRateLimit() {
+        const wait = this.pausedUntil - this.now();
+        if (wait > 0) {
+            console.log(`Rate limited, waiting ${Math.ceil(wait / 1000)}s before sending more requests...`);
+            await this.sleep(wait);
+        }
+    }
+
+    async request(fn) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForRateLimit();
+            try {
+                const response = await fn();
+                this.trackRateLimit(response);
+                return response;
+            } catch (error) {
+                const delay = attempt < this.settings.maxRetries ? this.retryDelayFor(error, attempt) : null;
+                if (delay === null) {
+                    throw error;
+                }
+                console.warn(`Request failed (${error.status || error.message}), retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${this.settings.maxRetries})`);
+                // A rate limit applies to every request, so the others wait as well instead of running into it
+                if (isRateLimitError(error)) {
+                    this.pausedUntil = Math.max(this.pausedUntil, this.now() + delay);
+                }
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    // Run fn over every item with at most `concurrency` calls in flight, preserving result order.
+    // onProgress(completed, total) is called after each item finishes.
+    async map(items, fn, onProgress = () => {}) {
+        const results = new Array(items.length);
+        let next = 0;
+        let completed = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index], index);
+                completed++;
+                onProgress(completed, items.length);
+            }
+        };
+
+        const workers = Math.max(1, Math.min(this.settings.concurrency, items.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+        return results;
+    }
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    RequestScheduler
+};
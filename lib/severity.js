@@ -0,0 +1,123 @@
+// Deviation severity and repository risk scores
+//
+// severitySettings.fields maps a config field, or a nested sub-setting written
+// as a dotted path ('branch_protection.allow_force_pushes'), to one of the
+// SEVERITIES. A deviation takes the highest severity of the paths that differ;
+// each path uses its most specific configured severity, falling back to the
+// field's severity and then to severitySettings.default. Branch pattern fields
+// ('branch_protection:release/*') fall back to the severities of
+// branch_protection before the default. A repository's risk score is the sum of
+// the weights of its deviations' severities.
+
+const { branchPatternOf } = require('./branches');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const DEFAULT_WEIGHTS = {
+    critical: 10,
+    high: 5,
+    medium: 2,
+    low: 1
+};
+
+function validateSeveritySettings(settings = {}) {
+    const invalid = Object.entries(settings.fields || {})
+        .filter(([, severity]) => !SEVERITIES.includes(severity))
+        .map(([field, severity]) => `${field}: "${severity}"`);
+
+    if (settings.default !== undefined && !SEVERITIES.includes(settings.default)) {
+        invalid.push(`default: "${settings.default}"`);
+    }
+    if (invalid.length > 0) {
+        throw new Error(`Invalid severitySettings (${invalid.join(', ')}). Expected one of: ${SEVERITIES.join(', ')}`);
+    }
+}
+
+// Paths responsible for a deviation: the violated paths for policy deviations,
+// the differing sub-settings for nested settings and the field itself otherwise
+function deviationPaths(field, deviation) {
+    if (deviation.violations) {
+        return deviation.violations.map(violation => violation.path);
+    }
+    if (deviation.paths && deviation.paths.length > 0) {
+        return deviation.paths.map(entry => entry.path);
+    }
+    return [field];
+}
+
+function compareSeverity(a, b) {
+    return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+}
+
+// Most specific severity configured for a path below field: the path itself, then each parent path.
+// Field names are not split, as branch patterns may contain dots.
+function configuredSeverity(field, path, settings) {
+    const fields = settings.fields || {};
+    const parts = path.slice(field.length).split('.').slice(1);
+    for (let length = parts.length; length >= 0; length--) {
+        const severity = fields[[field, ...parts.slice(0, length)].join('.')];
+        if (severity) {
+            return severity;
+        }
+    }
+    return null;
+}
+
+function pathSeverity(field, path, settings) {
+    const severity = configuredSeverity(field, path, settings);
+    if (severity || branchPatternOf(field) === null) {
+        return severity || settings.default || 'low';
+    }
+    return configuredSeverity('branch_protection', `branch_protection${path.slice(field.length)}`, settings) ||
+        settings.default || 'low';
+}
+
+function deviationSeverity(field, deviation, settings = {}) {
+    return deviationPaths(field, deviation)
+        .map(path => pathSeverity(field, path, settings))
+        .sort(compareSeverity)[0];
+}
+
+function severityWeight(severity, settings = {}) {
+    const weights = { ...DEFAULT_WEIGHTS, ...(settings.weights || {}) };
+    return weights[severity] || 0;
+}
+
+// Sum of the severity weights of a repository's deviations
+function riskScore(deviations, settings = {}) {
+    return Object.values(deviations || {})
+        .reduce((score, deviation) => score + severityWeight(deviation.severity, settings), 0);
+}
+
+// Number of deviations of each severity, and of repositories by their highest severity
+function severityBreakdown(repos) {
+    const deviations = {};
+    const repositories = {};
+    SEVERITIES.forEach(severity => {
+        deviations[severity] = 0;
+        repositories[severity] = 0;
+    });
+
+    repos.forEach(repo => {
+        const severities = Object.values(repo.deviations || {}).map(deviation => deviation.severity).filter(Boolean);
+        severities.forEach(severity => {
+            deviations[severity]++;
+        });
+        if (severities.length > 0) {
+            repositories[severities.sort(compareSeverity)[0]]++;
+        }
+    });
+
+    return { deviations, repositories };
+}
+
+module.exports = {
+    SEVERITIES,
+    DEFAULT_WEIGHTS,
+    validateSeveritySettings,
+    deviationPaths,
+    compareSeverity,
+    deviationSeverity,
+    riskScore,
+    severityBreakdown
+};
@@ -0,0 +1,74 @@
+// Snapshot persistence
+//
+// A snapshot records the raw repository data fetched from GitHub (including
+// branch protection) together with the norms and cohort norms computed for that
+// run, so that later runs can be compared against it or reports regenerated from it.
+//
+// SNAPSHOT_VERSION is bumped whenever the recorded shape changes. Version 2 added
+// cohort norms and the per-field norm shape used by consensus hooks; snapshots from
+// older versions cannot be read reliably and are rejected.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_VERSION = 2;
+
+function createSnapshot(analyzer, analysis) {
+    // Only cohorts large enough to have norms of their own are recorded
+    const cohortNorms = {};
+    Object.entries(analysis.cohorts || {})
+        .filter(([, cohort]) => cohort.norms)
+        .forEach(([name, cohort]) => {
+            cohortNorms[name] = cohort.norms;
+        });
+
+    return {
+        snapshotVersion: SNAPSHOT_VERSION,
+        organization: analyzer.orgName,
+        createdAt: analysis.generatedAt,
+        configFields: analyzer.configFields,
+        norms: analysis.norms,
+        cohortNorms: cohortNorms,
+        repos: analyzer.repos
+    };
+}
+
+function isSnapshot(document) {
+    return Boolean(document) && document.snapshotVersion !== undefined;
+}
+
+async function writeSnapshot(snapshot, directory) {
+    // Timestamps keep several snapshots from the same day apart; ':' is not valid in Windows filenames
+    const timestamp = snapshot.createdAt.replace(/:/g, '-').replace(/\.\d+Z$/, 'Z');
+    const filename = path.join(directory, `snapshot-${snapshot.organization}-${timestamp}.json`);
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(filename, JSON.stringify(snapshot, null, 2));
+    return filename;
+}
+
+function validateSnapshot(file, snapshot) {
+    if (!isSnapshot(snapshot)) {
+        throw new Error(`${file} is not a snapshot`);
+    }
+    if (snapshot.snapshotVersion > SNAPSHOT_VERSION) {
+        throw new Error(`${file} has snapshotVersion ${snapshot.snapshotVersion}, newer than the supported version ${SNAPSHOT_VERSION}`);
+    }
+    if (snapshot.snapshotVersion < SNAPSHOT_VERSION) {
+        throw new Error(`${file} has snapshotVersion ${snapshot.snapshotVersion}, older than the supported version ${SNAPSHOT_VERSION}; run the analysis again to create a new snapshot`);
+    }
+    return snapshot;
+}
+
+async function readSnapshot(file) {
+    return validateSnapshot(file, JSON.parse(await fs.readFile(file, 'utf8')));
+}
+
+module.exports = {
+    SNAPSHOT_VERSION,
+    createSnapshot,
+    isSnapshot,
+    validateSnapshot,
+    writeSnapshot,
+    readSnapshot
+};
@@ -0,0 +1,132 @@
+// Per-field compliance statistics
+//
+// For every config field, counts how many repositories hold each value and how
+// dominant the most common value (the norm) is. The share of repositories holding
+// the norm is its confidence. Fields whose confidence is below
+// deviationSettings.minConsensus have no clear norm and are not checked for
+// norm deviations.
+//
+// Values are counted the same way calculateNorms() picks norms: each value is
+// normalised by its field definition (see lib/fields.js), values normalised to
+// undefined are left out, and fields with items (like topics) are counted per
+// item (the share of repositories that have it).
+//
+// Nested fields (branch_protection, security_and_analysis) are compared with the
+// norm one sub-setting at a time, so their confidence is calculated per
+// sub-setting as well, from the field's consensus hook: the share of repositories
+// that agree with the norm on it. Sub-settings below minConsensus are listed in
+// `paths` as having no clear norm and are left out of deviations; the field's
+// confidence is that of its least agreed sub-setting with a clear norm.
+
+const { fieldDefinition } = require('./fields');
+
+// Confidence levels, checked in order; the first level whose minimum share is met applies
+const CONFIDENCE_LEVELS = [
+    { level: 'high', min: 0.8 },
+    { level: 'medium', min: 0.6 },
+    { level: 'low', min: 0 }
+];
+
+function confidenceLevel(share) {
+    return CONFIDENCE_LEVELS.find(entry => share >= entry.min).level;
+}
+
+function valueKey(value) {
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+function percentage(count, total) {
+    return total > 0 ? Math.round(count / total * 1000) / 10 : 0;
+}
+
+// Count values (or items) for one field. Returns [{ value, count }] sorted by count;
+// ties keep the order in which values were first seen, like calculateNorms()
+function countValues(definition, values, context) {
+    const counts = new Map();
+    const add = value => {
+        const key = valueKey(value);
+        const entry = counts.get(key) || { value: value, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    };
+
+    values.forEach(value => {
+        if (definition.items) {
+            definition.items(value, context).forEach(add);
+            return;
+        }
+        const normalised = definition.normalise(value, context);
+        if (normalised !== undefined) add(normalised);
+    });
+
+    return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+function shareStats(share, minConsensus) {
+    return {
+        confidence: Math.round(share * 1000) / 1000,
+        confidenceLevel: confidenceLevel(share),
+        clearNorm: share >= minConsensus
+    };
+}
+
+// Confidence per sub-setting of a nested field, and the share the field takes from them
+function pathConsensus(definition, values, context, minConsensus) {
+    const normalised = values
+        .map(value => definition.normalise(value, context))
+        .filter(value => value !== undefined);
+    if (normalised.length === 0) {
+        return null;
+    }
+
+    const paths = {};
+    const shares = definition.consensus(normalised, definition.norm(normalised, context), context)
+        .map(entry => {
+            const share = entry.total > 0 ? entry.count / entry.total : 0;
+            paths[entry.path] = shareStats(share, minConsensus);
+            return share;
+        });
+    const clearShares = shares.filter(share => share >= minConsensus);
+    return {
+        paths: paths,
+        share: clearShares.length > 0 ? Math.min(...clearShares) : Math.max(...shares)
+    };
+}
+
+// configs are extracted config values (see extractConfigValues()), one per repository
+function calculateFieldStats(configs, fields, minConsensus = 0, analyzer = null) {
+    const stats = {};
+
+    fields.forEach(field => {
+        const definition = fieldDefinition(field, analyzer);
+        const values = configs.map(config => config[field]);
+        const counts = countValues(definition, values, { field, analyzer });
+
+        // Items are shared against every repository; other fields against the repositories with a known value
+        const total = definition.items ? configs.length : counts.reduce((sum, entry) => sum + entry.count, 0);
+        const consensus = definition.consensus ? pathConsensus(definition, values, { field, analyzer }, minConsensus) : null;
+        const share = consensus ? consensus.share :
+            counts.length > 0 && total > 0 ? counts[0].count / total : 0;
+
+        stats[field] = {
+            total: total,
+            distribution: counts.map(entry => ({
+                value: entry.value,
+                count: entry.count,
+                percentage: percentage(entry.count, total)
+            })),
+            ...shareStats(share, minConsensus)
+        };
+        if (consensus) {
+            stats[field].paths = consensus.paths;
+        }
+    });
+
+    return stats;
+}
+
+module.exports = {
+    CONFIDENCE_LEVELS,
+    confidenceLevel,
+    calculateFieldStats
+};
@@ -0,0 +1,228 @@
+// Minimal YAML reader for repository override files
+//
+// Supports the subset of YAML that configuration files like
+// .github/repo-config.yml use:
+//   - mappings ("key: value") and sequences ("- item"), nested by indentation
+//   - sequences of mappings ("- field: has_wiki" followed by indented keys)
+//   - plain, 'single' and "double" quoted strings, true/false, null/~ and numbers
+//   - flow sequences and mappings ("[a, b]", "{ min: 1 }"), which may be nested
+//   - comments starting with "#"
+// Anchors, tags, multi-line strings and multiple documents are not supported and
+// are reported as errors. Dates such as 2026-12-31 are read as strings. Override
+// files come from repositories, so keys that would change the prototype of the
+// parsed mappings (__proto__, constructor, prototype) are rejected as well.
+
+const NUMBER_PATTERN = /^[-+]?(\d+|\d*\.\d+)([eE][-+]?\d+)?$/;
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Line content without a trailing comment; "#" inside quotes or inside a word is kept
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+    }
+    return text;
+}
+
+function tokenize(text) {
+    return text.split(/\r?\n/)
+        .map((raw, index) => ({ raw, number: index + 1 }))
+        .filter(line => stripComment(line.raw).trim() !== '' && line.raw.trim() !== '---')
+        .map(line => {
+            const indentation = line.raw.match(/^\s*/)[0];
+            if (indentation.includes('\t')) {
+                throw new Error(`Line ${line.number}: tabs are not allowed for indentation`);
+            }
+            return { number: line.number, indent: indentation.length, text: stripComment(line.raw).trim() };
+        });
+}
+
+// Items of a flow collection, split at the commas that are not nested or quoted
+function splitFlow(inner) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < inner.length; i++) {
+        const char = inner[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            items.push(inner.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    items.push(inner.slice(start).trim());
+    return items.filter(item => item !== '');
+}
+
+function parseFlow(text, number) {
+    const close = text.startsWith('[') ? ']' : '}';
+    if (!text.endsWith(close)) {
+        throw new Error(`Line ${number}: unterminated flow collection ${text}`);
+    }
+    const items = splitFlow(text.slice(1, -1));
+    if (close === ']') {
+        return items.map(item => parseScalar(item, number));
+    }
+
+    const mapping = {};
+    items.forEach(item => {
+        const entry = splitEntry(item);
+        if (!entry) {
+            throw new Error(`Line ${number}: expected "key: value" in ${text}`);
+        }
+        setKey(mapping, entry.key, parseScalar(entry.value, number), number);
+    });
+    return mapping;
+}
+
+// Add an entry to a mapping, rejecting duplicate and reserved keys
+function setKey(mapping, key, value, number) {
+    if (RESERVED_KEYS.includes(key)) {
+        throw new Error(`Line ${number}: key "${key}" is not allowed`);
+    }
+    if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw new Error(`Line ${number}: duplicate key "${key}"`);
+    }
+    mapping[key] = value;
+}
+
+function parseScalar(text, number) {
+    if (text === '' || text === '~' || text === 'null') {
+        return null;
+    } else if (text === 'true' || text === 'false') {
+        return text === 'true';
+    } else if (NUMBER_PATTERN.test(text)) {
+        return Number(text);
+    } else if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Line ${number}: invalid double-quoted string ${text}`);
+        }
+    } else if (text.startsWith('\'')) {
+        if (!text.endsWith('\'') || text.length < 2) {
+            throw new Error(`Line ${number}: invalid single-quoted string ${text}`);
+        }
+        return text.slice(1, -1).replace(/''/g, '\'');
+    } else if (text.startsWith('[') || text.startsWith('{')) {
+        return parseFlow(text, number);
+    } else if (/^[&*!|>]/.test(text)) {
+        throw new Error(`Line ${number}: unsupported YAML syntax "${text}"`);
+    }
+    return text;
+}
+
+// Split "key: value" into its key and value text, or return null when the text is not a mapping entry
+function splitEntry(text) {
+    const match = text.match(/^("[^"]*"|'[^']*'|[^\s"'#[\]{},][^:]*?)\s*:(\s+(.*))?$/);
+    if (!match) {
+        return null;
+    }
+    const key = match[1].startsWith('"') || match[1].startsWith('\'') ? match[1].slice(1, -1) : match[1];
+    return { key, value: match[3] === undefined ? '' : match[3] };
+}
+
+// Parse the block starting at lines[start] whose lines are indented by indent.
+// Returns { value, next } where next is the index of the first line after the block.
+function parseBlock(lines, start, indent) {
+    const isSequence = lines[start].text === '-' || lines[start].text.startsWith('- ');
+    const value = isSequence ? [] : {};
+    let index = start;
+
+    while (index < lines.length && lines[index].indent >= indent) {
+        const line = lines[index];
+        if (line.indent > indent) {
+            throw new Error(`Line ${line.number}: unexpected indentation`);
+        }
+
+        if (isSequence) {
+            // A sequence at the indentation of its key ends at the next key
+            if (line.text !== '-' && !line.text.startsWith('- ')) {
+                break;
+            }
+            const itemText = line.text.slice(1).trim();
+            const itemIndent = indent + line.text.length - line.text.slice(1).trimStart().length;
+
+            if (itemText === '') {
+                const nested = nestedBlock(lines, index + 1, indent);
+                value.push(nested.value);
+                index = nested.next;
+            } else if (splitEntry(itemText)) {
+                // A mapping item: its first entry shares the line with the dash
+                const itemLines = [{ number: line.number, indent: itemIndent, text: itemText }];
+                let next = index + 1;
+                while (next < lines.length && lines[next].indent > indent) {
+                    itemLines.push(lines[next]);
+                    next++;
+                }
+                value.push(parseBlock(itemLines, 0, itemIndent).value);
+                index = next;
+            } else {
+                value.push(parseScalar(itemText, line.number));
+                index++;
+            }
+        } else {
+            const entry = line.text.startsWith('-') ? null : splitEntry(line.text);
+            if (!entry) {
+                throw new Error(`Line ${line.number}: expected "key: value"`);
+            }
+            if (entry.value === '') {
+                const nested = nestedBlock(lines, index + 1, indent);
+                setKey(value, entry.key, nested.value, line.number);
+                index = nested.next;
+            } else {
+                setKey(value, entry.key, parseScalar(entry.value, line.number), line.number);
+                index++;
+            }
+        }
+    }
+
+    return { value, next: index };
+}
+
+// Block nested under a key or dash at indent, or null when the next line is not indented further.
+// A sequence may also sit at the same indentation as its key, as YAML allows.
+function nestedBlock(lines, start, indent) {
+    if (start < lines.length && lines[start].indent > indent) {
+        return parseBlock(lines, start, lines[start].indent);
+    }
+    if (start < lines.length && lines[start].indent === indent && lines[start].text.startsWith('-')) {
+        return parseBlock(lines, start, indent);
+    }
+    return { value: null, next: start };
+}
+
+function parseYAML(text) {
+    const lines = tokenize(text);
+    if (lines.length === 0) {
+        return null;
+    }
+    if (lines.length === 1 && !splitEntry(lines[0].text) && !lines[0].text.startsWith('-')) {
+        return parseScalar(lines[0].text, lines[0].number);
+    }
+
+    const { value, next } = parseBlock(lines, 0, lines[0].indent);
+    if (next < lines.length) {
+        throw new Error(`Line ${lines[next].number}: unexpected indentation`);
+    }
+    return value;
+}
+
+module.exports = {
+    parseYAML
+};
@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createFixtureAnalyzer } = require('./helpers');
+const { ACCESS_FIELDS, permissionOf, accessSummary } = require('../lib/access');
+const { getFormat } = require('../lib/formats');
+
+async function accessAnalyzer() {
+    const analyzer = await createFixtureAnalyzer('basic-org', { configFields: ['name', ...ACCESS_FIELDS] });
+    await analyzer.fetchCollectedData();
+    return analyzer;
+}
+
+test('reads permissions from role names, permission names and flags', () => {
+    assert.strictEqual(permissionOf({ role_name: 'maintain' }), 'maintain');
+    assert.strictEqual(permissionOf({ permission: 'push' }), 'write');
+    assert.strictEqual(permissionOf({ permissions: { admin: false, maintain: false, push: false, triage: true, pull: true } }), 'triage');
+    assert.strictEqual(permissionOf({}), null);
+});
+
+test('collects outside collaborators, direct admins and team grants', async () => {
+    const analyzer = await accessAnalyzer();
+    const config = name => analyzer.extractConfigValues(analyzer.repos.find(repo => repo.name === name));
+
+    assert.deepStrictEqual(config('billing-service'), {
+        name: 'billing-service',
+        outside_collaborators: ['contractor-jane'],
+        outside_admins: [],
+        direct_admins: [],
+        admin_teams: ['platform'],
+        maintain_teams: [],
+        write_teams: ['payments']
+    });
+    assert.deepStrictEqual(config('legacy-mirror').outside_admins, ['mirror-bot']);
+    assert.deepStrictEqual(config('legacy-mirror').direct_admins, ['alice', 'mirror-bot']);
+    assert.deepStrictEqual(config('docs-site').maintain_teams, ['docs']);
+});
+
+test('reports outside admins as deviations', async () => {
+    const analysis = (await accessAnalyzer()).analyze();
+    const legacy = analysis.repos.find(repo => repo.name === 'legacy-mirror');
+
+    assert.deepStrictEqual(analysis.norms.outside_admins, []);
+    assert.deepStrictEqual(legacy.deviations.outside_admins.repo, ['mirror-bot']);
+    assert.ok(legacy.deviations.direct_admins);
+});
+
+test('summarises access across the organization', async () => {
+    const analyzer = await accessAnalyzer();
+    const analysis = analyzer.analyze();
+    const summary = accessSummary(analysis.repos);
+
+    assert.deepStrictEqual(summary.withOutsideCollaborators, ['billing-service', 'legacy-mirror']);
+    assert.deepStrictEqual(summary.outsideCollaborators, ['contractor-jane', 'mirror-bot']);
+    assert.deepStrictEqual(summary.withOutsideAdmins, ['legacy-mirror']);
+    assert.deepStrictEqual(summary.teams, [
+        { team: 'docs', admin: 0, maintain: 1, write: 0 },
+        { team: 'payments', admin: 0, maintain: 0, write: 1 },
+        { team: 'platform', admin: 2, maintain: 0, write: 0 }
+    ]);
+    assert.deepStrictEqual(summary.directAdmins, [
+        { login: 'alice', repositories: ['legacy-mirror'] },
+        { login: 'mirror-bot', repositories: ['legacy-mirror'] }
+    ]);
+
+    const html = analyzer.generateHTMLReport(analysis);
+    assert.ok(html.includes('<h2>Access and Permissions</h2>'));
+    assert.ok(html.includes('<strong>1</strong> repositories grant an outside collaborator admin: legacy-mirror.'));
+    assert.strictEqual(JSON.parse(getFormat('json').render(analyzer, analysis)).metadata.access.unknown, 0);
+});
+
+test('counts repositories whose access could not be read', () => {
+    const summary = accessSummary([
+        { name: 'a', config: { outside_collaborators: [], admin_teams: ['platform'] } },
+        { name: 'b', config: { outside_collaborators: null, admin_teams: null } }
+    ]);
+
+    assert.strictEqual(summary.unknown, 1);
+    assert.deepStrictEqual(summary.teams, [{ team: 'platform', admin: 1, maintain: 0, write: 0 }]);
+});
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createFixtureAnalyzer, createAnalyzer } = require('./helpers');
+const { matchingBranches, withBranchPatternFields, weakestProtection, validateBranchSettings } = require('../lib/branches');
+const { deviationSeverity } = require('../lib/severity');
+
+const branchSettings = { branchSettings: { patterns: ['release/*', 'develop'] } };
+
+test('matches branch patterns other than the default branch', () => {
+    const names = ['main', 'develop', 'release/1.0', 'release/2.0', 'feature/release/x'];
+
+    assert.deepStrictEqual(matchingBranches(names, 'release/*', 'main'), ['release/1.0', 'release/2.0']);
+    assert.deepStrictEqual(matchingBranches(names, '/^(main|develop)$/', 'main'), ['develop']);
+    assert.throws(() => validateBranchSettings({ patterns: ['/[/'] }));
+});
+
+test('adds a field for each branch pattern after branch_protection', () => {
+    assert.deepStrictEqual(
+        withBranchPatternFields(['private', 'branch_protection', 'topics'], { patterns: ['develop'] }),
+        ['private', 'branch_protection', 'branch_protection:develop', 'topics']
+    );
+    assert.deepStrictEqual(withBranchPatternFields(['private'], { patterns: ['develop'] }), ['private', 'branch_protection:develop']);
+    assert.deepStrictEqual(withBranchPatternFields(['private'], {}), ['private']);
+});
+
+test('represents a pattern by its least protected branch', () => {
+    const strict = { enabled: true, allow_force_pushes: false, allow_deletions: false };
+    const loose = { enabled: true, allow_force_pushes: true, allow_deletions: false };
+
+    assert.strictEqual(weakestProtection([{ branch: 'a', protection: strict }, { branch: 'b', protection: loose }]).branch, 'b');
+    assert.strictEqual(weakestProtection([{ branch: 'a', protection: loose }, { branch: 'b', protection: { enabled: false } }]).branch, 'b');
+    assert.strictEqual(weakestProtection([{ branch: 'a', protection: { enabled: null } }, { branch: 'b', protection: strict }]).branch, 'b');
+    assert.strictEqual(weakestProtection([]), null);
+});
+
+test('fetches protection for branches matching each pattern', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', branchSettings);
+    const api = analyzer.repos.find(repo => repo.name === 'api-gateway');
+
+    assert.deepStrictEqual(api.patternBranches['release/*'].map(entry => entry.branch), ['release/1.0', 'release/2.0']);
+    assert.strictEqual(api.patternBranches.develop[0].protection.enabled, true);
+    assert.strictEqual(analyzer.extractConfigValues(api)['branch_protection:release/*'].allow_force_pushes, true);
+    assert.strictEqual(analyzer.extractConfigValues(analyzer.repos.find(repo => repo.name === 'docs-site'))['branch_protection:develop'], null);
+});
+
+test('calculates norms and deviations per branch pattern', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', branchSettings);
+    const analysis = analyzer.analyze();
+    const deviations = name => analysis.repos.find(repo => repo.name === name).deviations || {};
+
+    assert.strictEqual(analysis.norms['branch_protection:release/*'].allow_force_pushes, false);
+    assert.deepStrictEqual(deviations('api-gateway')['branch_protection:release/*'].paths.map(p => p.path), ['branch_protection:release/*.allow_force_pushes']);
+    assert.strictEqual(deviations('api-gateway')['branch_protection:release/*'].branch, 'release/2.0');
+    assert.strictEqual(deviations('docs-site')['branch_protection:release/*'], undefined);
+    assert.ok(analyzer.generateDeviationsOnlyReport(analysis).includes('<span class="deviation-branch">on release/2.0</span>'));
+});
+
+test('falls back to branch_protection severities for branch patterns', () => {
+    const settings = { fields: { 'branch_protection.allow_force_pushes': 'critical', 'branch_protection:develop': 'low' }, default: 'medium' };
+    const deviation = field => ({ paths: [{ path: `${field}.allow_force_pushes` }] });
+
+    assert.strictEqual(deviationSeverity('branch_protection:release/*', deviation('branch_protection:release/*'), settings), 'critical');
+    assert.strictEqual(deviationSeverity('branch_protection:develop', deviation('branch_protection:develop'), settings), 'low');
+    assert.strictEqual(deviationSeverity('branch_protection:v1.x', { paths: [{ path: 'branch_protection:v1.x.lock_branch' }] }, settings), 'medium');
+});
+
+test('leaves branch patterns out when none are configured', () => {
+    assert.ok(!createAnalyzer().configFields.some(field => field.startsWith('branch_protection:')));
+});
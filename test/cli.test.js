@@ -0,0 +1,236 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('./harness');
+const { FIXTURES_DIR, createAnalyzer, createFixtureAnalyzer } = require('./helpers');
+const { parseArgs, run, EXIT_OK, EXIT_ERROR, EXIT_THRESHOLD } = require('../lib/cli');
+const { matchesRepoFilters, filterReason, validateRepoFilters, describeRepoFilters } = require('../lib/filters');
+const { diffReports } = require('../lib/diff');
+const { SNAPSHOT_VERSION, createSnapshot, validateSnapshot } = require('../lib/snapshot');
+
+test('parses commands, flags and repeatable lists', () => {
+    const { command, options, positionals } = parseArgs([
+        'diff', 'old.json', 'new.json', '--format=json', '-o', 'my-org', '--exclude', 'sandbox-*', '--exclude', 'mirror-*,fork-*'
+    ]);
+
+    assert.strictEqual(command, 'diff');
+    assert.deepStrictEqual(positionals, ['old.json', 'new.json']);
+    assert.deepStrictEqual(options, {
+        format: ['json'],
+        org: 'my-org',
+        exclude: ['sandbox-*', 'mirror-*', 'fork-*']
+    });
+});
+
+test('defaults to the analyse command', () => {
+    assert.strictEqual(parseArgs(['--max-deviations', '3']).command, 'analyse');
+    assert.strictEqual(parseArgs(['--max-deviations', '3']).options.maxDeviations, 3);
+});
+
+test('rejects unknown commands, options and invalid values', () => {
+    assert.throws(() => parseArgs(['deploy']), /Unknown command/);
+    assert.throws(() => parseArgs(['--colour']), /Unknown option/);
+    assert.throws(() => parseArgs(['--max-deviations', 'many']), /non-negative integer/);
+    assert.throws(() => parseArgs(['--org']), /requires a value/);
+});
+
+test('filters repositories by include and exclude globs', () => {
+    const filters = { include: ['service-*', 'api'], exclude: ['*-sandbox'] };
+
+    assert.strictEqual(matchesRepoFilters({ name: 'service-billing' }, filters), true);
+    assert.strictEqual(matchesRepoFilters({ name: 'API' }, filters), true);
+    assert.strictEqual(matchesRepoFilters({ name: 'service-sandbox' }, filters), false);
+    assert.strictEqual(matchesRepoFilters({ name: 'docs' }, filters), false);
+    assert.strictEqual(matchesRepoFilters({ name: 'anything' }, {}), true);
+});
+
+test('filters repository names by regular expression', () => {
+    const filters = { include: ['/^svc-[a-z]+$/'], exclude: ['/legacy/i'] };
+
+    assert.strictEqual(matchesRepoFilters({ name: 'svc-billing' }, filters), true);
+    assert.strictEqual(matchesRepoFilters({ name: 'svc-billing-2' }, filters), false);
+    assert.strictEqual(matchesRepoFilters({ name: 'svc-legacy' }, { exclude: ['/LEGACY/i'] }), false);
+});
+
+test('filters repositories by topics, fork status, language and push age', () => {
+    const now = Date.parse('2026-10-01T00:00:00Z');
+    const repo = { name: 'api', topics: ['service', 'team-a'], fork: false, language: 'TypeScript', pushed_at: '2026-09-20T00:00:00Z' };
+
+    assert.strictEqual(filterReason(repo, {}, now), null);
+    assert.strictEqual(filterReason(repo, { requiredTopics: ['service', 'prod'] }, now), 'missing required topics: prod');
+    assert.strictEqual(filterReason(repo, { forbiddenTopics: ['team-a'] }, now), 'has forbidden topics: team-a');
+    assert.strictEqual(filterReason({ ...repo, fork: true }, { forks: 'exclude' }, now), 'is a fork');
+    assert.strictEqual(filterReason(repo, { forks: 'only' }, now), 'is not a fork');
+    assert.strictEqual(filterReason(repo, { languages: ['typescript', 'Go'] }, now), null);
+    assert.strictEqual(filterReason({ ...repo, language: null }, { languages: ['Go'] }, now), 'language none is not included');
+    assert.strictEqual(filterReason(repo, { excludeLanguages: ['TYPESCRIPT'] }, now), 'language TypeScript is excluded');
+    assert.strictEqual(filterReason(repo, { maxPushedAgeDays: 30 }, now), null);
+    assert.strictEqual(filterReason(repo, { maxPushedAgeDays: 7 }, now), 'not pushed in the last 7 days');
+    assert.strictEqual(filterReason({ ...repo, pushed_at: null }, { maxPushedAgeDays: 30 }, now), 'not pushed in the last 30 days');
+});
+
+test('rejects invalid repository filters', () => {
+    assert.throws(() => validateRepoFilters({ forks: 'yes' }), /Invalid repoFilters.forks "yes"/);
+    assert.throws(() => validateRepoFilters({ include: ['/[/'] }), /Invalid regular expression/);
+    assert.doesNotThrow(() => validateRepoFilters({ forks: 'only', include: ['api-*', '/^svc/'] }));
+});
+
+test('describes attribute filters', () => {
+    assert.deepStrictEqual(describeRepoFilters({ requiredTopics: ['service'], forks: 'exclude', excludeLanguages: ['Java'], maxPushedAgeDays: 90 }), [
+        'Required topics: service',
+        'Forks excluded',
+        'Languages excluded: Java',
+        'Pushed in the last 90 days'
+    ]);
+});
+
+test('diff reports added, removed and changed repositories, norm shifts and deviation changes', () => {
+    const previous = {
+        metadata: { generatedAt: '2026-01-01T00:00:00.000Z' },
+        norms: { has_wiki: false },
+        repositories: [
+            { full_name: 'org/a', config: { has_wiki: true }, deviations: { has_wiki: {} } },
+            { full_name: 'org/b', config: { has_wiki: false }, deviations: {} }
+        ]
+    };
+    const current = {
+        metadata: { generatedAt: '2026-01-08T00:00:00.000Z' },
+        norms: { has_wiki: true },
+        repositories: [
+            { full_name: 'org/a', config: { has_wiki: true }, deviations: {} },
+            { full_name: 'org/c', config: { has_wiki: true }, deviations: {} }
+        ]
+    };
+
+    const diff = diffReports(previous, current);
+    assert.deepStrictEqual(diff.added, ['org/c']);
+    assert.deepStrictEqual(diff.removed, ['org/b']);
+    assert.deepStrictEqual(diff.changed, []);
+    assert.deepStrictEqual(diff.normShifts, [{ field: 'has_wiki', from: false, to: true }]);
+    assert.deepStrictEqual(diff.deviationsIntroduced, []);
+    assert.deepStrictEqual(diff.deviationsResolved, [{ repository: 'org/a', field: 'has_wiki' }]);
+});
+
+// Run the CLI against fixtures, writing reports to a temporary directory
+async function runWithFixtures(fixtures, args) {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-config-cli-'));
+    try {
+        const code = await run([...args, '--fixtures', fixtures, '--org', 'example-org', '--output-dir', outputDir]);
+        return { code, files: fs.readdirSync(outputDir) };
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+}
+
+test('exits with 0 on success and 2 when deviations exceed the maximum', async () => {
+    const fixtures = path.join(FIXTURES_DIR, 'basic-org');
+
+    const analysed = await runWithFixtures(fixtures, ['analyse', '--format', 'json']);
+    assert.strictEqual(analysed.code, EXIT_OK);
+    assert.deepStrictEqual(analysed.files.map(file => file.replace(/\d{4}-\d{2}-\d{2}/, '<date>')), ['repo-config-analysis-example-org-<date>.json']);
+
+    assert.strictEqual((await runWithFixtures(fixtures, ['analyse', '--format', 'json', '--max-deviations', '0'])).code, EXIT_THRESHOLD);
+    assert.strictEqual((await runWithFixtures(fixtures, ['analyse', '--format', 'json', '--max-deviations', '100'])).code, EXIT_OK);
+    assert.strictEqual((await runWithFixtures(fixtures, ['remediate', '--fields', 'has_wiki'])).code, EXIT_OK);
+});
+
+test('exits with 1 when the repositories cannot be listed', async () => {
+    const fixtures = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-config-fixtures-'));
+    try {
+        fs.writeFileSync(path.join(fixtures, 'repos.json'), JSON.stringify({ error: { status: 401, message: 'Bad credentials' } }));
+        const analysed = await runWithFixtures(fixtures, ['analyse', '--format', 'json']);
+        assert.strictEqual(analysed.code, EXIT_ERROR);
+        assert.deepStrictEqual(analysed.files, []);
+        assert.strictEqual((await runWithFixtures(fixtures, ['remediate', '--fields', 'has_wiki'])).code, EXIT_ERROR);
+
+        // An organization that does not exist
+        fs.unlinkSync(path.join(fixtures, 'repos.json'));
+        assert.strictEqual((await runWithFixtures(fixtures, ['analyse'])).code, EXIT_ERROR);
+    } finally {
+        fs.rmSync(fixtures, { recursive: true, force: true });
+    }
+});
+
+test('rejects snapshots written by an older version', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org');
+    const snapshot = JSON.parse(JSON.stringify(createSnapshot(analyzer, analyzer.analyze())));
+    assert.strictEqual(snapshot.snapshotVersion, SNAPSHOT_VERSION);
+    assert.strictEqual(validateSnapshot('current.json', snapshot), snapshot);
+
+    const oldSnapshot = { ...snapshot, snapshotVersion: 1 };
+    delete oldSnapshot.cohortNorms;
+    assert.throws(() => validateSnapshot('old.json', oldSnapshot),
+        /old\.json has snapshotVersion 1, older than the supported version 2; run the analysis again/);
+    assert.throws(() => validateSnapshot('new.json', { ...snapshot, snapshotVersion: SNAPSHOT_VERSION + 1 }), /newer than the supported version/);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-config-snapshot-'));
+    try {
+        const file = path.join(directory, 'snapshot-v1.json');
+        fs.writeFileSync(file, JSON.stringify(oldSnapshot));
+        assert.strictEqual(await run(['report', '--input', file, '--output-dir', directory]), EXIT_ERROR);
+        assert.deepStrictEqual(fs.readdirSync(directory), ['snapshot-v1.json']);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('computes the norms of a snapshot from the repositories left by the filters', async () => {
+    const repos = [['app-a', true], ['app-b', true], ['old-c', false], ['old-d', false], ['old-e', false]]
+        .map(([name, hasWiki]) => ({ name, full_name: `example-org/${name}`, has_wiki: hasWiki, archived: false }));
+    const analyzer = createAnalyzer(repos, { configFields: ['name', 'has_wiki'] });
+    const snapshot = createSnapshot(analyzer, analyzer.analyze());
+    assert.strictEqual(snapshot.norms.has_wiki, false);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-config-snapshot-'));
+    try {
+        const file = path.join(directory, 'snapshot.json');
+        fs.writeFileSync(file, JSON.stringify(snapshot));
+        const reportFor = async args => {
+            const outputDir = path.join(directory, `out-${args.length}`);
+            assert.strictEqual(await run(['report', '--input', file, '--format', 'json', '--output-dir', outputDir, ...args]), EXIT_OK);
+            const [name] = fs.readdirSync(outputDir);
+            return JSON.parse(fs.readFileSync(path.join(outputDir, name), 'utf8'));
+        };
+
+        const all = await reportFor([]);
+        assert.strictEqual(all.norms.has_wiki, false);
+        assert.deepStrictEqual(all.repositories.filter(repo => repo.deviations && repo.deviations.has_wiki).map(repo => repo.name), ['app-a', 'app-b']);
+
+        const apps = await reportFor(['--exclude', 'old-*']);
+        assert.strictEqual(apps.norms.has_wiki, true);
+        assert.deepStrictEqual(apps.repositories.map(repo => repo.name), ['app-a', 'app-b']);
+        assert.ok(apps.repositories.every(repo => !repo.deviations || !repo.deviations.has_wiki));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('lists the analysed fields, including branch pattern and file check fields', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-config-fields-'));
+    const configFile = path.join(directory, 'config.js');
+    fs.writeFileSync(configFile, `module.exports = ${JSON.stringify({
+        configFields: ['name', 'branch_protection', 'has_wiki'],
+        branchSettings: { patterns: ['release/*'] },
+        fileChecks: { has_codeowners: { paths: ['CODEOWNERS'] } },
+        policy: { has_wiki: false }
+    })};`);
+
+    const lines = [];
+    const log = console.log;
+    console.log = line => lines.push(line);
+    try {
+        assert.strictEqual(await run(['list-fields', '--config', configFile]), EXIT_OK);
+    } finally {
+        console.log = log;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    assert.deepStrictEqual(lines, [
+        'name (ignored)',
+        'branch_protection',
+        'branch_protection:release/* (branch pattern)',
+        'has_wiki (policy)',
+        'has_codeowners (file check)'
+    ]);
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createFixtureAnalyzer } = require('./helpers');
+const { cohortFor, groupByCohort, validateCohortSettings } = require('../lib/cohorts');
+const { createSnapshot } = require('../lib/snapshot');
+
+const repo = {
+    name: 'svc-billing',
+    topics: ['team-a', 'service'],
+    language: 'Go',
+    teams: ['payments', 'platform'],
+    custom_properties: { tier: 'critical', stacks: ['go', 'grpc'] }
+};
+
+test('assigns cohorts by topic, prefix, language, team and custom property', () => {
+    assert.strictEqual(cohortFor(repo, {}), null);
+    assert.strictEqual(cohortFor(repo, { groupBy: 'topic', values: ['service', 'library'] }), 'service');
+    assert.strictEqual(cohortFor(repo, { groupBy: 'topic' }), 'team-a');
+    assert.strictEqual(cohortFor(repo, { groupBy: 'prefix', values: ['lib-', 'SVC-'] }), 'SVC-');
+    assert.strictEqual(cohortFor(repo, { groupBy: 'prefix' }), 'svc');
+    assert.strictEqual(cohortFor(repo, { groupBy: 'language' }), 'Go');
+    assert.strictEqual(cohortFor(repo, { groupBy: 'team', values: ['platform'] }), 'platform');
+    assert.strictEqual(cohortFor(repo, { groupBy: 'team' }), 'payments');
+    assert.strictEqual(cohortFor(repo, { groupBy: 'property', property: 'tier' }), 'critical');
+    assert.strictEqual(cohortFor(repo, { groupBy: 'property', property: 'stacks' }), 'go');
+});
+
+test('puts repositories that match no cohort in the fallback cohort', () => {
+    assert.strictEqual(cohortFor(repo, { groupBy: 'topic', values: ['docs'] }), 'other');
+    assert.strictEqual(cohortFor({ name: 'tools' }, { groupBy: 'prefix', fallback: 'misc' }), 'misc');
+    assert.deepStrictEqual(Object.keys(groupByCohort([repo, { name: 'lib-a', topics: ['library'] }], { groupBy: 'topic', values: ['service', 'library'] })), ['library', 'service']);
+});
+
+test('rejects invalid cohort settings', () => {
+    assert.throws(() => validateCohortSettings({ groupBy: 'owner' }), /Invalid cohortSettings.groupBy "owner"/);
+    assert.throws(() => validateCohortSettings({ groupBy: 'property' }), /cohortSettings.property is required/);
+    assert.doesNotThrow(() => validateCohortSettings({ groupBy: null }));
+});
+
+test('calculates norms and deviations within each cohort', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        cohortSettings: { groupBy: 'topic', values: ['service', 'docs'], minSize: 1 }
+    });
+    const analysis = analyzer.analyze();
+    const docs = analysis.repos.find(repo => repo.name === 'docs-site');
+
+    assert.deepStrictEqual(Object.keys(analysis.cohorts), ['docs', 'other', 'service']);
+    assert.deepStrictEqual(analysis.cohorts.service.repositories, ['api-gateway', 'billing-service', 'intranet-portal']);
+    assert.strictEqual(analysis.cohorts.docs.norms.has_wiki, true);
+    assert.strictEqual(analysis.norms.has_wiki, false);
+    assert.strictEqual(docs.cohort, 'docs');
+    assert.strictEqual(docs.deviations, null);
+});
+
+test('compares cohorts smaller than minSize with the organization norm', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        cohortSettings: { groupBy: 'language', minSize: 2 }
+    });
+    const analysis = analyzer.analyze();
+    const legacy = analysis.repos.find(repo => repo.name === 'legacy-mirror');
+    const docs = analysis.repos.find(repo => repo.name === 'docs-site');
+
+    assert.strictEqual(analysis.cohorts.Java.norms, null);
+    assert.strictEqual(legacy.deviations.default_branch.norm, 'main');
+    assert.strictEqual(legacy.deviations.default_branch.cohort, undefined);
+    assert.strictEqual(docs.deviations.has_wiki.cohort, 'JavaScript');
+});
+
+test('groups repositories by team access', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        cohortSettings: { groupBy: 'team', minSize: 1 }
+    });
+    await analyzer.fetchAllTeams();
+    const analysis = analyzer.analyze();
+
+    assert.deepStrictEqual(analysis.cohorts.platform.repositories, ['api-gateway']);
+    assert.deepStrictEqual(analysis.cohorts.payments.repositories, ['billing-service']);
+    assert.deepStrictEqual(analysis.cohorts.other.repositories, ['intranet-portal', 'legacy-mirror']);
+});
+
+test('shows the cohort breakdown in both HTML reports', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        cohortSettings: { groupBy: 'language', minSize: 2 }
+    });
+    const analysis = analyzer.analyze();
+
+    [analyzer.generateHTMLReport(analysis), analyzer.generateDeviationsOnlyReport(analysis)].forEach(html => {
+        assert.ok(html.includes('Cohorts: Grouped by language'));
+        assert.ok(html.includes('<table class="cohort-table sortable">'));
+        assert.ok(html.includes('Fewer than 2 repositories, compared with the organization norm'));
+    });
+    assert.ok(analyzer.generateDeviationsOnlyReport(analysis).includes('Normal Value (JavaScript cohort):'));
+});
+
+test('snapshots keep the cohort norms they were analysed with', async () => {
+    const settings = { cohortSettings: { groupBy: 'topic', values: ['service', 'docs'], minSize: 1 } };
+    const analyzer = await createFixtureAnalyzer('basic-org', settings);
+    const snapshot = JSON.parse(JSON.stringify(createSnapshot(analyzer, analyzer.analyze())));
+
+    snapshot.cohortNorms.docs.has_wiki = false;
+    const restored = await createFixtureAnalyzer('basic-org', settings);
+    const analysis = restored.analyzeSnapshot(snapshot);
+
+    assert.ok(analysis.repos.find(repo => repo.name === 'docs-site').deviations.has_wiki);
+});
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createFixtureAnalyzer, createAnalyzer } = require('./helpers');
+const RepoConfigAnalyzer = require('../index');
+const { collectorForField, collectorsFor } = require('../lib/collectors');
+
+const COLLECTED_FIELDS = [
+    'actions_enabled',
+    'allowed_actions',
+    'selected_actions',
+    'workflow_permissions',
+    'vulnerability_alerts',
+    'dependabot_security_updates',
+    'environments',
+    'unprotected_environments',
+    'webhooks',
+    'insecure_webhooks',
+    'deploy_keys',
+    'writable_deploy_keys'
+];
+
+async function collectedAnalyzer() {
+    const analyzer = await createFixtureAnalyzer('basic-org', { configFields: ['name', ...COLLECTED_FIELDS] });
+    await analyzer.fetchCollectedData();
+    return analyzer;
+}
+
+function configOf(analyzer, name) {
+    return analyzer.extractConfigValues(analyzer.repos.find(repo => repo.name === name));
+}
+
+test('runs only the collectors providing configured fields', () => {
+    assert.deepStrictEqual(collectorsFor(['name', 'webhooks', 'deploy_keys']).map(collector => collector.name), ['webhooks', 'deploy_keys']);
+    assert.deepStrictEqual(collectorsFor(['name', 'branch_protection']), []);
+});
+
+test('collects Actions, Dependabot, environment, webhook and deploy key settings', async () => {
+    const analyzer = await collectedAnalyzer();
+    const api = configOf(analyzer, 'api-gateway');
+
+    assert.strictEqual(api.actions_enabled, true);
+    assert.strictEqual(api.allowed_actions, 'selected');
+    assert.deepStrictEqual(api.selected_actions, { github_owned_allowed: true, verified_allowed: false, patterns_allowed: ['docker/*', 'example-org/*'] });
+    assert.strictEqual(api.workflow_permissions, 'read');
+    assert.strictEqual(api.vulnerability_alerts, true);
+    assert.strictEqual(api.dependabot_security_updates, true);
+    assert.deepStrictEqual(api.environments, ['production', 'staging']);
+    assert.deepStrictEqual(api.unprotected_environments, ['staging']);
+    assert.deepStrictEqual(api.webhooks, ['ci.example.com']);
+    assert.strictEqual(api.deploy_keys, 1);
+    assert.strictEqual(api.writable_deploy_keys, 0);
+
+    const legacy = configOf(analyzer, 'legacy-mirror');
+    assert.strictEqual(legacy.actions_enabled, false);
+    assert.strictEqual(legacy.allowed_actions, null);
+    assert.strictEqual(legacy.vulnerability_alerts, false);
+    assert.strictEqual(legacy.dependabot_security_updates, false);
+    assert.deepStrictEqual(legacy.environments, []);
+    assert.strictEqual(legacy.writable_deploy_keys, 1);
+
+    assert.strictEqual(configOf(analyzer, 'intranet-portal').dependabot_security_updates, false);
+    assert.strictEqual(configOf(analyzer, 'billing-service').insecure_webhooks, 1);
+});
+
+test('analyses collected fields against the norm', async () => {
+    const analysis = (await collectedAnalyzer()).analyze();
+    const deviations = name => Object.keys(analysis.repos.find(repo => repo.name === name).deviations || {});
+
+    assert.strictEqual(analysis.norms.workflow_permissions, 'read');
+    assert.deepStrictEqual(analysis.norms.selected_actions.patterns_allowed, ['docker/*', 'example-org/*']);
+    assert.ok(deviations('docs-site').includes('workflow_permissions'));
+    assert.ok(deviations('legacy-mirror').includes('actions_enabled'));
+    assert.ok(!deviations('api-gateway').includes('selected_actions'));
+});
+
+test('leaves the fields of a failing collector null', async () => {
+    const analyzer = createAnalyzer([{ name: 'broken' }], { configFields: ['webhooks'] });
+    analyzer.octokit = { rest: { repos: { listWebhooks: async () => { throw Object.assign(new Error('Forbidden'), { status: 403 }); } } } };
+    await analyzer.fetchCollectedData();
+
+    assert.deepStrictEqual(analyzer.repos[0].collected, { webhooks: null, insecure_webhooks: null });
+    assert.strictEqual(analyzer.extractConfigValues({ name: 'not-collected' }).webhooks, null);
+});
+
+test('pages through list endpoints', async () => {
+    const pages = [];
+    const list = (count, wrap = items => items) => async params => {
+        pages.push(params.page);
+        const items = Array.from({ length: count }, (item, index) => index + 1)
+            .slice((params.page - 1) * params.per_page, params.page * params.per_page);
+        return { data: wrap(items) };
+    };
+    const analyzer = createAnalyzer([{ name: 'large' }], {
+        configFields: ['environments', 'webhooks', 'deploy_keys', 'outside_collaborators', 'admin_teams']
+    });
+    analyzer.octokit = {
+        rest: {
+            repos: {
+                getAllEnvironments: list(150, items => ({ environments: items.map(index => ({ name: `env-${index}`, protection_rules: [{}] })) })),
+                listWebhooks: list(200, items => items.map(index => ({ config: { url: `https://hook-${index}.example.com` } }))),
+                listDeployKeys: list(101, items => items.map(() => ({ read_only: false }))),
+                listCollaborators: list(120, items => items.map(index => ({ login: `user-${index}`, role_name: 'read' }))),
+                listTeams: list(100, items => items.map(index => ({ slug: `team-${index}`, permission: 'admin' })))
+            }
+        }
+    };
+    await analyzer.fetchCollectedData();
+    const collected = analyzer.repos[0].collected;
+
+    assert.strictEqual(collected.environments.length, 150);
+    assert.strictEqual(collected.webhooks.length, 200);
+    assert.strictEqual(collected.writable_deploy_keys, 101);
+    assert.strictEqual(collected.outside_collaborators.length, 120);
+    assert.strictEqual(collected.admin_teams.length, 100);
+    // A full last page takes one more request to find the end
+    assert.strictEqual(pages.length, 2 + 3 + 2 + 2 + 2 + 2);
+});
+
+test('registers custom collectors', async () => {
+    RepoConfigAnalyzer.registerCollector('test-codeowners', {
+        fields: ['test_has_codeowners'],
+        collect: async (analyzer, repo) => ({ test_has_codeowners: repo.name === 'api-gateway' })
+    });
+    assert.strictEqual(collectorForField('test_has_codeowners').name, 'test-codeowners');
+
+    const analyzer = await createFixtureAnalyzer('basic-org', { configFields: ['test_has_codeowners'] });
+    await analyzer.fetchCollectedData();
+    assert.strictEqual(configOf(analyzer, 'api-gateway').test_has_codeowners, true);
+    assert.strictEqual(configOf(analyzer, 'docs-site').test_has_codeowners, false);
+
+    assert.throws(() => RepoConfigAnalyzer.registerCollector('other', { fields: ['webhooks'], collect: async () => ({}) }), /already provided/);
+    assert.throws(() => RepoConfigAnalyzer.registerCollector('empty', { fields: [], collect: async () => ({}) }), /must list the fields/);
+});
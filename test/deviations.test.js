@@ -0,0 +1,144 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer } = require('./helpers');
+
+function deviationFor(field, repoValue, normValue, customConfig = {}) {
+    const analyzer = createAnalyzer([], { configFields: [field], ...customConfig });
+    const deviations = analyzer.findDeviations({ [field]: repoValue }, { [field]: normValue });
+    return deviations ? deviations[field] : undefined;
+}
+
+test('returns null when nothing deviates', () => {
+    const analyzer = createAnalyzer();
+    assert.strictEqual(analyzer.findDeviations({ has_wiki: false }, { has_wiki: false }), null);
+});
+
+test('skips ignored fields', () => {
+    assert.strictEqual(deviationFor('name', 'a', 'b'), undefined);
+});
+
+test('compares values of the same type directly', () => {
+    assert.deepStrictEqual(deviationFor('has_wiki', true, false), { repo: true, norm: false });
+    assert.strictEqual(deviationFor('has_wiki', true, true), undefined);
+    assert.deepStrictEqual(deviationFor('size', 2, 1), { repo: 2, norm: 1 });
+    assert.strictEqual(deviationFor('size', 1, 1), undefined);
+    assert.deepStrictEqual(deviationFor('default_branch', 'master', 'main'), { repo: 'master', norm: 'main' });
+});
+
+test('treats null and undefined as equivalent', () => {
+    assert.strictEqual(deviationFor('homepage', undefined, null), undefined);
+    assert.strictEqual(deviationFor('homepage', null, undefined), undefined);
+});
+
+test('flags a missing value when the norm has one', () => {
+    assert.deepStrictEqual(deviationFor('homepage', null, 'https://example.com'), { repo: null, norm: 'https://example.com' });
+    assert.deepStrictEqual(deviationFor('homepage', 'https://example.com', null), { repo: 'https://example.com', norm: null });
+});
+
+test('coerces boolean strings when types differ', () => {
+    assert.strictEqual(deviationFor('has_wiki', 'true', true), undefined);
+    assert.strictEqual(deviationFor('has_wiki', false, 'false'), undefined);
+    assert.deepStrictEqual(deviationFor('has_wiki', 'true', false), { repo: 'true', norm: false });
+});
+
+test('does not coerce numeric strings', () => {
+    assert.deepStrictEqual(deviationFor('size', '1', 1), { repo: '1', norm: 1 });
+});
+
+test('does not flag a numeric-looking string that matches the norm', () => {
+    const analyzer = createAnalyzer([{ default_branch: '2024' }, { default_branch: '2024' }], { configFields: ['default_branch'] });
+    const norms = analyzer.calculateNorms();
+    assert.strictEqual(analyzer.findDeviations({ default_branch: '2024' }, norms), null);
+});
+
+test('flags topics only when the missing threshold is reached', () => {
+    const norm = [{ topic: 'service', count: 3 }, { topic: 'api', count: 2 }];
+
+    assert.strictEqual(deviationFor('topics', ['service', 'api'], norm), undefined);
+    assert.deepStrictEqual(deviationFor('topics', ['service'], norm), {
+        repo: ['service'],
+        norm: norm,
+        missing: [{ topic: 'api', count: 2 }],
+        extra: []
+    });
+    assert.strictEqual(deviationFor('topics', ['service'], norm, {
+        deviationSettings: { topicMissingThreshold: 2, topicExtraThreshold: 2, ignoreFields: [] }
+    }), undefined);
+});
+
+test('flags topics only when the extra threshold is reached', () => {
+    const norm = [{ topic: 'service', count: 3 }];
+
+    assert.strictEqual(deviationFor('topics', ['service', 'one'], norm), undefined);
+    assert.deepStrictEqual(deviationFor('topics', ['service', 'one', 'two'], norm).extra, ['one', 'two']);
+});
+
+test('flags topics that are not an array when the norm is', () => {
+    const norm = [{ topic: 'service', count: 3 }];
+    assert.deepStrictEqual(deviationFor('topics', null, norm), { repo: null, norm: norm });
+});
+
+test('compares security_and_analysis as a whole object', () => {
+    const norm = { advanced_security: 'enabled', secret_scanning: 'enabled', secret_scanning_push_protection: 'enabled' };
+
+    assert.strictEqual(deviationFor('security_and_analysis', { ...norm }, norm), undefined);
+    assert.ok(deviationFor('security_and_analysis', { ...norm, secret_scanning: 'disabled' }, norm));
+    assert.ok(deviationFor('security_and_analysis', null, norm));
+});
+
+test('compares branch_protection setting by setting', () => {
+    const norm = { enabled: true, allow_force_pushes: false, required_status_checks: { strict: true, contexts: ['build', 'test'] } };
+
+    assert.strictEqual(deviationFor('branch_protection', {
+        required_status_checks: { contexts: ['test', 'build'], strict: true },
+        allow_force_pushes: false,
+        enabled: true
+    }, norm), undefined);
+    assert.deepStrictEqual(deviationFor('branch_protection', { ...norm, required_status_checks: { strict: false, contexts: ['build'] } }, norm).paths, [
+        { path: 'branch_protection.required_status_checks.strict', repo: false, norm: true },
+        { path: 'branch_protection.required_status_checks.contexts', repo: ['build'], norm: ['build', 'test'] }
+    ]);
+});
+
+test('reports only the enabled state when branch protection is disabled', () => {
+    const norm = { enabled: true, allow_force_pushes: false };
+
+    assert.deepStrictEqual(deviationFor('branch_protection', { enabled: false }, norm), {
+        repo: { enabled: false },
+        norm: norm,
+        paths: [{ path: 'branch_protection.enabled', repo: false, norm: true }]
+    });
+});
+
+test('checks declared fields against the policy in policy mode', () => {
+    const analyzer = createAnalyzer([], {
+        configFields: ['has_wiki', 'allow_merge_commit', 'branch_protection'],
+        policySettings: { mode: 'policy' },
+        policy: {
+            allow_merge_commit: false,
+            branch_protection: { enabled: true, required_pull_request_reviews: { required_approving_review_count: { min: 1 } } }
+        }
+    });
+
+    const deviations = analyzer.findDeviations(
+        { has_wiki: true, allow_merge_commit: true, branch_protection: { enabled: true, required_pull_request_reviews: { required_approving_review_count: 0 } } },
+        { has_wiki: false, allow_merge_commit: true, branch_protection: null }
+    );
+
+    assert.deepStrictEqual(Object.keys(deviations), ['allow_merge_commit', 'branch_protection']);
+    assert.strictEqual(deviations.allow_merge_commit.source, 'policy');
+    assert.deepStrictEqual(deviations.branch_protection.violations.map(v => v.path), [
+        'branch_protection.required_pull_request_reviews.required_approving_review_count'
+    ]);
+});
+
+test('falls back to the norm for undeclared fields in both mode', () => {
+    const analyzer = createAnalyzer([], {
+        configFields: ['has_wiki', 'allow_merge_commit'],
+        policySettings: { mode: 'both' },
+        policy: { allow_merge_commit: false }
+    });
+
+    const deviations = analyzer.findDeviations({ has_wiki: true, allow_merge_commit: false }, { has_wiki: false, allow_merge_commit: true });
+    assert.deepStrictEqual(deviations, { has_wiki: { repo: true, norm: false } });
+});
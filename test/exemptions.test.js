@@ -0,0 +1,133 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('./harness');
+const { createAnalyzer, createFixtureAnalyzer } = require('./helpers');
+const { validateExemptions, loadExemptions, applyExemptions } = require('../lib/exemptions');
+const { loadPolicy } = require('../lib/policy');
+const { getFormat } = require('../lib/formats');
+
+const repos = [
+    { name: 'a', has_wiki: false, allow_merge_commit: false },
+    { name: 'b', has_wiki: false, allow_merge_commit: false },
+    { name: 'docs', has_wiki: true, allow_merge_commit: true }
+];
+
+function exemption(overrides) {
+    return { repo: 'docs', field: 'has_wiki', reason: 'Public wiki', owner: 'docs-team', expires: '2999-12-31', ...overrides };
+}
+
+function analyse(exemptions) {
+    return createAnalyzer(repos, { configFields: ['name', 'has_wiki', 'allow_merge_commit'], exemptions }).analyze();
+}
+
+function repoNamed(analysis, name) {
+    return analysis.repos.find(repo => repo.name === name);
+}
+
+test('rejects exemptions without a justification or a valid expiry', () => {
+    assert.throws(() => validateExemptions({}), /must be an array/);
+    assert.throws(() => validateExemptions([exemption({ reason: '' })]), /Exemption 1 is missing reason/);
+    assert.throws(() => validateExemptions([exemption({ path: 'has_wiki' })]), /either a field or a path/);
+    assert.throws(() => validateExemptions([exemption({ expires: '31/12/2026' })]), /invalid expiry date "31\/12\/2026"/);
+    assert.throws(() => createAnalyzer([], { exemptions: [exemption({ owner: undefined })] }), /missing owner/);
+});
+
+test('loads exemptions and the policy from files of their own', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-config-files-'));
+    try {
+        const exemptions = [{ repo: 'docs', field: 'has_wiki', reason: 'Public wiki', owner: 'docs-team', expires: '2099-12-31' }];
+        fs.writeFileSync(path.join(directory, 'exemptions.json'), JSON.stringify(exemptions));
+        fs.writeFileSync(path.join(directory, 'policy.js'), 'module.exports = { has_wiki: false };');
+
+        assert.deepStrictEqual(loadExemptions({ exemptions: [], exemptionSettings: { exemptionsFile: path.join(directory, 'exemptions.json') } }), exemptions);
+        assert.deepStrictEqual(loadPolicy({ policySettings: { policyFile: path.join(directory, 'policy.js') } }).policy, { has_wiki: false });
+        assert.throws(() => loadExemptions({ exemptionSettings: { exemptionsFile: path.join(directory, 'missing.json') } }),
+            /^Error: Unable to load exemptions file .*missing\.json: Cannot find module/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('reports exempted deviations as accepted risks', () => {
+    const docs = repoNamed(analyse([exemption()]), 'docs');
+
+    assert.deepStrictEqual(Object.keys(docs.deviations), ['allow_merge_commit']);
+    assert.deepStrictEqual(docs.acceptedRisks.has_wiki.exemptions, [exemption()]);
+    assert.strictEqual(docs.acceptedRisks.has_wiki.severity, 'low');
+    assert.strictEqual(docs.riskScore, 1);
+});
+
+test('resurfaces deviations whose exemption has expired', () => {
+    const expired = exemption({ expires: '2000-01-01' });
+    const docs = repoNamed(analyse([expired]), 'docs');
+
+    assert.strictEqual(docs.acceptedRisks, null);
+    assert.deepStrictEqual(docs.deviations.has_wiki.expiredExemptions, [expired]);
+    assert.strictEqual(docs.riskScore, 2);
+
+    const today = applyExemptions('docs', { has_wiki: { repo: true, norm: false } }, [exemption({ expires: '2026-10-19' })], '2026-10-19');
+    assert.strictEqual(today.deviations, null);
+});
+
+test('exempts nested deviations only when every differing path is covered', () => {
+    const deviations = {
+        branch_protection: {
+            repo: { enabled: true },
+            norm: { enabled: true },
+            paths: [
+                { path: 'branch_protection.allow_force_pushes', repo: true, norm: false },
+                { path: 'branch_protection.required_pull_request_reviews.required_approving_review_count', repo: 0, norm: 1 }
+            ]
+        }
+    };
+    const forcePushes = exemption({ field: undefined, path: 'branch_protection.allow_force_pushes' });
+    const reviews = exemption({ field: undefined, path: 'branch_protection.required_pull_request_reviews' });
+
+    assert.strictEqual(applyExemptions('docs', deviations, [forcePushes], '2026-10-19').acceptedRisks, null);
+
+    const covered = applyExemptions('docs', deviations, [forcePushes, reviews], '2026-10-19');
+    assert.strictEqual(covered.deviations, null);
+    assert.deepStrictEqual(covered.acceptedRisks.branch_protection.exemptions, [forcePushes, reviews]);
+});
+
+test('applies exemptions to policy deviations by violated path', () => {
+    const analysis = createAnalyzer(repos, {
+        configFields: ['has_wiki'],
+        policySettings: { mode: 'policy' },
+        policy: { has_wiki: false },
+        exemptions: [exemption({ field: undefined, path: 'has_wiki' })]
+    }).analyze();
+
+    assert.strictEqual(repoNamed(analysis, 'docs').deviations, null);
+    assert.strictEqual(repoNamed(analysis, 'docs').acceptedRisks.has_wiki.source, 'policy');
+});
+
+test('shows accepted risks in the reports', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        exemptions: [
+            exemption({ repo: 'legacy-mirror', field: 'branch_protection', reason: 'Read-only mirror', owner: 'platform-team' }),
+            exemption({ repo: 'legacy-mirror', field: 'default_branch', expires: '2000-01-01' })
+        ]
+    });
+    const analysis = analyzer.analyze();
+    const legacy = repoNamed(analysis, 'legacy-mirror');
+    assert.ok(legacy.acceptedRisks.branch_protection);
+    assert.ok(legacy.deviations.default_branch.expiredExemptions);
+
+    const html = analyzer.generateHTMLReport(analysis);
+    assert.ok(html.includes('<h2>Accepted Risks</h2>'));
+    assert.ok(html.includes('<td>Read-only mirror</td>'));
+    assert.ok(html.includes('Exemption expired on 2000-01-01 (Public wiki; owner: docs-team)'));
+    assert.ok(analyzer.generateDeviationsOnlyReport(analysis).includes('<td>platform-team</td>'));
+
+    const document = JSON.parse(getFormat('json').render(analyzer, analysis));
+    assert.strictEqual(document.metadata.acceptedRisks, 1);
+    assert.ok(document.repositories.find(repo => repo.name === 'legacy-mirror').acceptedRisks.branch_protection);
+
+    const sarif = JSON.parse(getFormat('sarif').render(analyzer, analysis));
+    const suppressed = sarif.runs[0].results.filter(result => result.suppressions);
+    assert.deepStrictEqual(suppressed.map(result => result.partialFingerprints.repositoryField), ['example-org/legacy-mirror:branch_protection']);
+    assert.strictEqual(suppressed[0].suppressions[0].status, 'accepted');
+});
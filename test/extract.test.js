@@ -0,0 +1,37 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer } = require('./helpers');
+
+function extract(field, repo) {
+    return createAnalyzer([], { configFields: [field] }).extractConfigValues(repo)[field];
+}
+
+test('copies simple fields from the repository payload', () => {
+    assert.strictEqual(extract('has_wiki', { has_wiki: true }), true);
+    assert.deepStrictEqual(extract('topics', { topics: ['a', 'b'] }), ['a', 'b']);
+    assert.strictEqual(extract('homepage', {}), undefined);
+});
+
+test('reduces security_and_analysis to the status of each setting', () => {
+    assert.deepStrictEqual(extract('security_and_analysis', {
+        security_and_analysis: {
+            advanced_security: { status: 'enabled' },
+            secret_scanning: { status: 'disabled' }
+        }
+    }), {
+        advanced_security: 'enabled',
+        secret_scanning: 'disabled',
+        secret_scanning_push_protection: undefined
+    });
+    assert.strictEqual(extract('security_and_analysis', { security_and_analysis: null }), null);
+});
+
+test('uses the license name', () => {
+    assert.strictEqual(extract('license', { license: { key: 'mit', name: 'MIT License' } }), 'MIT License');
+    assert.strictEqual(extract('license', { license: null }), null);
+});
+
+test('uses the fetched branch protection', () => {
+    assert.deepStrictEqual(extract('branch_protection', { branchProtection: { enabled: false } }), { enabled: false });
+    assert.deepStrictEqual(extract('branch_protection', {}), { enabled: null, error: 'Not fetched' });
+});
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer, createFixtureAnalyzer, TEST_CONFIG } = require('./helpers');
+const RepoConfigAnalyzer = require('../index');
+
+function githubSettings(settings) {
+    return { githubSettings: { ...TEST_CONFIG.githubSettings, ...settings } };
+}
+
+async function fetchNames(customConfig) {
+    const analyzer = await createFixtureAnalyzer('basic-org', customConfig);
+    return analyzer.repos.map(repo => repo.name);
+}
+
+test('includes every visibility by default', async () => {
+    assert.deepStrictEqual(await fetchNames(), ['api-gateway', 'billing-service', 'docs-site', 'intranet-portal', 'legacy-mirror']);
+});
+
+test('filters repositories by visibility', async () => {
+    assert.deepStrictEqual(await fetchNames(githubSettings({ includePrivate: false, includeInternal: false })), ['docs-site']);
+    assert.deepStrictEqual(await fetchNames(githubSettings({ includePublic: false, includePrivate: false })), ['intranet-portal']);
+    assert.deepStrictEqual(await fetchNames(githubSettings({ includeInternal: false })), ['api-gateway', 'billing-service', 'docs-site', 'legacy-mirror']);
+});
+
+test('falls back to the private flag when visibility is missing', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org');
+    assert.strictEqual(analyzer.repoVisibility({ private: true }), 'private');
+    assert.strictEqual(analyzer.repoVisibility({ private: false }), 'public');
+});
+
+test('includes archived repositories when configured', async () => {
+    const names = await fetchNames({ reportSettings: { ...TEST_CONFIG.reportSettings, includeArchived: true } });
+    assert.ok(names.includes('old-prototype'));
+});
+
+test('applies attribute filters while fetching', async () => {
+    assert.deepStrictEqual(await fetchNames({ repoFilters: { excludeLanguages: ['java'], exclude: ['/^api-/'] } }), ['billing-service', 'docs-site', 'intranet-portal']);
+});
+
+test('describes the filters in effect', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        ...githubSettings({ includeInternal: false }),
+        repoFilters: { include: ['api-*'], exclude: [] }
+    });
+
+    assert.deepStrictEqual(analyzer.describeFilters(), [
+        'Archived repositories excluded',
+        'Visibility: public, private',
+        'Name matches: api-*'
+    ]);
+});
+
+test('fails instead of returning a partial list when a page cannot be fetched', async () => {
+    const analyzer = createAnalyzer([], githubSettings({ reposPerPage: 2, maxRetries: 0 }));
+    const listForOrg = analyzer.octokit.rest.repos.listForOrg;
+    analyzer.octokit.rest.repos.listForOrg = async params => {
+        if (params.page === 2) {
+            throw Object.assign(new Error('Server Error'), { status: 500 });
+        }
+        return listForOrg(params);
+    };
+
+    await assert.rejects(() => analyzer.fetchData(), /Error fetching repositories \(page 2\): Server Error/);
+});
+
+test('times out API requests, retries them and then fails', async () => {
+    const requests = [];
+    // A server that never answers; only the abort signal ends a request
+    const hangingFetch = (url, init) => new Promise((resolve, reject) => {
+        requests.push(url);
+        init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    });
+    const analyzer = new RepoConfigAnalyzer('token', 'example-org', {
+        ...TEST_CONFIG,
+        ...githubSettings({ timeout: 20, maxRetries: 1, retryDelay: 1 })
+    }, { fetch: hangingFetch });
+
+    // Fails the test if the request is never aborted; timeout signals do not keep the process alive on their own
+    let deadline;
+    const notAborted = new Promise((resolve, reject) => {
+        deadline = setTimeout(() => reject(new Error('The request was not aborted')), 5000);
+    });
+    try {
+        const request = analyzer.scheduler.request(() => analyzer.octokit.rest.repos.get({ owner: 'example-org', repo: 'api-gateway' }));
+        await assert.rejects(
+            () => Promise.race([request, notAborted]),
+            error => error.status === 500 && error.cause && error.cause.name === 'TimeoutError'
+        );
+    } finally {
+        clearTimeout(deadline);
+    }
+    assert.deepStrictEqual(requests, Array(2).fill('https://api.github.com/repos/example-org/api-gateway'));
+});
+
+test('keeps the abort signal passed by the caller alongside the timeout', async () => {
+    // Like fetch, rejects straight away when the signal was aborted before the request started
+    const hangingFetch = (url, init) => new Promise((resolve, reject) => {
+        if (init.signal.aborted) {
+            reject(init.signal.reason);
+        }
+        init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    });
+    const octokitWithTimeout = timeout => new RepoConfigAnalyzer('token', 'example-org', {
+        ...TEST_CONFIG,
+        ...githubSettings({ timeout })
+    }, { fetch: hangingFetch }).octokit;
+    const get = (octokit, signal) => octokit.rest.repos.get({ owner: 'example-org', repo: 'api-gateway', request: { signal } });
+
+    let deadline;
+    const notAborted = new Promise((resolve, reject) => {
+        deadline = setTimeout(() => reject(new Error('The request was not aborted')), 5000);
+    });
+    try {
+        const controller = new AbortController();
+        const cancelled = get(octokitWithTimeout(60000), controller.signal);
+        controller.abort();
+        await assert.rejects(() => Promise.race([cancelled, notAborted]), { name: 'AbortError' });
+
+        const timedOut = get(octokitWithTimeout(20), new AbortController().signal);
+        await assert.rejects(() => Promise.race([timedOut, notAborted]), error => error.cause && error.cause.name === 'TimeoutError');
+    } finally {
+        clearTimeout(deadline);
+    }
+});
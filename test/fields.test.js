@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer } = require('./helpers');
+const RepoConfigAnalyzer = require('../index');
+const { fieldDefinition } = require('../lib/fields');
+
+// Major version of the repository's engines.node requirement, compared numerically
+RepoConfigAnalyzer.registerField('test_node_major', {
+    extract: repo => repo.engines ? Number(repo.engines.replace(/[^\d.]/g, '').split('.')[0]) : null,
+    normalise: value => value === null ? undefined : value,
+    norm: values => values.length > 0 ? Math.max(...values) : null,
+    compare: (value, norm) => value !== null && norm !== null && value < norm ? { behind: norm - value } : null,
+    render: (value, kind) => value === null ? 'unknown' : `Node ${value}`
+});
+
+const repos = [
+    { name: 'a', engines: '>=20' },
+    { name: 'b', engines: '^18.2.0' },
+    { name: 'c', engines: '>=20.1' },
+    { name: 'd' }
+];
+
+test('analyses registered fields with their own hooks', () => {
+    const analyzer = createAnalyzer(repos, { configFields: ['name', 'test_node_major'] });
+    const analysis = analyzer.analyze();
+
+    assert.strictEqual(analysis.norms.test_node_major, 20);
+    assert.strictEqual(analysis.fieldStats.test_node_major.total, 3);
+    assert.deepStrictEqual(analysis.repos.find(repo => repo.name === 'b').deviations.test_node_major,
+        { repo: 18, norm: 20, behind: 2, severity: 'low' });
+    assert.strictEqual(analysis.repos.find(repo => repo.name === 'd').deviations, null);
+
+    const html = analyzer.generateHTMLReport(analysis);
+    assert.ok(html.includes('<div class="config-value">Node 18</div>'));
+    assert.ok(html.includes('<div class="config-value">unknown</div>'));
+});
+
+test('falls back to the default hooks for unregistered fields', () => {
+    const analysis = createAnalyzer(repos.map(repo => ({ ...repo, has_wiki: repo.name !== 'b' })), { configFields: ['has_wiki'] }).analyze();
+
+    assert.strictEqual(analysis.norms.has_wiki, true);
+    assert.deepStrictEqual(Object.keys(analysis.repos.find(repo => repo.name === 'b').deviations), ['has_wiki']);
+    assert.strictEqual(fieldDefinition('has_wiki', createAnalyzer()).render(null, 'value'), 'null');
+});
+
+test('matches families of fields, with field definitions taking precedence', () => {
+    RepoConfigAnalyzer.registerField('test_label:<name>', {
+        matches: field => field.startsWith('test_label:'),
+        extract: (repo, context) => (repo.labels || []).includes(context.field.slice('test_label:'.length))
+    });
+    RepoConfigAnalyzer.registerField('test_label:wontfix', { extract: () => 'overridden' });
+
+    const analyzer = createAnalyzer([], { configFields: ['test_label:bug', 'test_label:wontfix'] });
+    assert.deepStrictEqual(analyzer.extractConfigValues({ labels: ['bug'] }), { 'test_label:bug': true, 'test_label:wontfix': 'overridden' });
+});
+
+test('replaces an earlier definition of the same field', () => {
+    RepoConfigAnalyzer.registerField('test_replaced', { extract: () => 'first' });
+    RepoConfigAnalyzer.registerField('test_replaced', { extract: () => 'second' });
+
+    assert.strictEqual(createAnalyzer([], { configFields: ['test_replaced'] }).extractConfigValues({}).test_replaced, 'second');
+});
+
+test('rejects definitions that are not objects of hooks', () => {
+    assert.throws(() => RepoConfigAnalyzer.registerField('test_invalid', null), /must be defined by an object of hooks/);
+    assert.throws(() => RepoConfigAnalyzer.registerField('test_invalid', { matches: 'test_*' }), /matches must be a function/);
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createFixtureAnalyzer, createAnalyzer } = require('./helpers');
+const { validateFileChecks, withFileCheckFields, fileContent } = require('../lib/files');
+
+const fileChecks = {
+    has_codeowners: { paths: ['.github/CODEOWNERS', 'CODEOWNERS'] },
+    has_license_file: { paths: ['LICENSE', 'LICENSE.md'] },
+    has_dependabot_config: { paths: ['.github/dependabot.yml'], pattern: 'package-ecosystem:' }
+};
+
+async function checkedAnalyzer() {
+    const analyzer = await createFixtureAnalyzer('basic-org', { configFields: ['name', 'has_license_file'], fileChecks });
+    await analyzer.fetchAllFileChecks();
+    return analyzer;
+}
+
+function filesOf(analyzer, name) {
+    return analyzer.repos.find(repo => repo.name === name).files;
+}
+
+test('adds file check fields to configFields', () => {
+    assert.deepStrictEqual(withFileCheckFields(['name', 'has_license_file'], fileChecks), ['name', 'has_license_file', 'has_codeowners', 'has_dependabot_config']);
+    assert.deepStrictEqual(createAnalyzer([], { configFields: ['name'], fileChecks }).configFields, ['name', 'has_codeowners', 'has_license_file', 'has_dependabot_config']);
+});
+
+test('rejects file checks without paths or with an invalid pattern', () => {
+    assert.throws(() => validateFileChecks({ has_readme: {} }), /fileChecks.has_readme must list the paths/);
+    assert.throws(() => validateFileChecks({ has_readme: { paths: ['README.md'], pattern: '(' } }), /Invalid fileChecks.has_readme.pattern/);
+});
+
+test('decodes file content and ignores directories', () => {
+    assert.strictEqual(fileContent({ type: 'file', encoding: 'base64', content: Buffer.from('hello').toString('base64') }), 'hello');
+    assert.strictEqual(fileContent([{ type: 'file', name: 'CODEOWNERS' }]), null);
+    assert.strictEqual(fileContent({ type: 'symlink', target: 'docs/CODEOWNERS' }), null);
+});
+
+test('checks the candidate paths in order', async () => {
+    const analyzer = await checkedAnalyzer();
+
+    assert.deepStrictEqual(filesOf(analyzer, 'api-gateway'), { has_codeowners: true, has_license_file: true, has_dependabot_config: true });
+    assert.deepStrictEqual(filesOf(analyzer, 'billing-service'), { has_codeowners: true, has_license_file: true, has_dependabot_config: false });
+    assert.deepStrictEqual(filesOf(analyzer, 'legacy-mirror'), { has_codeowners: false, has_license_file: false, has_dependabot_config: false });
+});
+
+test('analyses file checks against the norm', async () => {
+    const analysis = (await checkedAnalyzer()).analyze();
+    const deviations = name => Object.keys(analysis.repos.find(repo => repo.name === name).deviations || {});
+
+    assert.strictEqual(analysis.norms.has_codeowners, true);
+    assert.deepStrictEqual(deviations('api-gateway'), []);
+    assert.deepStrictEqual(deviations('billing-service'), ['has_dependabot_config']);
+    assert.deepStrictEqual(deviations('docs-site'), ['has_codeowners']);
+});
+
+test('leaves a file check null when the files cannot be read', async () => {
+    const analyzer = createAnalyzer([{ name: 'private-repo', default_branch: 'main' }], { configFields: ['name'], fileChecks });
+    analyzer.octokit = { rest: { repos: { getContent: async () => { throw Object.assign(new Error('Forbidden'), { status: 403 }); } } } };
+    await analyzer.fetchAllFileChecks();
+
+    assert.strictEqual(analyzer.extractConfigValues(analyzer.repos[0]).has_codeowners, null);
+});
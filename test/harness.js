@@ -0,0 +1,70 @@
+// Minimal test harness
+//
+// Test files register tests with test(name, fn); test.js loads every
+// *.test.js file in this directory and runs them in order. Console output
+// from the code under test is captured and only shown when a test fails.
+
+const fs = require('fs');
+const path = require('path');
+
+const tests = [];
+let currentFile = null;
+
+function test(name, fn) {
+    tests.push({ file: currentFile, name, fn });
+}
+
+function captureConsole() {
+    const output = [];
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    ['log', 'warn', 'error'].forEach(method => {
+        console[method] = (...args) => output.push(args.join(' '));
+    });
+    return {
+        output,
+        restore: () => Object.assign(console, original)
+    };
+}
+
+async function run(directory) {
+    fs.readdirSync(directory)
+        .filter(file => file.endsWith('.test.js'))
+        .sort()
+        .forEach(file => {
+            currentFile = file;
+            require(path.join(directory, file));
+        });
+
+    let failures = 0;
+    let lastFile = null;
+
+    for (const { file, name, fn } of tests) {
+        if (file !== lastFile) {
+            console.log(`\n${file}`);
+            lastFile = file;
+        }
+
+        const captured = captureConsole();
+        try {
+            await fn();
+            captured.restore();
+            console.log(`  ✓ ${name}`);
+        } catch (error) {
+            captured.restore();
+            failures++;
+            console.log(`  ✗ ${name}`);
+            console.log(`    ${error.stack.split('\n').join('\n    ')}`);
+            if (captured.output.length > 0) {
+                console.log(`    Output:\n      ${captured.output.join('\n      ')}`);
+            }
+        }
+    }
+
+    console.log(`\n${tests.length - failures} passed, ${failures} failed`);
+    return failures;
+}
+
+module.exports = {
+    test,
+    run
+};
@@ -0,0 +1,88 @@
+// Shared test helpers
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const RepoConfigAnalyzer = require('../index');
+const { createFixtureClient } = require('../lib/fixtures');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+// Fixed config so tests do not depend on local edits to config.js
+const TEST_CONFIG = {
+    configFields: [
+        'name',
+        'private',
+        'has_issues',
+        'has_wiki',
+        'allow_merge_commit',
+        'delete_branch_on_merge',
+        'default_branch',
+        'topics',
+        'license',
+        'security_and_analysis',
+        'branch_protection'
+    ],
+    deviationSettings: {
+        topicMissingThreshold: 1,
+        topicExtraThreshold: 2,
+        ignoreFields: ['name']
+    },
+    policySettings: { mode: 'norm', policyFile: null },
+    policy: {},
+    repoFilters: { include: [], exclude: [] },
+    reportSettings: {
+        maxTopicsInNorms: 10,
+        includeArchived: false,
+        generateBothReports: true,
+        formats: ['html'],
+        customCSS: ''
+    },
+    githubSettings: {
+        reposPerPage: 100
+    },
+    fileChecks: {}
+};
+
+function createAnalyzer(repos = [], customConfig = {}) {
+    const analyzer = new RepoConfigAnalyzer(null, 'example-org', { ...TEST_CONFIG, ...customConfig }, {
+        client: createFixtureClient(path.join(FIXTURES_DIR, 'basic-org'))
+    });
+    analyzer.repos = repos;
+    return analyzer;
+}
+
+async function createFixtureAnalyzer(fixture = 'basic-org', customConfig = {}) {
+    const analyzer = new RepoConfigAnalyzer(null, 'example-org', { ...TEST_CONFIG, ...customConfig }, {
+        client: createFixtureClient(path.join(FIXTURES_DIR, fixture))
+    });
+    await analyzer.fetchAllRepos();
+    await analyzer.fetchAllBranchProtections();
+    return analyzer;
+}
+
+// Compare output with a stored golden file. Run with UPDATE_GOLDEN=1 to rewrite the files.
+function assertGolden(name, actual) {
+    const normalised = actual.replace(/Report generated on [^<]*/g, 'Report generated on <timestamp>');
+    const file = path.join(GOLDEN_DIR, name);
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, normalised);
+        return;
+    }
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Golden file ${name} is missing. Run UPDATE_GOLDEN=1 npm test to create it`);
+    }
+    assert.strictEqual(normalised, fs.readFileSync(file, 'utf8'), `Output differs from golden file ${name}. Run UPDATE_GOLDEN=1 npm test if the change is intended`);
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    TEST_CONFIG,
+    createAnalyzer,
+    createFixtureAnalyzer,
+    assertGolden
+};
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer } = require('./helpers');
+const { html, raw, joinHTML, escapeHTML, safeURL, externalLink } = require('../lib/html');
+
+const PAYLOAD = '<img src=x onerror="alert(1)">';
+
+function hostileRepo(name, overrides = {}) {
+    return {
+        name,
+        full_name: `example-org/${name}`,
+        html_url: `https://github.com/example-org/${name}`,
+        description: 'A service',
+        homepage: null,
+        topics: ['service'],
+        has_wiki: false,
+        ...overrides
+    };
+}
+
+function hostileAnalyzer() {
+    return createAnalyzer([
+        hostileRepo('a'),
+        hostileRepo('b'),
+        hostileRepo(`evil${PAYLOAD}`, {
+            full_name: `example-org/</script><script>alert(1)</script>`,
+            html_url: 'javascript:alert(1)',
+            description: `</div>${PAYLOAD}`,
+            homepage: 'javascript:alert(document.cookie)',
+            topics: [`<b onmouseover='alert(1)'>`, 'a&b', 'x', 'y'],
+            has_wiki: true,
+            branchProtection: { enabled: null, error: PAYLOAD }
+        })
+    ], { configFields: ['name', 'description', 'homepage', 'topics', 'has_wiki', 'branch_protection'] });
+}
+
+test('escapes values placed in html templates', () => {
+    assert.strictEqual(escapeHTML(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    assert.strictEqual(html`<p>${PAYLOAD}</p>`.toString(), '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>');
+    assert.strictEqual(html`<ul>${['<a>', 'b'].map(item => html`<li>${item}</li>`)}</ul>`.toString(), '<ul><li>&lt;a&gt;</li><li>b</li></ul>');
+    assert.strictEqual(html`${0}|${false}|${null}|${undefined}`.toString(), '0|false||');
+    assert.strictEqual(html`<style>${raw('a > b {}')}</style>`.toString(), '<style>a > b {}</style>');
+    assert.strictEqual(joinHTML(['<a>', html`<b>x</b>`], html`<br>`).toString(), '&lt;a&gt;<br><b>x</b>');
+});
+
+test('only links to http and https URLs', () => {
+    assert.strictEqual(safeURL('https://github.com/example-org/a'), 'https://github.com/example-org/a');
+    assert.strictEqual(safeURL('http://docs.example.com'), 'http://docs.example.com');
+    ['javascript:alert(1)', ' JavaScript:alert(1)', 'data:text/html,<script>', '//evil.example.com', 'docs.example.com', null, 42]
+        .forEach(url => assert.strictEqual(safeURL(url), null, `${url} is not safe`));
+
+    assert.strictEqual(externalLink('https://example.com/?a="b"', 'x').toString(),
+        '<a href="https://example.com/?a=&quot;b&quot;" target="_blank" rel="noopener noreferrer">x</a>');
+    assert.strictEqual(externalLink('javascript:alert(1)', '<x>').toString(), '&lt;x&gt;');
+});
+
+test('renders hostile repository data inertly in both HTML reports', () => {
+    const analyzer = hostileAnalyzer();
+    const analysis = analyzer.analyze();
+
+    [analyzer.generateHTMLReport(analysis), analyzer.generateDeviationsOnlyReport(analysis)].forEach(report => {
+        assert.ok(!report.includes(PAYLOAD));
+        assert.ok(!report.includes('<img'));
+        assert.ok(!report.includes('<b onmouseover'));
+        assert.ok(!report.includes('</script><script>alert(1)'));
+        assert.ok(!/href="javascript:/i.test(report));
+        assert.ok(report.includes('example-org/&lt;/script&gt;&lt;script&gt;alert(1)&lt;/script&gt;'));
+    });
+
+    const full = analyzer.generateHTMLReport(analysis);
+    assert.ok(full.includes('&lt;/div&gt;&lt;img src=x onerror=&quot;alert(1)&quot;&gt;'));
+    assert.ok(full.includes('<span class="topic-tag">&lt;b onmouseover=&#39;alert(1)&#39;&gt;</span><span class="topic-tag">a&amp;b</span>'));
+    assert.ok(full.includes('Error: &lt;img src=x onerror=&quot;alert(1)&quot;&gt;'));
+    assert.ok(full.includes('<div class="config-value">javascript:alert(document.cookie)</div>'));
+});
+
+test('links homepages and repositories with safe URLs', () => {
+    const analyzer = createAnalyzer([hostileRepo('a', { homepage: 'https://docs.example.com' })], { configFields: ['name', 'homepage'] });
+    const report = analyzer.generateHTMLReport(analyzer.analyze());
+
+    assert.ok(report.includes('<a href="https://docs.example.com" target="_blank" rel="noopener noreferrer">https://docs.example.com</a>'));
+    assert.ok(report.includes('<a href="https://github.com/example-org/a" target="_blank" rel="noopener noreferrer">example-org/a</a>'));
+});
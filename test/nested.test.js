@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer } = require('./helpers');
+const { nestedEqual, diffNested, nestedNorm } = require('../lib/nested');
+
+test('ignores key order and array order when comparing nested settings', () => {
+    assert.strictEqual(nestedEqual({ a: 1, b: { c: ['x', 'y'] } }, { b: { c: ['y', 'x'] }, a: 1 }), true);
+    assert.strictEqual(nestedEqual({ a: 1 }, { a: 1, b: null }), true);
+    assert.strictEqual(nestedEqual({ a: ['x'] }, { a: ['x', 'y'] }), false);
+});
+
+test('lists the nested settings that differ with both values', () => {
+    assert.deepStrictEqual(diffNested(
+        { enabled: true, reviews: { count: 1, stale: true } },
+        { enabled: true, reviews: { count: 2, stale: true }, lock_branch: false },
+        'branch_protection'
+    ), [
+        { path: 'branch_protection.reviews.count', repo: 1, norm: 2 },
+        { path: 'branch_protection.lock_branch', repo: null, norm: false }
+    ]);
+    assert.deepStrictEqual(diffNested(null, { a: 1 }, 'security_and_analysis'), [
+        { path: 'security_and_analysis', repo: null, norm: { a: 1 } }
+    ]);
+});
+
+test('calculates nested norms one setting at a time', () => {
+    assert.deepStrictEqual(nestedNorm([
+        { reviews: { count: 1, stale: true }, checks: ['b', 'a'] },
+        { reviews: { count: 2, stale: true }, checks: ['a', 'b'] },
+        { reviews: { count: 2, stale: false }, checks: ['a'] }
+    ]), { reviews: { count: 2, stale: true }, checks: ['b', 'a'] });
+    assert.deepStrictEqual(nestedNorm([{ reviews: null }, { reviews: null }, { reviews: { count: 1 } }]), { reviews: null });
+    assert.strictEqual(nestedNorm([]), null);
+});
+
+test('calculates branch protection sub-setting norms among repositories matching the enabled norm', () => {
+    const analyzer = createAnalyzer([
+        { branchProtection: { enabled: true, enforce_admins: true, allow_force_pushes: false } },
+        { branchProtection: { enabled: true, enforce_admins: false, allow_force_pushes: false } },
+        { branchProtection: { enabled: true, enforce_admins: true, allow_force_pushes: true } },
+        { branchProtection: { enabled: false } },
+        { branchProtection: { enabled: false } }
+    ], { configFields: ['branch_protection'] });
+
+    assert.deepStrictEqual(analyzer.calculateNorms().branch_protection, { enabled: true, enforce_admins: true, allow_force_pushes: false });
+
+    const disabled = createAnalyzer([{ branchProtection: { enabled: false } }, { branchProtection: { enabled: false } }, { branchProtection: { enabled: true } }], { configFields: ['branch_protection'] });
+    assert.deepStrictEqual(disabled.calculateNorms().branch_protection, { enabled: false });
+});
+
+test('reports show only the branch protection paths that differ', () => {
+    const protection = count => ({
+        enabled: true,
+        allow_deletions: false,
+        required_pull_request_reviews: { required_approving_review_count: count }
+    });
+    const analyzer = createAnalyzer([
+        { name: 'a', full_name: 'example-org/a', branchProtection: protection(2) },
+        { name: 'b', full_name: 'example-org/b', branchProtection: protection(2) },
+        { name: 'c', full_name: 'example-org/c', branchProtection: protection(1) }
+    ], { configFields: ['branch_protection'] });
+    const analysis = analyzer.analyze();
+    const path = 'branch_protection.required_pull_request_reviews.required_approving_review_count';
+
+    assert.deepStrictEqual(analysis.repos[2].deviations.branch_protection.paths, [{ path, repo: 1, norm: 2 }]);
+    [analyzer.generateHTMLReport(analysis), analyzer.generateDeviationsOnlyReport(analysis)].forEach(html => {
+        assert.ok(html.includes(`<code>${path}</code>`));
+        assert.ok(!html.includes('<code>branch_protection.allow_deletions</code>'));
+    });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer } = require('./helpers');
+
+function normFor(field, values) {
+    const analyzer = createAnalyzer(values.map(value => ({ [field]: value })), { configFields: [field] });
+    return analyzer.calculateNorms()[field];
+}
+
+test('picks the most common simple value', () => {
+    assert.strictEqual(normFor('has_wiki', [true, false, false]), false);
+    assert.strictEqual(normFor('default_branch', ['main', 'master', 'main']), 'main');
+});
+
+test('resolves ties in favour of the value seen first', () => {
+    assert.strictEqual(normFor('has_wiki', [true, false]), true);
+    assert.strictEqual(normFor('has_wiki', [false, true]), false);
+    assert.strictEqual(normFor('default_branch', ['main', '2024']), 'main');
+});
+
+test('treats null and undefined as the same value', () => {
+    assert.strictEqual(normFor('homepage', [null, undefined, 'https://example.com']), null);
+});
+
+test('returns null when there are no repositories', () => {
+    assert.strictEqual(normFor('has_wiki', []), null);
+});
+
+test('keeps numeric-looking strings as strings', () => {
+    assert.strictEqual(normFor('default_branch', ['2024', '2024', 'main']), '2024');
+});
+
+test('keeps numbers and booleans as their original types', () => {
+    assert.strictEqual(normFor('size', [10, 10, 20]), 10);
+    assert.strictEqual(normFor('private', [true, true, false]), true);
+});
+
+test('ranks topics by usage and limits them to maxTopicsInNorms', () => {
+    const analyzer = createAnalyzer([
+        { topics: ['service', 'api'] },
+        { topics: ['service', 'docs'] },
+        { topics: ['service', 'api'] },
+        { topics: null }
+    ], {
+        configFields: ['topics'],
+        reportSettings: { maxTopicsInNorms: 2 }
+    });
+
+    assert.deepStrictEqual(analyzer.calculateNorms().topics, [
+        { topic: 'service', count: 3 },
+        { topic: 'api', count: 2 }
+    ]);
+});
+
+test('uses the license name', () => {
+    const analyzer = createAnalyzer([
+        { license: { name: 'MIT License' } },
+        { license: { name: 'MIT License' } },
+        { license: null }
+    ], { configFields: ['license'] });
+
+    assert.strictEqual(analyzer.calculateNorms().license, 'MIT License');
+});
+
+test('finds the most common security_and_analysis configuration and skips repos without one', () => {
+    const enabled = { advanced_security: { status: 'enabled' }, secret_scanning: { status: 'enabled' }, secret_scanning_push_protection: { status: 'disabled' } };
+    const analyzer = createAnalyzer([
+        { security_and_analysis: enabled },
+        { security_and_analysis: enabled },
+        { security_and_analysis: null },
+        { security_and_analysis: null },
+        { security_and_analysis: null }
+    ], { configFields: ['security_and_analysis'] });
+
+    assert.deepStrictEqual(analyzer.calculateNorms().security_and_analysis, {
+        advanced_security: 'enabled',
+        secret_scanning: 'enabled',
+        secret_scanning_push_protection: 'disabled'
+    });
+});
+
+test('ignores branch protection that could not be fetched', () => {
+    const analyzer = createAnalyzer([
+        { branchProtection: { enabled: null, error: 'No permission to view branch protection' } },
+        { branchProtection: { enabled: null, error: 'No permission to view branch protection' } },
+        { branchProtection: { enabled: true, allow_force_pushes: false } }
+    ], { configFields: ['branch_protection'] });
+
+    assert.deepStrictEqual(analyzer.calculateNorms().branch_protection, { enabled: true, allow_force_pushes: false });
+});
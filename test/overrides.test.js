@@ -0,0 +1,149 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createFixtureAnalyzer } = require('./helpers');
+const { parseYAML } = require('../lib/yaml');
+const { parseOverride, validateOverrideSettings } = require('../lib/overrides');
+const { getFormat } = require('../lib/formats');
+
+const overrideSettings = {
+    enabled: true,
+    paths: ['.github/repo-config.yml', '.github/repo-config.yaml'],
+    allow: ['cohort', 'expected', 'exemptions']
+};
+
+async function overrideAnalyzer(customConfig = {}) {
+    const analyzer = await createFixtureAnalyzer('basic-org', { overrideSettings, ...customConfig });
+    await analyzer.fetchAllOverrides();
+    return analyzer;
+}
+
+function parse(content, options = {}) {
+    return parseOverride({ path: '.github/repo-config.yml', content }, 'docs-site', { configFields: ['has_wiki', 'has_pages'], ...options });
+}
+
+test('reads the YAML used by override files', () => {
+    assert.deepStrictEqual(parseYAML([
+        '# Profile',
+        'cohort: library',
+        'expected:',
+        '  has_pages: true',
+        '  default_branch: { oneOf: [main, "gh-pages"] }',
+        'exemptions:',
+        '- field: has_wiki   # inline comment',
+        '  reason: \'Public wiki: it\'\'s intended\'',
+        '  expires: 2026-12-31',
+        'size: 12'
+    ].join('\n')), {
+        cohort: 'library',
+        expected: { has_pages: true, default_branch: { oneOf: ['main', 'gh-pages'] } },
+        exemptions: [{ field: 'has_wiki', reason: 'Public wiki: it\'s intended', expires: '2026-12-31' }],
+        size: 12
+    });
+    assert.strictEqual(parseYAML('# nothing declared\n'), null);
+});
+
+test('reports YAML it cannot read with the line number', () => {
+    assert.throws(() => parseYAML('cohort: library\n  expected: true'), /Line 2: unexpected indentation/);
+    assert.throws(() => parseYAML('cohort: a\ncohort: b'), /Line 2: duplicate key "cohort"/);
+    assert.throws(() => parseYAML('cohort: *library'), /Line 1: unsupported YAML syntax/);
+    assert.throws(() => parseYAML('expected:\n\thas_wiki: true'), /tabs are not allowed/);
+});
+
+test('validates the declarations of an override file', () => {
+    assert.deepStrictEqual(parse('cohort: 2024\nexpected:\n  has_pages: true'), {
+        status: 'found',
+        path: '.github/repo-config.yml',
+        cohort: '2024',
+        expected: { has_pages: true },
+        exemptions: []
+    });
+    assert.deepStrictEqual(parse('').status, 'found');
+    assert.deepStrictEqual(parse('expected:\n  has_projects: false\nowner: docs').errors, [
+        'Unknown key "owner"',
+        'expected field "has_projects" is not analysed'
+    ]);
+    assert.deepStrictEqual(parse('cohort: docs', { allow: ['expected'] }).errors, ['"cohort" may not be declared by repositories']);
+    assert.deepStrictEqual(parse('exemptions:\n  - repo: api-gateway\n    field: has_wiki\n    reason: x\n    owner: y\n    expires: 2026-01-01').errors,
+        ['exemptions may only apply to docs-site, not api-gateway']);
+    assert.match(parse('cohort: [a').errors[0], /^Unable to parse: Line 1/);
+    assert.deepStrictEqual(parse('expected:\n  has_wiki: { oneOf: yes }\n  has_pages: { max: many }'), {
+        status: 'invalid',
+        path: '.github/repo-config.yml',
+        errors: ['expected has_wiki: oneOf must be a list', 'expected has_pages: max must be a number']
+    });
+    assert.throws(() => validateOverrideSettings({ enabled: true, paths: [] }), /overrideSettings.paths/);
+    assert.throws(() => validateOverrideSettings({ enabled: true, paths: ['x.yml'], allow: ['policy'] }), /Invalid overrideSettings.allow: policy/);
+});
+
+test('ignores declarations inherited through prototype keys', () => {
+    assert.match(parse('__proto__:\n  cohort: admin', { allow: [] }).errors[0], /Line 1: key "__proto__" is not allowed/);
+    assert.match(parse('expected: { __proto__: { private: false } }').errors[0], /Line 1: key "__proto__" is not allowed/);
+    assert.match(parse('expected:\n  constructor: true').errors[0], /Line 2: key "constructor" is not allowed/);
+
+    const json = content => parseOverride({ path: '.github/repo-config.json', content }, 'docs-site', { configFields: ['has_wiki'], allow: [] });
+    assert.deepStrictEqual(json('{ "__proto__": { "cohort": "admin", "exemptions": [] } }').errors, ['Unknown key "__proto__"']);
+    assert.deepStrictEqual(parseOverride({ path: '.github/repo-config.json', content: '{ "expected": { "__proto__": { "private": false } } }' },
+        'docs-site', { configFields: ['has_wiki'] }).errors, ['expected field "__proto__" is not analysed']);
+});
+
+test('reads override files from each repository', async () => {
+    const analyzer = await overrideAnalyzer();
+    const override = name => analyzer.repos.find(repo => repo.name === name).override;
+
+    assert.strictEqual(override('docs-site').status, 'found');
+    assert.strictEqual(override('docs-site').cohort, 'docs');
+    assert.strictEqual(override('api-gateway').status, 'missing');
+    assert.strictEqual(override('legacy-mirror').status, 'invalid');
+    assert.strictEqual(override('legacy-mirror').path, '.github/repo-config.yaml');
+    assert.deepStrictEqual(override('legacy-mirror').errors, ['Unknown key "owners"', 'Exemption 1 is missing owner']);
+});
+
+test('checks repositories against their declared requirements and exemptions', async () => {
+    const analysis = (await overrideAnalyzer()).analyze();
+    const docs = analysis.repos.find(repo => repo.name === 'docs-site');
+
+    assert.ok(!docs.deviations.has_wiki);
+    assert.ok(!docs.deviations.allow_merge_commit);
+    assert.strictEqual(docs.acceptedRisks.allow_merge_commit.exemptions[0].owner, 'docs-team');
+
+    // An invalid override file is ignored as a whole
+    const legacy = analysis.repos.find(repo => repo.name === 'legacy-mirror');
+    assert.ok(legacy.deviations.branch_protection);
+    assert.strictEqual(legacy.acceptedRisks, null);
+});
+
+test('reports deviations from declared requirements', async () => {
+    const analyzer = await overrideAnalyzer();
+    analyzer.repos.find(repo => repo.name === 'docs-site').override.expected = { has_wiki: false };
+    const deviation = analyzer.analyze().repos.find(repo => repo.name === 'docs-site').deviations.has_wiki;
+
+    assert.strictEqual(deviation.source, 'override');
+    assert.deepStrictEqual(deviation.violations.map(v => v.message), ['has_wiki is true, expected equal to false']);
+});
+
+test('lets a central policy requirement take precedence over declared requirements', async () => {
+    const analysis = (await overrideAnalyzer({ policySettings: { mode: 'both' }, policy: { has_wiki: false } })).analyze();
+    assert.strictEqual(analysis.repos.find(repo => repo.name === 'docs-site').deviations.has_wiki.source, 'policy');
+});
+
+test('uses declared cohorts when cohorts are enabled', async () => {
+    const analysis = (await overrideAnalyzer({ cohortSettings: { groupBy: 'prefix', values: ['api-', 'billing-'], minSize: 1 } })).analyze();
+
+    assert.strictEqual(analysis.repos.find(repo => repo.name === 'docs-site').cohort, 'docs');
+    assert.strictEqual(analysis.repos.find(repo => repo.name === 'legacy-mirror').cohort, 'other');
+});
+
+test('reports missing and invalid override files', async () => {
+    const analyzer = await overrideAnalyzer();
+    const analysis = analyzer.analyze();
+
+    const html = analyzer.generateHTMLReport(analysis);
+    assert.ok(html.includes('<h2>Override Files</h2>'));
+    assert.ok(html.includes('<strong>1</strong> of 5 repositories declare their configuration in an override file: docs-site.'));
+    assert.ok(html.includes('<td>Unknown key &quot;owners&quot;<br>Exemption 1 is missing owner</td>'));
+    assert.ok(analyzer.generateDeviationsOnlyReport(analysis).includes('No override file: api-gateway, billing-service, intranet-portal.'));
+
+    const metadata = JSON.parse(getFormat('json').render(analyzer, analysis)).metadata;
+    assert.deepStrictEqual(metadata.overrides.missing, ['api-gateway', 'billing-service', 'intranet-portal']);
+    assert.deepStrictEqual(metadata.overrides.invalid.map(entry => entry.repository), ['legacy-mirror']);
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { evaluateRule, loadPolicy } = require('../lib/policy');
+
+test('exact values match with boolean string coercion', () => {
+    assert.deepStrictEqual(evaluateRule(false, false, 'has_wiki'), []);
+    assert.deepStrictEqual(evaluateRule('false', false, 'has_wiki'), []);
+    assert.strictEqual(evaluateRule(true, false, 'has_wiki').length, 1);
+});
+
+test('oneOf, min/max, includes and excludes operators', () => {
+    assert.deepStrictEqual(evaluateRule('main', { oneOf: ['main', 'master'] }, 'default_branch'), []);
+    assert.strictEqual(evaluateRule('develop', { oneOf: ['main', 'master'] }, 'default_branch').length, 1);
+
+    assert.deepStrictEqual(evaluateRule(2, { min: 1, max: 3 }, 'count'), []);
+    assert.strictEqual(evaluateRule(0, { min: 1 }, 'count').length, 1);
+    assert.strictEqual(evaluateRule(4, { max: 3 }, 'count').length, 1);
+    assert.strictEqual(evaluateRule(null, { min: 1 }, 'count').length, 1);
+
+    assert.deepStrictEqual(evaluateRule(['a', 'b'], { includes: ['a'], excludes: ['c'] }, 'topics'), []);
+    assert.strictEqual(evaluateRule(['b'], { includes: ['a'] }, 'topics').length, 1);
+    assert.strictEqual(evaluateRule(['a', 'c'], { excludes: ['c'] }, 'topics').length, 1);
+});
+
+test('nested requirements report the path of each violation', () => {
+    const violations = evaluateRule(
+        { enabled: true, required_pull_request_reviews: null },
+        { enabled: true, required_pull_request_reviews: { required_approving_review_count: { min: 1 } } },
+        'branch_protection'
+    );
+
+    assert.deepStrictEqual(violations, [{
+        path: 'branch_protection.required_pull_request_reviews.required_approving_review_count',
+        expected: { min: 1 },
+        actual: null,
+        message: 'branch_protection.required_pull_request_reviews.required_approving_review_count is null, expected >= 1'
+    }]);
+});
+
+test('rejects unknown policy modes', () => {
+    assert.throws(() => loadPolicy({ policySettings: { mode: 'strict' } }), /Invalid policySettings.mode/);
+    assert.deepStrictEqual(loadPolicy({}), { mode: 'norm', policy: {} });
+});
+
+test('rejects malformed requirements', () => {
+    const policy = {
+        has_wiki: { oneOf: 'yes' },
+        topics: { includes: 'service', exclude: ['legacy'] },
+        branch_protection: { required_pull_request_reviews: { required_approving_review_count: { min: '1' } } }
+    };
+
+    assert.throws(() => loadPolicy({ policy }), error => {
+        assert.strictEqual(error.message, 'Invalid policy: has_wiki: oneOf must be a list; '
+            + 'topics: unknown operator "exclude"; topics: includes must be a list; '
+            + 'branch_protection.required_pull_request_reviews.required_approving_review_count: min must be a number');
+        return true;
+    });
+    assert.doesNotThrow(() => loadPolicy({ policy: { has_wiki: false, topics: { includes: ['service'] }, forks_count: { max: 0 } } }));
+});
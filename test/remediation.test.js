@@ -0,0 +1,156 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer, TEST_CONFIG } = require('./helpers');
+const { buildRemediationPlan, applyRemediationPlan } = require('../lib/remediation');
+
+const protectedBranch = {
+    enabled: true,
+    required_status_checks: { strict: true, contexts: ['ci'] },
+    enforce_admins: true,
+    required_pull_request_reviews: { required_approving_review_count: 1 },
+    restrictions: null,
+    allow_force_pushes: false
+};
+
+function planFor(repos, fields, customConfig = {}) {
+    const analyzer = createAnalyzer(repos, customConfig);
+    return buildRemediationPlan(analyzer, analyzer.analyze(), fields);
+}
+
+test('plans one repos.update call per repository for simple fields', async () => {
+    const plan = await planFor([
+        { name: 'a', full_name: 'org/a', has_wiki: false, allow_merge_commit: false },
+        { name: 'b', full_name: 'org/b', has_wiki: false, allow_merge_commit: false },
+        { name: 'c', full_name: 'org/c', has_wiki: true, allow_merge_commit: true }
+    ], ['has_wiki', 'allow_merge_commit']);
+
+    assert.deepStrictEqual(plan.steps, [{
+        repository: 'org/c',
+        method: 'update',
+        params: { owner: 'org', repo: 'c', has_wiki: false, allow_merge_commit: false },
+        changes: [
+            { field: 'has_wiki', from: true, to: false },
+            { field: 'allow_merge_commit', from: true, to: false }
+        ]
+    }]);
+});
+
+test('uses the policy requirement as the target for policy deviations', async () => {
+    const plan = await planFor([
+        { name: 'api-gateway', full_name: 'org/api-gateway', default_branch: 'develop' }
+    ], ['default_branch'], {
+        policySettings: { mode: 'policy' },
+        policy: { default_branch: { oneOf: ['main', 'master'] } }
+    });
+
+    assert.strictEqual(plan.steps[0].params.default_branch, 'main');
+});
+
+test('plans branch protection updates on the default branch and skips unreadable protection', async () => {
+    const plan = await planFor([
+        { name: 'a', full_name: 'org/a', default_branch: 'main', branchProtection: protectedBranch },
+        { name: 'b', full_name: 'org/b', default_branch: 'main', branchProtection: protectedBranch },
+        { name: 'c', full_name: 'org/c', default_branch: 'trunk', branchProtection: { enabled: false } },
+        { name: 'd', full_name: 'org/d', default_branch: 'main', branchProtection: { enabled: null, error: 'No permission' } }
+    ], ['branch_protection']);
+
+    assert.strictEqual(plan.steps.length, 1);
+    assert.strictEqual(plan.steps[0].method, 'updateBranchProtection');
+    assert.strictEqual(plan.steps[0].params.branch, 'trunk');
+    assert.deepStrictEqual(plan.steps[0].params.required_status_checks, { strict: true, contexts: ['ci'] });
+    assert.deepStrictEqual(plan.skipped.map(item => item.repository), ['org/d']);
+});
+
+test('protects the default branch the plan changes to, when it exists', async () => {
+    const repos = [
+        { name: 'a', full_name: 'org/a', default_branch: 'main', branchProtection: protectedBranch },
+        { name: 'b', full_name: 'org/b', default_branch: 'main', branchProtection: protectedBranch },
+        { name: 'api-gateway', full_name: 'org/api-gateway', default_branch: 'master', branchProtection: { enabled: false } },
+        { name: 'docs-site', full_name: 'org/docs-site', default_branch: 'master', branchProtection: { enabled: false } }
+    ];
+    const plan = await planFor(repos, ['default_branch', 'branch_protection'], { githubSettings: { ...TEST_CONFIG.githubSettings, fetchRulesets: false } });
+
+    assert.deepStrictEqual(plan.steps.map(step => [step.repository, step.method, step.params.default_branch || step.params.branch]), [
+        ['org/api-gateway', 'update', 'main'],
+        ['org/api-gateway', 'updateBranchProtection', 'main'],
+        ['org/docs-site', 'updateBranchProtection', 'master']
+    ]);
+    // The protection of the new default branch is what gets replaced
+    assert.strictEqual(plan.steps[1].changes[0].from.enabled, true);
+    assert.deepStrictEqual(plan.steps[1].params.required_status_checks, { strict: true, contexts: ['ci'] });
+    assert.deepStrictEqual(plan.skipped, [{ repository: 'org/docs-site', field: 'default_branch', reason: 'branch "main" does not exist' }]);
+});
+
+test('plans branch protection against classic protection and skips branches with ruleset rules', async () => {
+    const rules = [{ type: 'required_status_checks', parameters: { required_status_checks: [{ context: 'ci' }] } }];
+    const plan = await planFor([
+        { name: 'a', full_name: 'org/a', default_branch: 'main', branchProtection: protectedBranch },
+        { name: 'b', full_name: 'org/b', default_branch: 'main', branchProtection: protectedBranch },
+        { name: 'c', full_name: 'org/c', default_branch: 'main', branchProtection: { enabled: false }, branchRules: rules },
+        { name: 'd', full_name: 'org/d', default_branch: 'main', branchProtection: { enabled: false }, branchRules: null },
+        { name: 'e', full_name: 'org/e', default_branch: 'main', branchProtection: { enabled: false }, branchRules: [] }
+    ], ['branch_protection']);
+
+    assert.deepStrictEqual(plan.steps.map(step => [step.repository, step.method]), [['org/e', 'updateBranchProtection']]);
+    assert.deepStrictEqual(plan.skipped, [
+        { repository: 'org/c', field: 'branch_protection', reason: 'the branch is protected by rulesets, which remediation does not change' },
+        { repository: 'org/d', field: 'branch_protection', reason: 'ruleset rules of the branch could not be read' }
+    ]);
+
+    // A disabled norm does not remove protection from branches protected by rulesets
+    const unprotected = await planFor(['a', 'b'].map(name => ({ name, full_name: `org/${name}`, default_branch: 'main', branchProtection: { enabled: false } }))
+        .concat({ name: 'c', full_name: 'org/c', default_branch: 'main', branchProtection: { enabled: false }, branchRules: rules }), ['branch_protection']);
+    assert.deepStrictEqual(unprotected.steps, []);
+});
+
+test('changes only the deviating protection settings and requires signed commits separately', async () => {
+    const signed = contexts => ({ ...protectedBranch, required_signatures: true, required_status_checks: { strict: true, contexts } });
+    const plan = await planFor([
+        { name: 'a', full_name: 'org/a', default_branch: 'main', branchProtection: signed(['ci/a']) },
+        { name: 'b', full_name: 'org/b', default_branch: 'main', branchProtection: signed(['ci/b']) },
+        { name: 'c', full_name: 'org/c', default_branch: 'main', branchProtection: signed(['ci/c']) },
+        { name: 'd', full_name: 'org/d', default_branch: 'main', branchProtection: { ...signed(['ci/d']), required_signatures: false, enforce_admins: false } }
+    ], ['branch_protection'], { deviationSettings: { ...TEST_CONFIG.deviationSettings, minConsensus: 0.5 } });
+
+    assert.deepStrictEqual(plan.steps.map(step => step.method), ['updateBranchProtection', 'createCommitSignatureProtection']);
+    assert.strictEqual(plan.steps[0].params.enforce_admins, true);
+    assert.deepStrictEqual(plan.steps[0].params.required_status_checks, { strict: true, contexts: ['ci/d'] });
+    assert.deepStrictEqual(plan.steps[1], {
+        repository: 'org/d',
+        method: 'createCommitSignatureProtection',
+        params: { owner: 'org', repo: 'd', branch: 'main' },
+        changes: [{ field: 'branch_protection.required_signatures', from: false, to: true }]
+    });
+});
+
+test('rejects fields that cannot be remediated', async () => {
+    await assert.rejects(() => planFor([], ['topics']), /Cannot remediate: topics/);
+});
+
+test('applies each step and records failures', async () => {
+    const calls = [];
+    const client = {
+        rest: {
+            repos: {
+                async update(params) {
+                    calls.push(params.repo);
+                    if (params.repo === 'b') {
+                        throw new Error('Must have admin rights to Repository.');
+                    }
+                }
+            }
+        }
+    };
+    const plan = {
+        steps: [
+            { repository: 'org/a', method: 'update', params: { owner: 'org', repo: 'a', has_wiki: false }, changes: [{ field: 'has_wiki' }] },
+            { repository: 'org/b', method: 'update', params: { owner: 'org', repo: 'b', has_wiki: false }, changes: [{ field: 'has_wiki' }] }
+        ],
+        skipped: []
+    };
+
+    const results = await applyRemediationPlan(client, plan);
+    assert.deepStrictEqual(calls, ['a', 'b']);
+    assert.deepStrictEqual(results.map(result => result.status), ['applied', 'failed']);
+    assert.strictEqual(results[1].error, 'Must have admin rights to Repository.');
+});
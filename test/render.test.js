@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer, createFixtureAnalyzer } = require('./helpers');
+const { html } = require('../lib/html');
+const { TEMPLATES, BASE_CSS, registerTheme, themeProperties, renderPage } = require('../lib/render');
+const { getFormat, registerFormat } = require('../lib/formats');
+
+async function reports(reportSettings = {}) {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        reportSettings: { maxTopicsInNorms: 10, customCSS: '', ...reportSettings }
+    });
+    const analysis = analyzer.analyze();
+    return [analyzer.generateHTMLReport(analysis), analyzer.generateDeviationsOnlyReport(analysis)];
+}
+
+test('shares the stylesheet and custom CSS between the HTML reports', async () => {
+    const [full, deviations] = await reports({ customCSS: '.custom-header { color: red; }' });
+
+    [full, deviations].forEach(report => {
+        assert.ok(report.includes(BASE_CSS));
+        assert.ok(report.includes('.custom-header { color: red; }'));
+        assert.ok(report.includes('--accent: #0366d6;'));
+    });
+    assert.ok(deviations.includes('.deviation-note {'));
+    assert.ok(!full.includes('.deviation-note {'));
+    assert.ok(deviations.includes('--alert-header-background'));
+});
+
+test('applies the configured theme to both HTML reports', async () => {
+    (await reports({ theme: 'dark' })).forEach(report => assert.ok(report.includes('--page-background: #0d1117;')));
+    (await reports({ theme: { accent: '#6f42c1' } })).forEach(report => {
+        assert.ok(report.includes('--accent: #6f42c1;'));
+        assert.ok(report.includes('--page-background: #f6f8fa;'));
+    });
+
+    registerTheme('test-contrast', { text: 'black' });
+    assert.strictEqual(themeProperties({ theme: 'test-contrast' }).text, 'black');
+    assert.strictEqual(themeProperties({ theme: 'test-contrast' }).border, '#e1e4e8');
+
+    assert.throws(() => createAnalyzer([], { reportSettings: { theme: 'neon' } }), /Unknown theme "neon"/);
+    assert.throws(() => createAnalyzer([], { reportSettings: { theme: 42 } }), /must be a theme name/);
+});
+
+test('renders the header, repository cards and norm cards with template overrides', async () => {
+    const [full, deviations] = await reports({
+        templates: {
+            header: context => html`<header class="custom-header"><h1>${context.heading}</h1><small>${context.lines[0]}</small></header>`,
+            repoCard: context => html`<section class="custom-card" data-name="${context.repo.name}">${TEMPLATES.repoCard(context)}</section>`,
+            normCard: context => html`<div class="custom-norm">${context.field}</div>`
+        }
+    });
+
+    assert.ok(full.includes('<header class="custom-header"><h1>GitHub Repository Configuration Analysis</h1><small>Organization: example-org</small></header>'));
+    assert.ok(deviations.includes('<header class="custom-header"><h1>Repository Configuration Deviations</h1>'));
+    assert.ok(full.includes('<section class="custom-card" data-name="docs-site">'));
+    assert.ok(deviations.includes('<section class="custom-card" data-name="docs-site">'));
+    assert.ok(full.includes('<div class="custom-norm">has_wiki</div>'));
+    assert.ok(!full.includes('<div class="norm-label">'));
+
+    assert.throws(() => createAnalyzer([], { reportSettings: { templates: { footer: () => '' } } }), /Unknown report template "footer"/);
+    assert.throws(() => createAnalyzer([], { reportSettings: { templates: { header: '<h1>' } } }), /must be a function/);
+});
+
+test('renders new report variants with the shared page', async () => {
+    registerFormat('test-owners', {
+        extension: 'html',
+        prefix: 'repo-owners',
+        render: (analyzer, analysis) => renderPage(analyzer, {
+            title: `Owners - ${analyzer.orgName}`,
+            heading: 'Repository Owners',
+            lines: [`Organization: ${analyzer.orgName}`],
+            body: html`<ul>${analysis.repos.map(repo => html`<li>${repo.name}</li>`)}</ul>`
+        })
+    });
+    const analyzer = await createFixtureAnalyzer('basic-org', { reportSettings: { customCSS: '.owners { margin: 0; }' } });
+    const report = getFormat('test-owners').render(analyzer, analyzer.analyze());
+
+    assert.ok(report.includes('<title>Owners - example-org</title>'));
+    assert.ok(report.includes(BASE_CSS));
+    assert.ok(report.includes('.owners { margin: 0; }'));
+    assert.ok(report.includes('<h1>Repository Owners</h1>'));
+    assert.ok(report.includes('<li>docs-site</li>'));
+    assert.ok(report.includes('Report generated on'));
+});
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer, createFixtureAnalyzer } = require('./helpers');
+const { reportData, embedJSON, severityRank, parseHash, formatHash, matchesFilters, compareCells, heatClass, clientScript } = require('../lib/report-client');
+const { SEVERITIES } = require('../lib/severity');
+
+const defaults = parseHash('');
+
+function filter(repos, state) {
+    return repos.filter(repo => matchesFilters(repo, { ...defaults, ...state })).map(repo => repo.name);
+}
+
+const repos = [
+    { name: 'api-gateway', fullName: 'org/api-gateway', deviations: { topics: 'low' }, acceptedRisks: [] },
+    { name: 'docs-site', fullName: 'org/docs-site', deviations: { private: 'critical', has_wiki: 'medium' }, acceptedRisks: ['allow_merge_commit'] },
+    { name: 'clean', fullName: 'org/clean', deviations: {}, acceptedRisks: [] }
+];
+
+test('keeps the report state in the URL hash', () => {
+    assert.deepStrictEqual(defaults, { q: '', field: '', severity: '', deviations: false, view: 'table', repo: '' });
+
+    const state = { q: 'api gateway', field: 'branch_protection', severity: 'high', deviations: true, view: 'matrix', repo: 'api-gateway' };
+    const hash = formatHash(state);
+    assert.strictEqual(hash, '#q=api+gateway&field=branch_protection&severity=high&deviations=1&view=matrix&repo=api-gateway');
+    assert.deepStrictEqual(parseHash(hash), state);
+    assert.strictEqual(formatHash(defaults), '');
+    assert.strictEqual(parseHash('#view=list').view, 'table');
+});
+
+test('filters repositories by name, field, severity and deviations', () => {
+    assert.deepStrictEqual(filter(repos, { q: 'DOCS' }), ['docs-site']);
+    assert.deepStrictEqual(filter(repos, { q: 'org/' }), ['api-gateway', 'docs-site', 'clean']);
+    assert.deepStrictEqual(filter(repos, { deviations: true }), ['api-gateway', 'docs-site']);
+    assert.deepStrictEqual(filter(repos, { field: 'topics' }), ['api-gateway']);
+
+    // A severity keeps repositories with a deviation of that severity or worse
+    assert.deepStrictEqual(filter(repos, { severity: 'medium' }), ['docs-site']);
+    assert.deepStrictEqual(filter(repos, { severity: 'low' }), ['api-gateway', 'docs-site']);
+    assert.deepStrictEqual(filter(repos, { field: 'has_wiki', severity: 'high' }), []);
+});
+
+test('sorts table cells numerically or as text', () => {
+    assert.deepStrictEqual(['10', '9', '25'].sort(compareCells), ['9', '10', '25']);
+    assert.deepStrictEqual(['legacy-mirror', 'API-gateway', 'docs-site'].sort(compareCells), ['API-gateway', 'docs-site', 'legacy-mirror']);
+    assert.deepStrictEqual(['repo-10', 'repo-9', ''].sort(compareCells), ['', 'repo-9', 'repo-10']);
+});
+
+test('colours matrix cells by deviation severity and accepted risk', () => {
+    assert.strictEqual(heatClass(repos[1], 'private'), 'heat-critical');
+    assert.strictEqual(heatClass(repos[1], 'allow_merge_commit'), 'heat-accepted');
+    assert.strictEqual(heatClass(repos[1], 'topics'), 'heat-ok');
+});
+
+test('embeds the analysis so it cannot close the script element', () => {
+    const analyzer = createAnalyzer([
+        { name: 'a', has_wiki: false },
+        { name: 'b', has_wiki: false },
+        { name: '</script><b>', has_wiki: true }
+    ], { configFields: ['name', 'has_wiki'] });
+    const data = reportData(analyzer, analyzer.analyze());
+
+    assert.deepStrictEqual(data.repos.find(repo => repo.deviations.has_wiki).deviations, { has_wiki: 'low' });
+    assert.ok(!embedJSON(data).includes('</script>'));
+    assert.deepStrictEqual(JSON.parse(embedJSON(data)), JSON.parse(JSON.stringify(data)));
+});
+
+test('ranks severities in the order of lib/severity.js, in the report script as well', () => {
+    const script = clientScript();
+    assert.ok(script.startsWith(`const SEVERITIES = ${JSON.stringify(SEVERITIES)};`));
+
+    const clientRank = new Function(script.replace('initReport(document, window);', 'return severityRank;'))();
+    [...SEVERITIES, 'unknown'].forEach((severity, index) => {
+        assert.strictEqual(severityRank(severity), index);
+        assert.strictEqual(clientRank(severity), index);
+    });
+});
+
+test('makes the full HTML report interactive unless disabled', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org');
+    const html = analyzer.generateHTMLReport(analyzer.analyze());
+
+    assert.ok(html.includes('<input type="search" id="filter-search"'));
+    assert.ok(html.includes('<tr data-repo="docs-site">'));
+    assert.ok(html.includes('<div class="repo-card" id="repo-docs-site" data-repo="docs-site">'));
+    assert.ok(html.includes('<script type="application/json" id="report-data">'));
+    assert.ok(html.includes(clientScript()));
+    assert.doesNotThrow(() => new Function(clientScript()));
+    assert.ok(!analyzer.generateDeviationsOnlyReport(analyzer.analyze()).includes('<script'));
+
+    analyzer.reportSettings = { ...analyzer.reportSettings, interactive: false };
+    const plain = analyzer.generateHTMLReport(analyzer.analyze());
+    assert.ok(!plain.includes('<script'));
+    assert.ok(!plain.includes('id="filter-search"'));
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createFixtureAnalyzer, assertGolden } = require('./helpers');
+const { getFormat } = require('../lib/formats');
+
+let fixtureAnalyzer = null;
+
+// Fetching from fixtures waits between requests, so share one analyzer across tests
+async function analyzer() {
+    if (!fixtureAnalyzer) {
+        fixtureAnalyzer = await createFixtureAnalyzer();
+    }
+    return fixtureAnalyzer;
+}
+
+test('fetches repositories and branch protection from fixtures', async () => {
+    const { repos } = await analyzer();
+
+    assert.deepStrictEqual(repos.map(repo => repo.name), ['api-gateway', 'billing-service', 'docs-site', 'intranet-portal', 'legacy-mirror']);
+    assert.strictEqual(repos[0].branchProtection.enabled, true);
+    assert.strictEqual(repos[2].branchProtection.enabled, false);
+    assert.deepStrictEqual(repos[4].branchProtection, { enabled: null, error: 'No permission to view branch protection' });
+});
+
+test('full HTML report matches the golden file', async () => {
+    const instance = await analyzer();
+    assertGolden('full-report.html', instance.generateHTMLReport());
+});
+
+test('deviations-only HTML report matches the golden file', async () => {
+    const instance = await analyzer();
+    assertGolden('deviations-report.html', instance.generateDeviationsOnlyReport());
+});
+
+test('JSON report is versioned and lists every repository', async () => {
+    const instance = await analyzer();
+    const document = JSON.parse(getFormat('json').render(instance, instance.analyze()));
+
+    assert.strictEqual(document.schemaVersion, '1.9.0');
+    assert.strictEqual(document.metadata.organization, 'example-org');
+    assert.strictEqual(document.repositories.length, 5);
+    assert.ok(document.repositories.find(repo => repo.name === 'docs-site').deviations.has_wiki);
+});
+
+test('SARIF report has one result per deviation', async () => {
+    const instance = await analyzer();
+    const analysis = instance.analyze();
+    const log = JSON.parse(getFormat('sarif').render(instance, analysis));
+    const deviationCount = analysis.repos.reduce((total, repo) => total + Object.keys(repo.deviations || {}).length, 0);
+
+    assert.strictEqual(log.version, '2.1.0');
+    assert.strictEqual(log.runs[0].results.length, deviationCount);
+    log.runs[0].results.forEach(result => {
+        assert.strictEqual(log.runs[0].tool.driver.rules[result.ruleIndex].id, result.ruleId);
+    });
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createFixtureAnalyzer, TEST_CONFIG } = require('./helpers');
+const { effectiveProtection, rulesetNames, rulesetFieldValue } = require('../lib/rulesets');
+
+const classic = {
+    enabled: true,
+    allow_force_pushes: true,
+    allow_deletions: false,
+    required_status_checks: { strict: false, contexts: ['ci/test'] },
+    required_pull_request_reviews: { required_approving_review_count: 2, dismiss_stale_reviews: false }
+};
+
+test('keeps classic protection when no rules apply', () => {
+    assert.strictEqual(effectiveProtection(classic, undefined), classic);
+    assert.strictEqual(effectiveProtection(classic, []), classic);
+    assert.strictEqual(effectiveProtection(classic, null), classic);
+});
+
+test('merges ruleset rules into classic protection using the stricter setting', () => {
+    const protection = effectiveProtection(classic, [
+        { type: 'non_fast_forward', ruleset_id: 1 },
+        { type: 'pull_request', ruleset_id: 1, parameters: { required_approving_review_count: 1, dismiss_stale_reviews_on_push: true } },
+        { type: 'required_status_checks', ruleset_id: 2, parameters: { strict_required_status_checks_policy: true, required_status_checks: [{ context: 'ci/build' }] } },
+        { type: 'required_signatures', ruleset_id: 2 }
+    ]);
+
+    assert.strictEqual(protection.allow_force_pushes, false);
+    assert.strictEqual(protection.allow_deletions, false);
+    assert.strictEqual(protection.required_pull_request_reviews.required_approving_review_count, 2);
+    assert.strictEqual(protection.required_pull_request_reviews.dismiss_stale_reviews, true);
+    assert.deepStrictEqual(protection.required_status_checks, { strict: true, contexts: ['ci/test', 'ci/build'] });
+    assert.strictEqual(protection.required_signatures, true);
+    assert.strictEqual(classic.allow_force_pushes, true);
+});
+
+test('treats a branch protected only by rulesets as protected', () => {
+    const protection = effectiveProtection({ enabled: false }, [{ type: 'deletion', ruleset_id: 3 }]);
+
+    assert.strictEqual(protection.enabled, true);
+    assert.strictEqual(protection.allow_deletions, false);
+    assert.strictEqual(protection.allow_force_pushes, true);
+    assert.strictEqual(protection.required_pull_request_reviews, null);
+});
+
+test('names the rulesets that apply', () => {
+    const rules = [{ type: 'deletion', ruleset_id: 42 }, { type: 'creation', ruleset_id: 42 }, { type: 'update', ruleset_id: 9 }];
+    assert.deepStrictEqual(rulesetNames(rules, [{ id: 42, name: 'org-default-branch' }]), ['org-default-branch', 'ruleset 9']);
+});
+
+test('derives the ruleset fields from the effective protection', () => {
+    const protection = effectiveProtection(classic, [{ type: 'required_linear_history', ruleset_id: 1 }]);
+
+    assert.strictEqual(rulesetFieldValue('required_reviews', protection, {}), 2);
+    assert.deepStrictEqual(rulesetFieldValue('required_status_checks', protection, {}), ['ci/test']);
+    assert.strictEqual(rulesetFieldValue('signed_commits', protection, {}), false);
+    assert.strictEqual(rulesetFieldValue('linear_history', protection, {}), true);
+    assert.strictEqual(rulesetFieldValue('required_reviews', { enabled: false }, {}), 0);
+    assert.strictEqual(rulesetFieldValue('required_reviews', { enabled: null, error: 'No permission' }, {}), null);
+    assert.strictEqual(rulesetFieldValue('rulesets', protection, {}), null);
+});
+
+test('fetches rulesets and analyses their rules from fixtures', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        configFields: [...TEST_CONFIG.configFields, 'required_reviews', 'required_status_checks', 'rulesets']
+    });
+    const docs = analyzer.repos.find(repo => repo.name === 'docs-site');
+    const config = analyzer.extractConfigValues(docs);
+
+    assert.strictEqual(docs.branchProtection.enabled, false);
+    assert.strictEqual(config.branch_protection.enabled, true);
+    assert.strictEqual(config.required_reviews, 1);
+    assert.deepStrictEqual(config.required_status_checks, ['ci/build']);
+    assert.deepStrictEqual(config.rulesets, ['docs-main', 'org-default-branch']);
+    assert.deepStrictEqual(analyzer.calculateNorms().rulesets, []);
+});
+
+test('treats rulesets that cannot be read as unknown, and missing ones as none', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        configFields: [...TEST_CONFIG.configFields, 'rulesets']
+    });
+    const docs = analyzer.repos.find(repo => repo.name === 'docs-site');
+    const failWith = status => {
+        analyzer.octokit.rest.repos.getRepoRulesets = async () => {
+            throw Object.assign(new Error(`Request failed with ${status}`), { status });
+        };
+    };
+
+    failWith(404);
+    assert.deepStrictEqual(await analyzer.fetchRepoRulesets(docs), []);
+
+    failWith(403);
+    docs.rulesets = await analyzer.fetchRepoRulesets(docs);
+    assert.strictEqual(docs.rulesets, null);
+    assert.strictEqual(analyzer.extractConfigValues(docs).rulesets, null);
+});
+
+test('skips rulesets when fetchRulesets is disabled', async () => {
+    const analyzer = await createFixtureAnalyzer('basic-org', {
+        githubSettings: { ...TEST_CONFIG.githubSettings, fetchRulesets: false }
+    });
+    const docs = analyzer.repos.find(repo => repo.name === 'docs-site');
+
+    assert.strictEqual(docs.branchRules, undefined);
+    assert.strictEqual(analyzer.extractConfigValues(docs).branch_protection.enabled, false);
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { RequestScheduler } = require('../lib/scheduler');
+
+// Sleeping is recorded and advances a fake clock instead of waiting
+function createScheduler(settings = {}) {
+    const scheduler = new RequestScheduler({ retryDelay: 10, ...settings });
+    let clock = Date.now();
+    scheduler.waits = [];
+    scheduler.now = () => clock;
+    scheduler.sleep = async ms => {
+        scheduler.waits.push(ms);
+        clock += ms;
+    };
+    return scheduler;
+}
+
+function apiError(status, headers = {}, message = `HTTP ${status}`) {
+    const error = new Error(message);
+    error.status = status;
+    error.response = { headers };
+    return error;
+}
+
+// Returns a request function that fails with the given errors before succeeding
+function failingRequest(errors) {
+    let calls = 0;
+    const request = async () => {
+        calls++;
+        if (errors.length > 0) {
+            throw errors.shift();
+        }
+        return { data: 'ok', headers: {} };
+    };
+    request.calls = () => calls;
+    return request;
+}
+
+test('retries transient failures with exponential backoff', async () => {
+    const scheduler = createScheduler();
+    const request = failingRequest([apiError(502), new Error('socket hang up')]);
+
+    assert.strictEqual((await scheduler.request(request)).data, 'ok');
+    assert.strictEqual(request.calls(), 3);
+    assert.deepStrictEqual(scheduler.waits, [10, 20]);
+});
+
+test('does not retry client errors', async () => {
+    const scheduler = createScheduler();
+    const request = failingRequest([apiError(404)]);
+
+    await assert.rejects(scheduler.request(request), error => error.status === 404);
+    assert.strictEqual(request.calls(), 1);
+});
+
+test('gives up after maxRetries', async () => {
+    const scheduler = createScheduler({ maxRetries: 1 });
+    const request = failingRequest([apiError(500), apiError(500)]);
+
+    await assert.rejects(scheduler.request(request), error => error.status === 500);
+    assert.strictEqual(request.calls(), 2);
+});
+
+test('honours retry-after on secondary rate limits', async () => {
+    const scheduler = createScheduler({ secondaryRateLimitDelay: 60000 });
+    const request = failingRequest([
+        apiError(403, { 'retry-after': '5' }, 'You have exceeded a secondary rate limit'),
+        apiError(403, {}, 'You have exceeded a secondary rate limit')
+    ]);
+
+    await scheduler.request(request);
+    assert.deepStrictEqual(scheduler.waits, [5000, 60000]);
+});
+
+test('pauses every request while one waits for retry-after', async () => {
+    const scheduler = createScheduler();
+    const limited = failingRequest([apiError(429, { 'retry-after': '30' })]);
+    const other = failingRequest([]);
+    let clock = Date.now();
+    const sleeping = [];
+    scheduler.now = () => clock;
+    scheduler.sleep = ms => {
+        scheduler.waits.push(ms);
+        return new Promise(resolve => sleeping.push(resolve));
+    };
+
+    // The second request starts while the first waits after being rate limited
+    const first = scheduler.request(limited);
+    await new Promise(resolve => setImmediate(resolve));
+    const second = scheduler.request(other);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(other.calls(), 0);
+    assert.deepStrictEqual(scheduler.waits, [30000, 30000]);
+
+    clock += 30000;
+    sleeping.forEach(resolve => resolve());
+    await Promise.all([first, second]);
+    assert.deepStrictEqual([limited.calls(), other.calls()], [2, 1]);
+});
+
+test('pauses when the primary rate limit is nearly exhausted', async () => {
+    const scheduler = createScheduler({ minRateLimitRemaining: 5 });
+    const reset = Math.ceil(Date.now() / 1000) + 30;
+
+    await scheduler.request(async () => ({ headers: { 'x-ratelimit-remaining': '4', 'x-ratelimit-reset': String(reset) } }));
+    await scheduler.request(async () => ({ headers: {} }));
+
+    assert.strictEqual(scheduler.waits.length, 1);
+    assert.ok(scheduler.waits[0] > 25000 && scheduler.waits[0] <= 31000);
+});
+
+test('map limits concurrency, preserves order and reports progress', async () => {
+    const scheduler = createScheduler({ concurrency: 2 });
+    const progress = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const results = await scheduler.map([1, 2, 3, 4, 5], async item => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 6 - item));
+        inFlight--;
+        return item * 10;
+    }, completed => progress.push(completed));
+
+    assert.deepStrictEqual(results, [10, 20, 30, 40, 50]);
+    assert.strictEqual(maxInFlight, 2);
+    assert.deepStrictEqual(progress, [1, 2, 3, 4, 5]);
+});
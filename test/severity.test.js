@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer } = require('./helpers');
+const { diffNested } = require('../lib/nested');
+const { deviationSeverity, riskScore, severityBreakdown, validateSeveritySettings } = require('../lib/severity');
+
+const settings = {
+    fields: {
+        branch_protection: 'high',
+        'branch_protection.allow_force_pushes': 'critical',
+        'branch_protection.required_pull_request_reviews': 'medium',
+        has_wiki: 'low'
+    },
+    default: 'medium',
+    weights: { critical: 20 }
+};
+
+test('uses the most specific severity configured for the differing settings', () => {
+    const norm = { enabled: true, allow_force_pushes: false, required_pull_request_reviews: { required_approving_review_count: 2 }, lock_branch: false };
+    const reviews = { ...norm, required_pull_request_reviews: { required_approving_review_count: 1 } };
+    const forcePush = { ...reviews, allow_force_pushes: true };
+
+    const deviation = repo => ({ repo, norm, paths: diffNested(repo, norm, 'branch_protection') });
+
+    assert.strictEqual(deviationSeverity('branch_protection', deviation(reviews), settings), 'medium');
+    assert.strictEqual(deviationSeverity('branch_protection', deviation(forcePush), settings), 'critical');
+    assert.strictEqual(deviationSeverity('branch_protection', deviation({ ...norm, lock_branch: true }), settings), 'high');
+    assert.strictEqual(deviationSeverity('has_wiki', { repo: true, norm: false }, settings), 'low');
+    assert.strictEqual(deviationSeverity('default_branch', { repo: 'master', norm: 'main' }, settings), 'medium');
+    assert.strictEqual(deviationSeverity('has_wiki', { repo: true, norm: false }, {}), 'low');
+});
+
+test('takes policy deviation severity from the violated paths', () => {
+    const deviation = {
+        repo: { enabled: true, allow_force_pushes: true },
+        norm: { allow_force_pushes: false },
+        source: 'policy',
+        violations: [{ path: 'branch_protection.allow_force_pushes' }]
+    };
+    assert.strictEqual(deviationSeverity('branch_protection', deviation, settings), 'critical');
+});
+
+test('scores repositories by the weights of their deviation severities', () => {
+    const deviations = { a: { severity: 'critical' }, b: { severity: 'high' }, c: { severity: 'low' } };
+
+    assert.strictEqual(riskScore(deviations, settings), 26);
+    assert.strictEqual(riskScore(deviations), 16);
+    assert.strictEqual(riskScore(null), 0);
+});
+
+test('breaks deviations and repositories down by severity', () => {
+    const breakdown = severityBreakdown([
+        { deviations: { a: { severity: 'high' }, b: { severity: 'low' } } },
+        { deviations: { a: { severity: 'low' } } },
+        { deviations: null }
+    ]);
+
+    assert.deepStrictEqual(breakdown.deviations, { critical: 0, high: 1, medium: 0, low: 2 });
+    assert.deepStrictEqual(breakdown.repositories, { critical: 0, high: 1, medium: 0, low: 1 });
+});
+
+test('rejects unknown severities', () => {
+    assert.throws(() => validateSeveritySettings({ fields: { has_wiki: 'urgent' } }), /has_wiki: "urgent"/);
+    assert.throws(() => validateSeveritySettings({ default: 'none' }), /default: "none"/);
+});
+
+test('sorts both HTML reports by risk score', () => {
+    const analyzer = createAnalyzer([
+        { name: 'wiki', full_name: 'example-org/wiki', has_wiki: true, private: true },
+        { name: 'public', full_name: 'example-org/public', has_wiki: false, private: false },
+        { name: 'ok-1', full_name: 'example-org/ok-1', has_wiki: false, private: true },
+        { name: 'ok-2', full_name: 'example-org/ok-2', has_wiki: false, private: true }
+    ], {
+        configFields: ['has_wiki', 'private'],
+        severitySettings: { fields: { private: 'critical' }, default: 'low' }
+    });
+    const analysis = analyzer.analyze();
+
+    assert.deepStrictEqual(analysis.repos.map(repo => repo.riskScore), [1, 10, 0, 0]);
+    [analyzer.generateHTMLReport(analysis), analyzer.generateDeviationsOnlyReport(analysis)].forEach(html => {
+        assert.ok(html.indexOf('example-org/public') < html.indexOf('example-org/wiki'));
+        assert.ok(html.includes('<table class="severity-table">'));
+    });
+});
@@ -0,0 +1,141 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { createAnalyzer, TEST_CONFIG } = require('./helpers');
+const { confidenceLevel } = require('../lib/stats');
+const config = require('../config.example');
+
+function statsFor(field, values, minConsensus) {
+    const analyzer = createAnalyzer(values.map(value => ({ [field]: value })), {
+        configFields: [field],
+        deviationSettings: { ...TEST_CONFIG.deviationSettings, minConsensus }
+    });
+    return analyzer.calculateFieldStats()[field];
+}
+
+test('reports the value distribution with counts and percentages', () => {
+    const stats = statsFor('default_branch', ['main', 'master', 'main', undefined]);
+
+    assert.strictEqual(stats.total, 4);
+    assert.deepStrictEqual(stats.distribution, [
+        { value: 'main', count: 2, percentage: 50 },
+        { value: 'master', count: 1, percentage: 25 },
+        { value: null, count: 1, percentage: 25 }
+    ]);
+    assert.strictEqual(stats.confidence, 0.5);
+});
+
+test('grades norm confidence', () => {
+    assert.strictEqual(confidenceLevel(0.99), 'high');
+    assert.strictEqual(confidenceLevel(0.8), 'high');
+    assert.strictEqual(confidenceLevel(0.65), 'medium');
+    assert.strictEqual(confidenceLevel(0.51), 'low');
+    assert.strictEqual(statsFor('has_wiki', [false, false, false, false, true]).confidenceLevel, 'high');
+});
+
+test('counts topics per topic against every repository', () => {
+    const stats = statsFor('topics', [['service', 'api'], ['service'], [], null]);
+
+    assert.strictEqual(stats.total, 4);
+    assert.deepStrictEqual(stats.distribution.map(entry => [entry.value, entry.count, entry.percentage]), [
+        ['service', 2, 50],
+        ['api', 1, 25]
+    ]);
+});
+
+test('leaves unreadable branch protection out of the distribution', () => {
+    const analyzer = createAnalyzer([
+        { branchProtection: { enabled: false } },
+        { branchProtection: { enabled: false } },
+        { branchProtection: { enabled: null, error: 'No permission' } }
+    ], { configFields: ['branch_protection'] });
+    assert.strictEqual(analyzer.calculateFieldStats().branch_protection.total, 2);
+    assert.strictEqual(analyzer.calculateFieldStats().branch_protection.confidence, 1);
+
+    const notFetched = createAnalyzer([{}, {}], { configFields: ['branch_protection'] }).calculateFieldStats().branch_protection;
+    assert.strictEqual(notFetched.total, 0);
+    assert.strictEqual(notFetched.confidence, 0);
+});
+
+test('flags fields below minConsensus as having no clear norm', () => {
+    assert.strictEqual(statsFor('has_wiki', [true, false], 0.6).clearNorm, false);
+    assert.strictEqual(statsFor('has_wiki', [true, true, false], 0.6).clearNorm, true);
+    assert.strictEqual(statsFor('has_wiki', [true, false]).clearNorm, true);
+});
+
+test('checks every field against the most common value by default', () => {
+    const repos = [
+        { name: 'a', default_branch: 'main' },
+        { name: 'b', default_branch: 'master' },
+        { name: 'c', default_branch: 'develop' }
+    ];
+    const analyzer = createAnalyzer(repos, {
+        configFields: ['name', 'default_branch'],
+        deviationSettings: config.deviationSettings
+    });
+    const analysis = analyzer.analyze();
+
+    assert.strictEqual(config.deviationSettings.minConsensus, undefined);
+    assert.strictEqual(analysis.fieldStats.default_branch.clearNorm, true);
+    assert.deepStrictEqual(analyzer.fieldsWithoutClearNorm(analysis), []);
+    assert.strictEqual(analysis.repos.filter(repo => repo.deviations && repo.deviations.default_branch).length, 2);
+});
+
+test('does not report deviations for fields without a clear norm', () => {
+    const repos = [
+        { name: 'a', default_branch: 'main', has_wiki: true },
+        { name: 'b', default_branch: 'master', has_wiki: true },
+        { name: 'c', default_branch: 'develop', has_wiki: false }
+    ];
+    const analyzer = createAnalyzer(repos, {
+        configFields: ['name', 'default_branch', 'has_wiki'],
+        deviationSettings: { ...TEST_CONFIG.deviationSettings, minConsensus: 0.6 }
+    });
+    const analysis = analyzer.analyze();
+
+    assert.strictEqual(analysis.fieldStats.default_branch.clearNorm, false);
+    assert.deepStrictEqual(analysis.repos.map(repo => Object.keys(repo.deviations || {})), [[], [], ['has_wiki']]);
+    assert.deepStrictEqual(analyzer.fieldsWithoutClearNorm(analysis), ['default_branch']);
+    assert.ok(analyzer.generateHTMLReport(analysis).includes('No clear norm: 33% of 3'));
+    assert.ok(analyzer.generateDeviationsOnlyReport(analysis).includes('not checked against the norm):</strong> default_branch'));
+});
+
+test('calculates the confidence of nested fields per sub-setting', () => {
+    const protection = contexts => ({
+        enabled: true,
+        enforce_admins: true,
+        required_status_checks: { strict: true, contexts }
+    });
+    const repos = [
+        { name: 'a', branchProtection: protection(['ci/a']) },
+        { name: 'b', branchProtection: protection(['ci/b']) },
+        { name: 'c', branchProtection: protection(['ci/c']) },
+        { name: 'd', branchProtection: protection(['ci/d']) },
+        { name: 'e', branchProtection: { enabled: false } }
+    ];
+    const analyzer = createAnalyzer(repos, {
+        configFields: ['name', 'branch_protection'],
+        deviationSettings: { ...TEST_CONFIG.deviationSettings, minConsensus: 0.5 }
+    });
+    const analysis = analyzer.analyze();
+    const stats = analysis.fieldStats.branch_protection;
+
+    assert.strictEqual(stats.confidence, 0.8);
+    assert.strictEqual(stats.clearNorm, true);
+    assert.deepStrictEqual(stats.paths['branch_protection.enabled'], { confidence: 0.8, confidenceLevel: 'high', clearNorm: true });
+    assert.deepStrictEqual(stats.paths['branch_protection.required_status_checks.contexts'], { confidence: 0.25, confidenceLevel: 'low', clearNorm: false });
+    assert.strictEqual(stats.paths['branch_protection.required_status_checks.strict'].confidence, 1);
+
+    // Only the repository without protection deviates; the status checks have no clear norm
+    assert.deepStrictEqual(analysis.repos.map(repo => Object.keys(repo.deviations || {})), [[], [], [], [], ['branch_protection']]);
+    assert.deepStrictEqual(analysis.repos[4].deviations.branch_protection.paths.map(entry => entry.path), ['branch_protection.enabled']);
+
+    const status = value => ({ status: value });
+    const security = statsFor('security_and_analysis', [
+        { secret_scanning: status('enabled'), advanced_security: status('enabled') },
+        { secret_scanning: status('enabled'), advanced_security: status('disabled') },
+        { secret_scanning: status('enabled') }
+    ], 0.5);
+    assert.strictEqual(security.paths['security_and_analysis.secret_scanning'].confidence, 1);
+    assert.strictEqual(security.paths['security_and_analysis.advanced_security'].clearNorm, false);
+    assert.strictEqual(security.confidence, 1);
+});
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { parseYAML } = require('../lib/yaml');
+
+test('reads nested block mappings and sequences', () => {
+    assert.deepStrictEqual(parseYAML([
+        'expected:',
+        '  branch_protection:',
+        '    required_pull_request_reviews:',
+        '      required_approving_review_count: 2',
+        '    contexts:',
+        '      - build',
+        '      - test',
+        'exemptions:',
+        '  - field: has_wiki',
+        '    paths:',
+        '      - a',
+        '      - b',
+        '  - field: has_pages'
+    ].join('\n')), {
+        expected: {
+            branch_protection: {
+                required_pull_request_reviews: { required_approving_review_count: 2 },
+                contexts: ['build', 'test']
+            }
+        },
+        exemptions: [{ field: 'has_wiki', paths: ['a', 'b'] }, { field: 'has_pages' }]
+    });
+});
+
+test('reads nested flow collections inside blocks', () => {
+    assert.deepStrictEqual(parseYAML('a: { b: [1, { c: "x, y" }], d: {} }\ne: []'), {
+        a: { b: [1, { c: 'x, y' }], d: {} },
+        e: []
+    });
+    assert.deepStrictEqual(parseYAML('- [a, [b, c]]\n- { k: v }'), [['a', ['b', 'c']], { k: 'v' }]);
+});
+
+test('reads quoted and plain scalars', () => {
+    assert.deepStrictEqual(parseYAML([
+        'single: \'it\'\'s # not a comment\'',
+        'double: "tab\\tand \\"quotes\\""',
+        'number: "12"',
+        'plain: 12',
+        'float: -1.5e3',
+        'yes: true',
+        'no: false',
+        'nothing: null',
+        'tilde: ~',
+        'date: 2026-12-31',
+        'colon: a:b'
+    ].join('\n')), {
+        single: 'it\'s # not a comment',
+        double: 'tab\tand "quotes"',
+        number: '12',
+        plain: 12,
+        float: -1500,
+        yes: true,
+        no: false,
+        nothing: null,
+        tilde: null,
+        date: '2026-12-31',
+        colon: 'a:b'
+    });
+});
+
+test('skips comments and blank lines', () => {
+    assert.deepStrictEqual(parseYAML('---\n# header\n\nkey: value # trailing\n\n  # indented comment\nother: "#hash"'), {
+        key: 'value',
+        other: '#hash'
+    });
+    assert.strictEqual(parseYAML(''), null);
+});
+
+test('rejects bad indentation and unsupported syntax', () => {
+    assert.throws(() => parseYAML('a:\n  b: 1\n c: 2'), /Line 3: unexpected indentation/);
+    assert.throws(() => parseYAML('- a\nb: 1'), /Line 2/);
+    assert.throws(() => parseYAML('a: [1, 2'), /Line 1/);
+    assert.throws(() => parseYAML('a: !tag x'), /Line 1: unsupported YAML syntax/);
+    assert.throws(() => parseYAML('a: |\n  text'), /Line 1: unsupported YAML syntax/);
+    assert.throws(() => parseYAML('a: { b: 1, b: 2 }'), /Line 1: duplicate key "b"/);
+});
+
+test('rejects keys that would change the prototype of a mapping', () => {
+    assert.throws(() => parseYAML('__proto__:\n  cohort: admin'), /Line 1: key "__proto__" is not allowed/);
+    assert.throws(() => parseYAML('a: { prototype: 1 }'), /Line 1: key "prototype" is not allowed/);
+    assert.throws(() => parseYAML('- constructor: x'), /Line 1: key "constructor" is not allowed/);
+    assert.strictEqual(Object.getPrototypeOf(parseYAML('a: 1')), Object.prototype);
+});